@@ -1,223 +1,740 @@
-///////////////////////////////////////////
-// Imports and Environment Setup
-///////////////////////////////////////////
-import Fastify from 'fastify';
-import fastifyFormBody from '@fastify/formbody';
-import fastifyWs from '@fastify/websocket';
-import WebSocket from 'ws';
-import twilio from 'twilio';
-import dotenv from 'dotenv';
-dotenv.config();
-
-///////////////////////////////////////////
-// Twilio and OpenAI Credentials
-///////////////////////////////////////////
-const {
-  OPENAI_API_KEY,
-  TWILIO_ACCOUNT_SID,
-  TWILIO_AUTH_TOKEN,
-  TWILIO_TO_NUMBER,
-  TWILIO_FROM_NUMBER,
-  PORT
-} = process.env;
-
-// Basic validation
-if (!OPENAI_API_KEY) {
-  console.error('Missing OpenAI API key. Please set it in .env');
-  process.exit(1);
-}
-if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM_NUMBER || !TWILIO_TO_NUMBER) {
-  console.error('Missing Twilio credentials or phone numbers in .env');
-  process.exit(1);
-}
-
-// Create Twilio client
-const client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
-
-///////////////////////////////////////////
-// Fastify App Setup
-///////////////////////////////////////////
-const fastify = Fastify();
-fastify.register(fastifyFormBody);
-fastify.register(fastifyWs);
-
-///////////////////////////////////////////
-// Constants for OpenAI real-time
-///////////////////////////////////////////
-const SYSTEM_MESSAGE = "You are a helpful and bubbly AI assistant who loves to chat about anything the user is interested in and is prepared to offer them facts. You have a penchant for dad jokes, owl jokes, and rickrolling subtly. Always stay positive, but work in a joke when appropriate.";
-const VOICE = 'alloy';
-
-///////////////////////////////////////////
-// 1. Route to Trigger an Outbound Call
-///////////////////////////////////////////
-fastify.get('/outbound-call', async (request, reply) => {
-  try {
-    // You can get `toNumber` from request.body or use environment variable
-    const toNumber = TWILIO_TO_NUMBER;
-    const fromNumber = TWILIO_FROM_NUMBER;
-
-    // The URL that Twilio will request for TwiML
-    const twimlUrl = `https://${request.headers.host}/twilio-voice-twiml`; 
-
-    // Initiate the outbound call
-    const call = await client.calls.create({
-      url: twimlUrl,    // This is where Twilio fetches the instructions (TwiML)
-      to: toNumber,
-      from: fromNumber,
-      // Optionally add statusCallback if you want to handle call events
-      // statusCallback: 'https://yourdomain.com/call-status',
-      // statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed']
-    });
-
-    console.log('Call initiated. Call SID:', call.sid);
-    reply.send({ success: true, message: 'Call initiated', callSid: call.sid });
-  } catch (error) {
-    console.error('Error initiating call:', error);
-    reply.status(500).send({ success: false, error: error.message });
-  }
-});
-
-///////////////////////////////////////////
-// 2. TwiML Endpoint for the Phone Call
-///////////////////////////////////////////
-fastify.all('/twilio-voice-twiml', async (request, reply) => {
-  // This TwiML is what Twilio runs once the call is answered
-  // We instruct Twilio to say something, then connect the call to a WebSocket stream.
-  const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-  <Say>Please wait while we connect your call to the A.I. voice assistant, powered by Twilio and the OpenAI Realtime API.</Say>
-  <Pause length="1" />
-  <Say>O.K., you can start talking!</Say>
-  <Connect>
-    <Stream url="wss://${request.headers.host}/media-stream" />
-  </Connect>
-</Response>`;
-
-  reply.type('text/xml').send(twimlResponse);
-});
-
-///////////////////////////////////////////
-// 3. WebSocket Route for Media Streaming
-///////////////////////////////////////////
-fastify.register(async (fastify) => {
-  fastify.get('/media-stream', { websocket: true }, (connection, req) => {
-    console.log("Client connected to /media-stream");
-
-    // Connect to OpenAI Realtime API
-    const openAiWs = new WebSocket("wss://api.openai.com/v1/realtime?model=gpt-40-realtime-preview-2024-10-01", {
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-        "OpenAI-Beta": "realtime=v1",
-      },
-    });
-
-    let streamSid = null;
-
-    // Helper to send session update with audio settings to OpenAI
-    const sendSessionUpdate = () => {
-      const sessionUpdate = {
-        type: "session.update",
-        session: {
-          turn_detection: { type: "server_vad" },
-          input_audio_format: "g711_ulaw",
-          output_audio_format: "g711_ulaw",
-          voice: VOICE,
-          instructions: SYSTEM_MESSAGE,
-          modalities: ["text", "audio"],
-          temperature: 0.8,
-        },
-      };
-      console.log("Sending session update:", JSON.stringify(sessionUpdate));
-      openAiWs.send(JSON.stringify(sessionUpdate));
-    };
-
-    // When OpenAI connection is open, send the session update
-    openAiWs.on("open", () => {
-      console.log("Connected to the OpenAI Realtime API");
-      // Delay sending session.update slightly
-      setTimeout(sendSessionUpdate, 1000);
-    });
-
-    // Handle OpenAI messages
-    openAiWs.on("message", (rawData) => {
-      try {
-        const response = JSON.parse(rawData);
-        // If session updated
-        if (response.type === "session.updated") {
-          console.log("Session updated successfully:", response);
-        }
-        // If we have an audio delta
-        if (response.type === "response.audio.delta" && response.delta) {
-          const audioDelta = {
-            event: "media",
-            streamSid: streamSid,
-            media: {
-              // The base64 from OpenAI is G.711 u-law
-              payload: Buffer.from(response.delta, "base64").toString("base64"),
-            },
-          };
-          // Send audio data back to Twilio media stream
-          connection.send(JSON.stringify(audioDelta));
-        }
-      } catch (error) {
-        console.error("Error processing OpenAI message:", error, "Raw message:", rawData);
-      }
-    });
-
-    openAiWs.on("close", () => {
-      console.log("Disconnected from the OpenAI Realtime API");
-    });
-
-    openAiWs.on("error", (error) => {
-      console.error("Error in the OpenAI WebSocket:", error);
-    });
-
-    // Handle incoming messages from Twilio (speech audio)
-    connection.on("message", (message) => {
-      try {
-        const data = JSON.parse(message);
-        switch (data.event) {
-          case "start":
-            streamSid = data.start.streamSid;
-            console.log("Incoming stream started:", streamSid);
-            break;
-
-          case "media":
-            // Forward the G.711 audio to OpenAI if connected
-            if (openAiWs.readyState === WebSocket.OPEN) {
-              const audioAppend = {
-                type: "input_audio_buffer.append",
-                audio: data.media.payload, // base64-encoded ulaw
-              };
-              openAiWs.send(JSON.stringify(audioAppend));
-            }
-            break;
-
-          default:
-            console.log("Received non-media event:", data.event);
-        }
-      } catch (error) {
-        console.error("Error parsing Twilio WS message:", error, "Message:", message);
-      }
-    });
-
-    // Clean up on close
-    connection.on("close", () => {
-      if (openAiWs.readyState === WebSocket.OPEN) {
-        openAiWs.close();
-      }
-      console.log("Client disconnected from /media-stream.");
-    });
-  });
-});
-
-///////////////////////////////////////////
-// 4. Start the Server
-///////////////////////////////////////////
-fastify.listen({ port: PORT || 5050, host: '0.0.0.0' }, (err) => {
-  if (err) {
-    console.error(err);
-    process.exit(1);
-  }
-  console.log(`Server is listening on port ${PORT || 5050}`);
-});
+///////////////////////////////////////////
+// Imports and Environment Setup
+///////////////////////////////////////////
+import fs from 'node:fs';
+import Fastify from 'fastify';
+import fastifyFormBody from '@fastify/formbody';
+import fastifyWs from '@fastify/websocket';
+import WebSocket from 'ws';
+import twilio from 'twilio';
+import YAML from 'yaml';
+import Database from 'better-sqlite3';
+import dotenv from 'dotenv';
+import {
+  resolveCallRequest,
+  parseCallerIds,
+  renderTemplate,
+  renderPersona,
+} from './lib/persona.js';
+import { createProfileStore } from './lib/profiles.js';
+import { streamParameters, createCustomerFileLookup, customerNumber } from './lib/caller-context.js';
+import {
+  STATUS_CALLBACK_EVENTS,
+  registerCall,
+  getCall,
+  listCalls,
+  callPersona,
+  recordStatusCallback,
+  recordAnsweredBy,
+  recordWhisper,
+  onCallStatus,
+  onCallUpdate,
+  updateCall,
+  attachStream,
+  detachStream,
+  summarizeCall,
+} from './lib/call-registry.js';
+import { bridgeMediaStream } from './lib/media-bridge.js';
+import { createRealtimeBackend, realtimeUrl } from './lib/realtime-backend.js';
+import { createCascadedBackend } from './lib/cascaded-backend.js';
+import { TRANSCRIPT_FORMATS, renderTranscript } from './lib/transcript.js';
+import { createRecordingStore } from './lib/recording.js';
+import { createCampaignManager } from './lib/campaigns.js';
+import { createTwilioSecurity } from './lib/security.js';
+import { buildFallbackTwiml, buildOverflowTwiml } from './lib/fallback.js';
+import { DRAIN_MODES, createCallGate } from './lib/call-gate.js';
+import { openDatabase } from './lib/database.js';
+import { createCallHistory } from './lib/call-history.js';
+import { createCallbackScheduler } from './lib/callbacks.js';
+import { createTransferService } from './lib/transfer.js';
+import { DTMF_DEFAULTS, createDigitValidator } from './lib/dtmf.js';
+import { createVoicemailDrop, machineDetectionParams } from './lib/voicemail.js';
+import { PROMETHEUS_CONTENT_TYPE, createCallMetrics } from './lib/metrics.js';
+import { createToolRegistry } from './lib/tools.js';
+import { createPostCallPipeline } from './lib/post-call.js';
+import { createCallMonitor } from './lib/call-monitor.js';
+import { createAdminAuth, dashboardRoutes } from './lib/dashboard.js';
+import { checkAudioOptions } from './lib/audio.js';
+import toolModules from './tools/index.js';
+dotenv.config();
+
+///////////////////////////////////////////
+// Twilio and OpenAI Credentials
+///////////////////////////////////////////
+const {
+  OPENAI_API_KEY,
+  OPENAI_REALTIME_URL,
+  OPENAI_REALTIME_MODEL = 'gpt-4o-realtime-preview-2024-10-01',
+  TWILIO_ACCOUNT_SID,
+  TWILIO_AUTH_TOKEN,
+  TWILIO_TO_NUMBER,
+  TWILIO_FROM_NUMBER,
+  TWILIO_CALLER_IDS,
+  RECORD_CALLS,
+  RECORDINGS_DIR = './recordings',
+  RECORDING_RETENTION_DAYS = '30',
+  RECORD_MIXED,
+  PUBLIC_BASE_URL,
+  STREAM_TOKEN_SECRET,
+  VALIDATE_TWILIO_SIGNATURE,
+  OPENAI_MAX_RECONNECTS = '3',
+  FALLBACK_MODE = 'apology',
+  FALLBACK_MESSAGE,
+  FALLBACK_TRANSFER_TO,
+  TRANSFER_TO,
+  TRANSFER_RING_TIMEOUT = '20',
+  DTMF_INTER_DIGIT_TIMEOUT_MS = String(DTMF_DEFAULTS.interDigitTimeoutMs),
+  DTMF_SECURE_LENGTH = String(DTMF_DEFAULTS.secureLength),
+  DTMF_VALIDATOR_URL,
+  MACHINE_DETECTION,
+  VOICEMAIL_AGENT_VOICE,
+  PROFILES_DIR = './profiles',
+  CUSTOMERS_FILE,
+  POST_CALL_WEBHOOK_URL,
+  POST_CALL_WEBHOOK_SECRET,
+  POST_CALL_SUMMARY,
+  POST_CALL_MODEL = 'gpt-4o-mini',
+  POST_CALL_DEAD_LETTER_FILE = './dead-letters.jsonl',
+  ADMIN_TOKEN,
+  OPENAI_AUDIO_FORMAT = 'g711_ulaw',
+  CALLER_AUDIO_PROCESSORS,
+  AGENT_AUDIO_PROCESSORS,
+  CASCADED_STT_URL,
+  CASCADED_STT_MODEL,
+  CASCADED_LLM_URL,
+  CASCADED_LLM_MODEL,
+  CASCADED_TTS_URL,
+  CASCADED_TTS_MODEL,
+  MAX_CONCURRENT_CALLS,
+  OVERFLOW_MODE = 'apology',
+  OVERFLOW_MESSAGE,
+  OVERFLOW_TRANSFER_TO,
+  DRAIN_MODE = 'end',
+  DRAIN_TIMEOUT_MS = '30000',
+  CALL_HISTORY_FILE = './call-history.db',
+  PORT
+} = process.env;
+
+// Basic validation
+if (!OPENAI_API_KEY) {
+  console.error('Missing OpenAI API key. Please set it in .env');
+  process.exit(1);
+}
+if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM_NUMBER || !TWILIO_TO_NUMBER) {
+  console.error('Missing Twilio credentials or phone numbers in .env');
+  process.exit(1);
+}
+
+// The OpenAI session's audio format and per-direction processors, e.g. OPENAI_AUDIO_FORMAT=pcm16
+// and CALLER_AUDIO_PROCESSORS=noise-gate,gain (see lib/audio.js)
+const AUDIO_OPTIONS = {
+  audioFormat: OPENAI_AUDIO_FORMAT,
+  processors: { caller: CALLER_AUDIO_PROCESSORS, agent: AGENT_AUDIO_PROCESSORS },
+};
+try {
+  checkAudioOptions(AUDIO_OPTIONS);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Conversational backends (see lib/media-bridge.js). A profile picks one with "backend"; the rest use
+// the OpenAI Realtime API. The cascaded backend's stages default to OpenAI's speech-to-text, chat and
+// text-to-speech endpoints; CASCADED_{STT,LLM,TTS}_{URL,MODEL} point them elsewhere.
+const backends = {
+  realtime: createRealtimeBackend({
+    WebSocket,
+    apiKey: OPENAI_API_KEY,
+    url: realtimeUrl({ baseUrl: OPENAI_REALTIME_URL, model: OPENAI_REALTIME_MODEL }),
+    audioFormat: AUDIO_OPTIONS.audioFormat,
+  }),
+  cascaded: createCascadedBackend({
+    apiKey: OPENAI_API_KEY,
+    stt: { url: CASCADED_STT_URL, model: CASCADED_STT_MODEL },
+    llm: { url: CASCADED_LLM_URL, model: CASCADED_LLM_MODEL },
+    tts: { url: CASCADED_TTS_URL, model: CASCADED_TTS_MODEL },
+  }),
+};
+
+// Caller IDs a request may choose from; defaults to just TWILIO_FROM_NUMBER
+const ALLOWED_CALLER_IDS = parseCallerIds(TWILIO_CALLER_IDS || TWILIO_FROM_NUMBER);
+
+// Create Twilio client
+const client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+
+// Verifies X-Twilio-Signature on webhooks and signs the token that authenticates /media-stream.
+// Set PUBLIC_BASE_URL (e.g. your ngrok URL) when a proxy rewrites the Host header.
+const security = createTwilioSecurity({
+  authToken: TWILIO_AUTH_TOKEN,
+  publicBaseUrl: PUBLIC_BASE_URL,
+  streamSecret: STREAM_TOKEN_SECRET || TWILIO_AUTH_TOKEN,
+  validate: VALIDATE_TWILIO_SIGNATURE !== 'false',
+});
+
+// preHandler for routes that expose call data or place calls: they take the dashboard's admin token
+// (see lib/dashboard.js) and refuse every request while ADMIN_TOKEN is unset
+const requireAdmin = createAdminAuth(ADMIN_TOKEN);
+
+// Tools the realtime agent can call (see tools/index.js)
+const tools = createToolRegistry(toolModules);
+
+// Agent profiles (JSON or YAML, see lib/profiles.js), picked per call with "profile": "<name>".
+// Edited files are reloaded on the fly.
+const profiles = createProfileStore({
+  dir: PROFILES_DIR,
+  parseYaml: YAML.parse,
+  toolNames: tools.names(),
+});
+
+// Optional customer records (see lib/caller-context.js), looked up by the callee's number when the
+// stream starts so the agent knows who it is talking to
+const lookupCaller = CUSTOMERS_FILE ? createCustomerFileLookup({ file: CUSTOMERS_FILE }) : null;
+
+// After each call: a summary plus the persona's extract fields, POSTed (signed) to
+// POST_CALL_WEBHOOK_URL for the CRM. POST_CALL_SUMMARY=true summarizes without a webhook.
+const postCall = POST_CALL_WEBHOOK_URL || POST_CALL_SUMMARY === 'true'
+  ? createPostCallPipeline({
+    apiKey: OPENAI_API_KEY,
+    model: POST_CALL_MODEL,
+    webhookUrl: POST_CALL_WEBHOOK_URL,
+    webhookSecret: POST_CALL_WEBHOOK_SECRET,
+    deadLetterFile: POST_CALL_DEAD_LETTER_FILE,
+  })
+  : null;
+
+// Stereo WAV recordings of each call (caller left, agent right), kept for RECORDING_RETENTION_DAYS
+const recordCalls = RECORD_CALLS === 'true';
+const recordings = createRecordingStore({
+  dir: RECORDINGS_DIR,
+  retentionDays: Number(RECORDING_RETENTION_DAYS),
+  mixed: RECORD_MIXED === 'true',
+});
+if (recordCalls) {
+  recordings.schedulePruning();
+}
+
+// What survives restarts is kept in SQLite at CALL_HISTORY_FILE: every call the registry knows,
+// with its transcript and where its recording is (GET /history), and scheduled callbacks
+const db = openDatabase({ Database, file: CALL_HISTORY_FILE });
+const history = createCallHistory({ db });
+onCallUpdate(history.save);
+
+// What callers get if the OpenAI connection can't be restored: an apology, voicemail or a transfer
+const FALLBACK_TWIML = buildFallbackTwiml({
+  mode: FALLBACK_MODE,
+  message: FALLBACK_MESSAGE,
+  transferTo: FALLBACK_TRANSFER_TO,
+});
+
+// Warm transfers to a human (the transfer_to_human tool). Each persona may name its own
+// transferTo number or SIP address; TRANSFER_TO is the default. A message the caller leaves when
+// nobody answers is linked to the transfer on the call record.
+const transfers = createTransferService({
+  client,
+  ringTimeout: Number(TRANSFER_RING_TIMEOUT),
+  onVoicemail: (callSid, voicemail) => updateCall(callSid, { transfer: { ...getCall(callSid)?.transfer, voicemail } }),
+});
+onCallStatus(transfers.handleCallStatus);
+
+// Keypad input: digit strings go to the model, except secure entries (collect_digits_securely),
+// which are checked by the service at DTMF_VALIDATOR_URL and never shown to the model
+const DTMF_OPTIONS = {
+  interDigitTimeoutMs: Number(DTMF_INTER_DIGIT_TIMEOUT_MS),
+  secureLength: Number(DTMF_SECURE_LENGTH),
+  validateDigits: createDigitValidator({ url: DTMF_VALIDATOR_URL }),
+};
+
+// Answering machine detection on outbound calls: voicemail gets the persona's voicemailMessage,
+// as <Say> or, with VOICEMAIL_AGENT_VOICE=true, spoken in the persona's own voice
+const machineDetection = MACHINE_DETECTION !== 'false';
+const voicemail = createVoicemailDrop({
+  client,
+  apiKey: OPENAI_API_KEY,
+  agentVoice: VOICEMAIL_AGENT_VOICE === 'true',
+});
+
+// Latency, traffic, token and error metrics for GET /metrics
+const metrics = createCallMetrics();
+
+// Live calls, their transcripts and controls for the dashboard; supervisors' whispers are logged on the call
+const monitor = createCallMonitor({
+  onWhisper: (whisper) => recordWhisper(whisper.callSid, whisper),
+});
+
+// At most MAX_CONCURRENT_CALLS calls (and OpenAI sessions) at once; unlimited when unset. Calls are
+// refused while every slot is taken, and answered calls that find none get the overflow TwiML
+// (OVERFLOW_MODE: apology, voicemail or transfer to OVERFLOW_TRANSFER_TO; see lib/fallback.js).
+const gate = createCallGate({ maxCalls: MAX_CONCURRENT_CALLS ? Number(MAX_CONCURRENT_CALLS) : Infinity });
+const OVERFLOW_TWIML = buildOverflowTwiml({
+  mode: OVERFLOW_MODE,
+  message: OVERFLOW_MESSAGE,
+  transferTo: OVERFLOW_TRANSFER_TO,
+  inbound: false,
+});
+if (!DRAIN_MODES.includes(DRAIN_MODE)) {
+  console.error(`DRAIN_MODE must be one of ${DRAIN_MODES.join(', ')}`);
+  process.exit(1);
+}
+
+///////////////////////////////////////////
+// Fastify App Setup
+///////////////////////////////////////////
+const fastify = Fastify();
+fastify.register(fastifyFormBody);
+fastify.register(fastifyWs);
+
+///////////////////////////////////////////
+// 1. Route to Trigger an Outbound Call
+///////////////////////////////////////////
+const CALL_REQUEST_DEFAULTS = {
+  defaultTo: TWILIO_TO_NUMBER,
+  defaultFrom: TWILIO_FROM_NUMBER,
+  allowedCallerIds: ALLOWED_CALLER_IDS,
+  profiles,
+  toolNames: tools.names(),
+};
+
+// Place a call and register it with its persona; used by /outbound-call, campaigns and callbacks.
+// The call takes `slot` (see call-gate.js), or a slot of its own, before Twilio is asked to dial.
+async function placeOutboundCall({ to, from, persona, variables = {}, baseUrl, slot = gate.reserve() }) {
+  let call;
+  try {
+    call = await client.calls.create({
+      url: `${baseUrl}/twilio-voice-twiml`,    // This is where Twilio fetches the instructions (TwiML)
+      to,
+      from,
+      // Twilio reports each state transition to the call registry
+      statusCallback: `${baseUrl}/call-status`,
+      statusCallbackEvent: STATUS_CALLBACK_EVENTS,
+      statusCallbackMethod: 'POST',
+      // Twilio tells /amd-status whether a person or voicemail answered
+      ...(machineDetection ? machineDetectionParams(baseUrl) : {}),
+    });
+  } catch (error) {
+    slot.release();
+    throw error;
+  }
+  slot.bind(call.sid);
+
+  // The persona and variables travel with the call so /media-stream can configure the session
+  registerCall({ sid: call.sid, to, from, persona, variables, status: call.status });
+  if (machineDetection) {
+    voicemail.expect(call.sid);
+  }
+
+  console.log('Call initiated. Call SID:', call.sid);
+  return call;
+}
+
+fastify.post('/outbound-call', async (request, reply) => {
+  try {
+    // Destination, caller ID and persona (or a "profile" name) come from the JSON body, falling back to .env
+    const { to, from, persona } = resolveCallRequest(request.body || {}, CALL_REQUEST_DEFAULTS);
+    const call = await placeOutboundCall({ to, from, persona, baseUrl: security.baseUrl(request) });
+    reply.send({ success: true, message: 'Call initiated', callSid: call.sid });
+  } catch (error) {
+    console.error('Error initiating call:', error);
+    // Twilio's RestException carries its HTTP status as `status`, e.g. 400 for an invalid number
+    reply.status(error.statusCode || error.status || 500).send({ success: false, error: error.message });
+  }
+});
+
+///////////////////////////////////////////
+// 2. TwiML Endpoint for the Phone Call
+///////////////////////////////////////////
+fastify.all('/twilio-voice-twiml', { preHandler: security.requireTwilioSignature }, async (request, reply) => {
+  // This TwiML is what Twilio runs once the call is answered
+  // It connects the call straight to a WebSocket stream; the agent opens with the persona's
+  // greeting in its own voice once its session is configured (see lib/media-bridge.js).
+  // The stream carries a signed token for this call, checked before OpenAI is involved, and
+  // who is on the call plus its variables for the session instructions.
+  const params = request.body || request.query;
+  const callSid = params.CallSid;
+  if (!gate.admit(callSid)) {
+    console.warn(`No call slot left for call ${callSid}; sending the overflow TwiML`);
+    return reply.type('text/xml').send(OVERFLOW_TWIML);
+  }
+  const variables = getCall(callSid)?.variables;
+  const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Connect>
+    <Stream url="${security.websocketUrl(request, '/media-stream')}">
+      ${streamParameters({ token: security.streamToken(callSid), params, variables })}
+    </Stream>
+  </Connect>
+</Response>`;
+
+  reply.type('text/xml').send(twimlResponse);
+});
+
+///////////////////////////////////////////
+// 3. Call Status Callbacks and Call Registry
+///////////////////////////////////////////
+fastify.post('/call-status', { preHandler: security.requireTwilioSignature }, async (request, reply) => {
+  const call = recordStatusCallback(request.body);
+  console.log(`Call ${call.sid} is now ${call.status}`);
+  reply.send({ success: true });
+});
+
+// Prometheus scrape endpoint
+fastify.get('/metrics', async (request, reply) => {
+  reply.type(PROMETHEUS_CONTENT_TYPE).send(metrics.render());
+});
+
+// Liveness and readiness probes; the server isn't ready while it drains or has no free call slot
+fastify.get('/healthz', async (request, reply) => {
+  reply.send({ status: 'ok', ...gate.status() });
+});
+
+fastify.get('/readyz', async (request, reply) => {
+  const status = gate.status();
+  if (status.draining || !gate.hasRoom()) {
+    return reply.status(503).send({ status: status.draining ? 'draining' : 'full', ...status });
+  }
+  reply.send({ status: 'ready', ...status });
+});
+
+// Asynchronous answering machine detection result; machines get the voicemail message
+fastify.post('/amd-status', { preHandler: security.requireTwilioSignature }, async (request, reply) => {
+  const { CallSid: callSid, AnsweredBy: answeredBy, MachineDetectionDuration } = request.body;
+  console.log(`Call ${callSid} was answered by ${answeredBy}`);
+  const call = recordAnsweredBy(callSid, {
+    answeredBy,
+    machineDetectionDuration: MachineDetectionDuration ? Number(MachineDetectionDuration) : null,
+  });
+  try {
+    const outcome = await voicemail.handleResult(request.body, {
+      persona: renderPersona(callPersona(callSid), call?.variables),
+      baseUrl: security.baseUrl(request),
+    });
+    if (outcome) updateCall(callSid, { voicemail: outcome });
+  } catch (error) {
+    console.error(`Error leaving voicemail on call ${callSid}:`, error);
+  }
+  reply.send({ success: true });
+});
+
+// Voicemail messages spoken in the persona's voice, fetched by Twilio's <Play>
+fastify.get('/voicemail-audio/:id', async (request, reply) => {
+  const audio = voicemail.audio(request.params.id);
+  if (!audio) {
+    return reply.status(404).send({ success: false, error: 'Voicemail audio not found' });
+  }
+  reply.type('audio/mpeg').send(audio);
+});
+
+// Loaded profiles, and any files that failed validation
+fastify.get('/profiles', async (request, reply) => {
+  reply.send({
+    profiles: profiles.list().map(({ name, numbers, file }) => ({ name, numbers, file })),
+    errors: profiles.errors(),
+  });
+});
+
+fastify.get('/calls', async (request, reply) => {
+  reply.send({ calls: listCalls().map(summarizeCall) });
+});
+
+fastify.get('/calls/:sid', async (request, reply) => {
+  const call = getCall(request.params.sid) ?? history.get(request.params.sid);
+  if (!call) {
+    return reply.status(404).send({ success: false, error: 'Call not found' });
+  }
+  reply.send(call);
+});
+
+// Calls that are no longer in memory are served from the call history
+fastify.get('/calls/:sid/transcript', { preHandler: requireAdmin }, async (request, reply) => {
+  const entries = getCall(request.params.sid)?.transcript?.entries() ?? history.transcript(request.params.sid);
+  if (!entries) {
+    return reply.status(404).send({ success: false, error: 'Transcript not found' });
+  }
+  const format = request.query.format || 'json';
+  if (!TRANSCRIPT_FORMATS.includes(format)) {
+    return reply.status(400).send({ success: false, error: `format must be one of ${TRANSCRIPT_FORMATS.join(', ')}` });
+  }
+  const { contentType, body } = renderTranscript(entries, format);
+  reply.type(contentType).send(body);
+});
+
+// ?channels=mixed returns the mono mix instead of the stereo file
+fastify.get('/calls/:sid/recording', { preHandler: requireAdmin }, async (request, reply) => {
+  const recording = getCall(request.params.sid)?.recording ?? history.recording(request.params.sid);
+  const file = request.query.channels === 'mixed' ? recording?.mixedPath : recording?.path;
+  if (!file || !fs.existsSync(file)) {
+    return reply.status(404).send({ success: false, error: 'Recording not found' });
+  }
+  // Return the reply so Fastify waits for the file stream
+  return reply
+    .type('audio/wav')
+    .header('Content-Disposition', `attachment; filename="${request.params.sid}.wav"`)
+    .send(fs.createReadStream(file));
+});
+
+// Finished and live calls from the call history, newest first. Filters: number (from or to), since,
+// until, status (comma-separated), persona (the profile name) and direction. ?limit= calls per page;
+// pass a page's nextCursor as ?cursor= for the next one. ?format=csv exports every matching call.
+fastify.get('/history', { preHandler: requireAdmin }, async (request, reply) => {
+  const { format = 'json', cursor, limit, ...filters } = request.query;
+  try {
+    if (format === 'csv') {
+      return reply
+        .type('text/csv')
+        .header('Content-Disposition', 'attachment; filename="call-history.csv"')
+        .send(history.exportCsv(filters));
+    }
+    if (format !== 'json') {
+      return reply.status(400).send({ success: false, error: 'format must be json or csv' });
+    }
+    reply.send(history.query({ cursor, limit, ...filters }));
+  } catch (error) {
+    reply.status(error.statusCode || error.status || 500).send({ success: false, error: error.message });
+  }
+});
+
+///////////////////////////////////////////
+// 4. Outbound Campaigns and Callbacks
+///////////////////////////////////////////
+const campaigns = createCampaignManager({
+  reserveSlot: gate.tryReserve,
+  // Each contact's variables fill {{placeholders}} in the campaign's persona, including
+  // text that comes from its profile; the rest (e.g. {{customer.name}}) are filled once the call connects
+  placeCall: async ({ to, from, callRequest, variables, baseUrl, slot }) => {
+    const personaInput = Object.fromEntries(
+      Object.entries(callRequest).map(([key, value]) => [key, renderTemplate(value, variables, { keepUnknown: true })]));
+    const resolved = resolveCallRequest({ ...personaInput, to, from }, CALL_REQUEST_DEFAULTS);
+    const call = await placeOutboundCall({
+      ...resolved,
+      persona: renderPersona(resolved.persona, variables, { keepUnknown: true }),
+      variables,
+      baseUrl,
+      slot,
+    });
+    return call.sid;
+  },
+});
+onCallStatus(campaigns.handleCallStatus);
+campaigns.start();
+
+// Contact lists can also be uploaded as raw CSV, with the campaign settings in the query string
+fastify.addContentTypeParser('text/csv', { parseAs: 'string' }, (request, body, done) => done(null, body));
+
+fastify.post('/campaigns', { preHandler: requireAdmin }, async (request, reply) => {
+  try {
+    const options = typeof request.body === 'string'
+      ? { ...request.query, csv: request.body }
+      : request.body || {};
+    const { from, profile, instructions, voice, temperature, greeting, transferTo, voicemailMessage } = options;
+    // Validate the caller ID and persona up front rather than on the first dial
+    resolveCallRequest({ from, profile, instructions, voice, temperature, greeting, transferTo, voicemailMessage }, CALL_REQUEST_DEFAULTS);
+    const campaign = campaigns.create(options, { baseUrl: security.baseUrl(request) });
+    reply.status(201).send({ success: true, campaign });
+  } catch (error) {
+    console.error('Error creating campaign:', error.message);
+    reply.status(error.statusCode || error.status || 500).send({ success: false, error: error.message });
+  }
+});
+
+fastify.get('/campaigns', { preHandler: requireAdmin }, async (request, reply) => {
+  reply.send({ campaigns: campaigns.list() });
+});
+
+fastify.get('/campaigns/:id', { preHandler: requireAdmin }, async (request, reply) => {
+  try {
+    reply.send(campaigns.get(request.params.id));
+  } catch (error) {
+    reply.status(error.statusCode || error.status || 500).send({ success: false, error: error.message });
+  }
+});
+
+// POST /campaigns/:id/pause, /resume or /cancel
+fastify.post('/campaigns/:id/:action', { preHandler: requireAdmin }, async (request, reply) => {
+  const { id, action } = request.params;
+  if (!['pause', 'resume', 'cancel'].includes(action)) {
+    return reply.status(404).send({ success: false, error: `Unknown campaign action "${action}"` });
+  }
+  try {
+    reply.send({ success: true, campaign: campaigns[action](id) });
+  } catch (error) {
+    reply.status(error.statusCode || error.status || 500).send({ success: false, error: error.message });
+  }
+});
+
+// Callbacks the agent booked with the schedule_callback tool, placed like any other outbound call
+const callbacks = createCallbackScheduler({
+  db,
+  reserveSlot: gate.tryReserve,
+  placeCall: async (request) => (await placeOutboundCall(request)).sid,
+});
+onCallStatus(callbacks.handleCallStatus);
+callbacks.start();
+
+// Soonest first; ?status= and ?callSid= (the call a callback was booked on) filter them
+fastify.get('/callbacks', { preHandler: requireAdmin }, async (request, reply) => {
+  const { status, callSid } = request.query;
+  try {
+    reply.send({ callbacks: callbacks.list({ status, callSid }) });
+  } catch (error) {
+    reply.status(error.statusCode || error.status || 500).send({ success: false, error: error.message });
+  }
+});
+
+fastify.get('/callbacks/:id', { preHandler: requireAdmin }, async (request, reply) => {
+  try {
+    reply.send(callbacks.get(request.params.id));
+  } catch (error) {
+    reply.status(error.statusCode || error.status || 500).send({ success: false, error: error.message });
+  }
+});
+
+fastify.post('/callbacks/:id/cancel', { preHandler: requireAdmin }, async (request, reply) => {
+  try {
+    reply.send({ success: true, callback: callbacks.cancel(request.params.id) });
+  } catch (error) {
+    reply.status(error.statusCode || error.status || 500).send({ success: false, error: error.message });
+  }
+});
+
+///////////////////////////////////////////
+// 5. Warm Transfer to a Human
+///////////////////////////////////////////
+// Twilio fetches the whisper for the person answering the transfer, reports how the <Dial> ended
+// and then any voicemail the caller left
+fastify.all('/transfer/whisper', { preHandler: security.requireTwilioSignature }, async (request, reply) => {
+  reply.type('text/xml').send(transfers.whisperTwiml(request.query.callSid));
+});
+
+fastify.post('/transfer/result', { preHandler: security.requireTwilioSignature }, async (request, reply) => {
+  const { callSid } = request.query;
+  const dialCallStatus = request.body?.DialCallStatus;
+  console.log(`Transfer of call ${callSid} ended: ${dialCallStatus}`);
+  reply.type('text/xml').send(transfers.dialResultTwiml(callSid, dialCallStatus, { baseUrl: security.baseUrl(request) }));
+});
+
+fastify.post('/transfer/voicemail', { preHandler: security.requireTwilioSignature }, async (request, reply) => {
+  transfers.voicemailRecorded(request.query.callSid, request.body || {});
+  reply.send({ success: true });
+});
+
+///////////////////////////////////////////
+// 6. WebSocket Route for Media Streaming
+///////////////////////////////////////////
+fastify.register(async (fastify) => {
+  fastify.get('/media-stream', { websocket: true }, (connection, req) => {
+    console.log("Client connected to /media-stream");
+
+    bridgeMediaStream(connection, {
+      WebSocket,
+      backends,
+      processors: AUDIO_OPTIONS.processors,
+      personaFor: callPersona,
+      lookupCaller,
+      tools,
+      toolContext: {
+        transferCall: async ({ callSid, reason, summary, transcript }) => {
+          const transfer = await transfers.transfer({
+            callSid,
+            baseUrl: security.baseUrl(req),
+            target: callPersona(callSid).transferTo || TRANSFER_TO,
+            reason,
+            summary,
+            transcript,
+          });
+          updateCall(callSid, { transfer });
+          return transfer;
+        },
+        // The callback goes to the customer's number, from the number they know us by
+        scheduleCallback: async ({ callSid, caller, ...request }) => callbacks.schedule({
+          ...request,
+          callSid,
+          to: customerNumber(caller),
+          from: (caller.direction === 'inbound' ? caller.to : caller.from) || TWILIO_FROM_NUMBER,
+          persona: callPersona(callSid),
+          variables: getCall(callSid)?.variables,
+          baseUrl: security.baseUrl(req),
+        }),
+      },
+      dtmf: DTMF_OPTIONS,
+      metrics,
+      monitor,
+      gate,
+      record: recordCalls,
+      authorizeStart: security.authorizeStream,
+      // Outbound calls wait for answering machine detection before OpenAI is involved
+      shouldConnect: voicemail.waitForHuman,
+      maxReconnectAttempts: Number(OPENAI_MAX_RECONNECTS),
+      onOpenAiLost: ({ callSid }) => {
+        client.calls(callSid).update({ twiml: FALLBACK_TWIML })
+          .then(() => console.log(`Moved call ${callSid} to fallback TwiML (${FALLBACK_MODE})`))
+          .catch((error) => console.error(`Error moving call ${callSid} to fallback TwiML:`, error));
+      },
+      onStart: ({ callSid, streamSid, transcript }) => attachStream(callSid, streamSid, { transcript }),
+      onClose: ({ callSid, recorder, transcript, usage, endReason }) => {
+        if (!callSid) return;
+        const call = detachStream(callSid, { usage, endReason });
+        if (recorder) {
+          recordings.save(callSid, recorder)
+            .then((recording) => updateCall(callSid, { recording }))
+            .catch((error) => console.error('Error saving recording:', error));
+        }
+        if (postCall && call) {
+          const details = {
+            ...summarizeCall(call),
+            answeredBy: call.answeredBy,
+            streamStartedAt: call.streamStartedAt,
+            streamEndedAt: call.streamEndedAt,
+          };
+          postCall.process({ call: details, persona: call.persona, transcript })
+            .then((outcome) => { call.postCall = outcome; });
+        }
+      },
+    });
+  });
+});
+
+///////////////////////////////////////////
+// 7. Operations Dashboard
+///////////////////////////////////////////
+// Live and recent calls with streaming transcripts, plus hang up / mute / instruct actions
+if (ADMIN_TOKEN) {
+  fastify.register(dashboardRoutes({ monitor, adminToken: ADMIN_TOKEN }), { prefix: '/admin' });
+} else {
+  console.log('Set ADMIN_TOKEN to enable the dashboard at /admin and the routes that need admin auth');
+}
+
+///////////////////////////////////////////
+// 8. Start the Server
+///////////////////////////////////////////
+fastify.listen({ port: PORT || 5050, host: '0.0.0.0' }, (err) => {
+  if (err) {
+    console.error(err);
+    process.exit(1);
+  }
+  console.log(`Server is listening on port ${PORT || 5050}`);
+});
+
+///////////////////////////////////////////
+// 9. Graceful Shutdown
+///////////////////////////////////////////
+// On SIGTERM or SIGINT the server stops taking calls and the agent says goodbye on the live ones
+// (DRAIN_MODE=transfer hands them to a human instead). It exits once they are over; calls still
+// up after DRAIN_TIMEOUT_MS are hung up. A second signal exits right away.
+async function shutdown(signal) {
+  if (gate.isDraining()) {
+    console.log(`${signal} received again; exiting now`);
+    process.exit(1);
+  }
+  console.log(`${signal} received; draining ${gate.status().activeCalls} live call(s)`);
+  campaigns.stop();
+  callbacks.stop();
+  const hungUp = await gate.drain({ mode: DRAIN_MODE, timeoutMs: Number(DRAIN_TIMEOUT_MS) });
+  if (hungUp) {
+    console.warn(`Hung up ${hungUp} call(s) still live after ${DRAIN_TIMEOUT_MS} ms`);
+  }
+  await fastify.close();
+  db.close();
+  console.log('Server stopped');
+  process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -1,205 +1,611 @@
-import Fastify from 'fastify';
-import WebSocket from 'ws';
-import dotenv from 'dotenv';
-import fastifyFormBody from '@fastify/formbody';
-import fastifyWs from '@fastify/websocket';
-import twilio from 'twilio'; // Ensure this is imported correctly
-
-// Load environment variables from .env file
-dotenv.config();
-
-// Retrieve the OpenAI API key and Twilio credentials from environment variables
-const { OPENAI_API_KEY, TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER, TO_PHONE_NUMBER } = process.env;
-
-if (!OPENAI_API_KEY || !TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_PHONE_NUMBER || !TO_PHONE_NUMBER) {
-    console.error('Missing required environment variables. Please set them in the .env file.');
-    process.exit(1);
-}
-
-// Initialize Fastify
-const fastify = Fastify();
-fastify.register(fastifyFormBody);
-fastify.register(fastifyWs);
-
-// Constants
-const SYSTEM_MESSAGE = 'You are a helpful and bubbly AI assistant who loves to chat about anything the user is interested about and is prepared to offer them facts. You have a penchant for dad jokes, owl jokes, and rickrolling – subtly. Always stay positive, but work in a joke when appropriate.';
-const VOICE = 'alloy';
-const PORT = 5050; // Allow dynamic port assignment
-
-// Twilio Client Setup
-const twilioClient = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
-
-// Root Route
-fastify.get('/', async (request, reply) => {
-    reply.send({ message: 'Twilio Media Stream Server is running!' });
-});
-
-// Route to Initiate an Outbound Call
-fastify.get('/make-call', async (request, reply) => {
-    try {
-        const call = await twilioClient.calls.create({
-            to: TO_PHONE_NUMBER,            // The phone number to call
-            from: TWILIO_PHONE_NUMBER,      // Your Twilio phone number
-            url: `https://${request.headers.host}/incoming-call`, // The Twilio webhook URL
-        });
-        reply.send({ message: `Call initiated successfully! Call SID: ${call.sid}` });
-    } catch (error) {
-        console.error('Error initiating call:', error);
-        reply.status(500).send({ error: 'Failed to initiate call' });
-    }
-});
-
-// Route for Twilio to handle incoming calls
-fastify.all('/incoming-call', async (request, reply) => {
-    const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
-                          <Response>
-                              <Say>Please wait while we connect your call to the A. I. voice assistant, powered by Twilio and the Open-A.I. Realtime API</Say>
-                              <Pause length="1"/>
-                              <Say>O.K. you can start talking!</Say>
-                              <Connect>
-                                  <Stream url="wss://${request.headers.host}/media-stream" />
-                              </Connect>
-                          </Response>`;
-
-    reply.type('text/xml').send(twimlResponse);
-});
-
-// WebSocket route for media-stream (same as your original code)
-fastify.register(async (fastify) => {
-    fastify.get('/media-stream', { websocket: true }, (connection, req) => {
-        console.log('Client connected');
-
-        // Connection-specific state
-        let streamSid = null;
-        let latestMediaTimestamp = 0;
-        let lastAssistantItem = null;
-        let markQueue = [];
-        let responseStartTimestampTwilio = null;
-
-        const openAiWs = new WebSocket('wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-10-01', {
-            headers: {
-                Authorization: `Bearer ${OPENAI_API_KEY}`,
-                "OpenAI-Beta": "realtime=v1"
-            }
-        });
-
-        // Control initial session with OpenAI
-        const initializeSession = () => {
-            const sessionUpdate = {
-                type: 'session.update',
-                session: {
-                    turn_detection: { type: 'server_vad' },
-                    input_audio_format: 'g711_ulaw',
-                    output_audio_format: 'g711_ulaw',
-                    voice: VOICE,
-                    instructions: SYSTEM_MESSAGE,
-                    modalities: ["text", "audio"],
-                    temperature: 0.8,
-                }
-            };
-
-            console.log('Sending session update:', JSON.stringify(sessionUpdate));
-            openAiWs.send(JSON.stringify(sessionUpdate));
-        };
-
-        openAiWs.on('open', () => {
-            console.log('Connected to the OpenAI Realtime API');
-            setTimeout(initializeSession, 100);
-        });
-
-        openAiWs.on('message', (data) => {
-            try {
-                const response = JSON.parse(data);
-
-                if (response.type === 'response.audio.delta' && response.delta) {
-                    const audioDelta = {
-                        event: 'media',
-                        streamSid: streamSid,
-                        media: { payload: response.delta }  // Directly sending delta, no base64 encoding needed // semd the audio file
-                    };
-                    connection.send(JSON.stringify(audioDelta));
-
-                    if (!responseStartTimestampTwilio) {
-                        responseStartTimestampTwilio = latestMediaTimestamp;
-                    }
-
-                    if (response.item_id) {
-                        lastAssistantItem = response.item_id;
-                    }
-
-                    sendMark(connection, streamSid);
-                }
-
-                if (response.type === 'input_audio_buffer.speech_started') {
-                    handleSpeechStartedEvent();
-                }
-            } catch (error) {
-                console.error('Error processing OpenAI message:', error, 'Raw message:', data);
-            }
-        });
-
-        // here is where the audio chunk can be placed
-        connection.on('message', (message) => {
-            try {
-                const data = JSON.parse(message);
-
-                switch (data.event) {
-                    case 'media':
-                        latestMediaTimestamp = data.media.timestamp;
-                        if (openAiWs.readyState === WebSocket.OPEN) {
-                            const audioAppend = {
-                                type: 'input_audio_buffer.append',
-                                audio: data.media.payload
-                            };
-                            openAiWs.send(JSON.stringify(audioAppend));
-                        }
-                        break;
-                    case 'start':
-                        streamSid = data.start.streamSid;
-                        responseStartTimestampTwilio = null;
-                        latestMediaTimestamp = 0;
-                        break;
-                    default:
-                        console.log('Received non-media event:', data.event);
-                        break;
-                }
-            } catch (error) {
-                console.error('Error parsing message:', error, 'Message:', message);
-            }
-        });
-
-        connection.on('close', () => {
-            if (openAiWs.readyState === WebSocket.OPEN) openAiWs.close();
-            console.log('Client disconnected.');
-        });
-
-        openAiWs.on('close', () => {
-            console.log('Disconnected from the OpenAI Realtime API');
-        });
-
-        openAiWs.on('error', (error) => {
-            console.error('Error in the OpenAI WebSocket:', error);
-        });
-    });
-});
-
-// Helper function to handle the "mark" (finish timestamp)
-function sendMark(connection, streamSid) {
-    const markPayload = {
-        event: 'mark',
-        streamSid: streamSid
-    };
-
-    connection.send(JSON.stringify(markPayload));
-}
-
-// Start the Fastify server
-fastify.listen({ port: PORT }, (err) => {
-    if (err) {
-        console.error(err);
-        process.exit(1);
-    }
-    console.log(`Server is listening on port ${PORT}`);
-});
-
-
+import fs from 'node:fs';
+import Fastify from 'fastify';
+import WebSocket from 'ws';
+import dotenv from 'dotenv';
+import fastifyFormBody from '@fastify/formbody';
+import fastifyWs from '@fastify/websocket';
+import twilio from 'twilio'; // Ensure this is imported correctly
+import YAML from 'yaml';
+import Database from 'better-sqlite3';
+import {
+    DEFAULT_PERSONA,
+    resolveCallRequest,
+    parseCallerIds,
+    escapeXml,
+    renderPersona,
+} from './lib/persona.js';
+import {
+    STATUS_CALLBACK_EVENTS,
+    registerCall,
+    getCall,
+    listCalls,
+    callPersona,
+    recordStatusCallback,
+    recordAnsweredBy,
+    recordWhisper,
+    onCallStatus,
+    onCallUpdate,
+    updateCall,
+    attachStream,
+    detachStream,
+    summarizeCall,
+} from './lib/call-registry.js';
+import { bridgeMediaStream } from './lib/media-bridge.js';
+import { createRealtimeBackend, realtimeUrl } from './lib/realtime-backend.js';
+import { createCascadedBackend } from './lib/cascaded-backend.js';
+import { TRANSCRIPT_FORMATS, renderTranscript } from './lib/transcript.js';
+import { createRecordingStore } from './lib/recording.js';
+import { createTwilioSecurity } from './lib/security.js';
+import { buildFallbackTwiml, buildOverflowTwiml } from './lib/fallback.js';
+import { DRAIN_MODES, createCallGate } from './lib/call-gate.js';
+import { openDatabase } from './lib/database.js';
+import { createCallHistory } from './lib/call-history.js';
+import { createCallbackScheduler } from './lib/callbacks.js';
+import { createTransferService } from './lib/transfer.js';
+import { DTMF_DEFAULTS, createDigitValidator } from './lib/dtmf.js';
+import { createVoicemailDrop, machineDetectionParams } from './lib/voicemail.js';
+import { PROMETHEUS_CONTENT_TYPE, createCallMetrics } from './lib/metrics.js';
+import { createToolRegistry } from './lib/tools.js';
+import { createPostCallPipeline } from './lib/post-call.js';
+import { createCallMonitor } from './lib/call-monitor.js';
+import { createAdminAuth, dashboardRoutes } from './lib/dashboard.js';
+import { checkAudioOptions } from './lib/audio.js';
+import { createProfileStore } from './lib/profiles.js';
+import { streamParameters, createCustomerFileLookup, customerNumber } from './lib/caller-context.js';
+import toolModules from './tools/index.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Retrieve the OpenAI API key and Twilio credentials from environment variables
+const { OPENAI_API_KEY, TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER, TO_PHONE_NUMBER, TWILIO_CALLER_IDS } = process.env;
+const { RECORD_CALLS, RECORDINGS_DIR = './recordings', RECORDING_RETENTION_DAYS = '30', RECORD_MIXED } = process.env;
+const { PUBLIC_BASE_URL, STREAM_TOKEN_SECRET, VALIDATE_TWILIO_SIGNATURE } = process.env;
+const { OPENAI_MAX_RECONNECTS = '3', FALLBACK_MODE = 'apology', FALLBACK_MESSAGE, FALLBACK_TRANSFER_TO } = process.env;
+const { TRANSFER_TO, TRANSFER_RING_TIMEOUT = '20' } = process.env;
+const { DTMF_INTER_DIGIT_TIMEOUT_MS, DTMF_SECURE_LENGTH, DTMF_VALIDATOR_URL } = process.env;
+const { MACHINE_DETECTION, VOICEMAIL_AGENT_VOICE } = process.env;
+const { OPENAI_REALTIME_URL, OPENAI_REALTIME_MODEL = 'gpt-4o-realtime-preview-2024-10-01' } = process.env;
+const { PROFILES_DIR = './profiles', CUSTOMERS_FILE } = process.env;
+const { ADMIN_TOKEN } = process.env;
+const { MAX_CONCURRENT_CALLS, OVERFLOW_MODE = 'busy', OVERFLOW_MESSAGE, OVERFLOW_TRANSFER_TO, DRAIN_MODE = 'end', DRAIN_TIMEOUT_MS = '30000' } = process.env;
+const { CALL_HISTORY_FILE = './call-history.db' } = process.env;
+const { OPENAI_AUDIO_FORMAT = 'g711_ulaw', CALLER_AUDIO_PROCESSORS, AGENT_AUDIO_PROCESSORS } = process.env;
+const { CASCADED_STT_URL, CASCADED_STT_MODEL, CASCADED_LLM_URL, CASCADED_LLM_MODEL, CASCADED_TTS_URL, CASCADED_TTS_MODEL } = process.env;
+const { POST_CALL_WEBHOOK_URL, POST_CALL_WEBHOOK_SECRET, POST_CALL_SUMMARY, POST_CALL_MODEL = 'gpt-4o-mini', POST_CALL_DEAD_LETTER_FILE = './dead-letters.jsonl' } = process.env;
+
+if (!OPENAI_API_KEY || !TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_PHONE_NUMBER || !TO_PHONE_NUMBER) {
+    console.error('Missing required environment variables. Please set them in the .env file.');
+    process.exit(1);
+}
+
+// The OpenAI session's audio format and per-direction processors (see lib/audio.js)
+const AUDIO_OPTIONS = {
+    audioFormat: OPENAI_AUDIO_FORMAT,
+    processors: { caller: CALLER_AUDIO_PROCESSORS, agent: AGENT_AUDIO_PROCESSORS },
+};
+try {
+    checkAudioOptions(AUDIO_OPTIONS);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+// Conversational backends (see lib/media-bridge.js). A profile picks one with "backend"; the rest use
+// the OpenAI Realtime API. The cascaded backend's stages default to OpenAI's speech-to-text, chat and
+// text-to-speech endpoints; CASCADED_{STT,LLM,TTS}_{URL,MODEL} point them elsewhere.
+const backends = {
+    realtime: createRealtimeBackend({
+        WebSocket,
+        apiKey: OPENAI_API_KEY,
+        url: realtimeUrl({ baseUrl: OPENAI_REALTIME_URL, model: OPENAI_REALTIME_MODEL }),
+        audioFormat: AUDIO_OPTIONS.audioFormat,
+    }),
+    cascaded: createCascadedBackend({
+        apiKey: OPENAI_API_KEY,
+        stt: { url: CASCADED_STT_URL, model: CASCADED_STT_MODEL },
+        llm: { url: CASCADED_LLM_URL, model: CASCADED_LLM_MODEL },
+        tts: { url: CASCADED_TTS_URL, model: CASCADED_TTS_MODEL },
+    }),
+};
+
+// Initialize Fastify
+const fastify = Fastify();
+fastify.register(fastifyFormBody);
+fastify.register(fastifyWs);
+
+// Constants
+const PORT = 5050; // Allow dynamic port assignment
+const ALLOWED_CALLER_IDS = parseCallerIds(TWILIO_CALLER_IDS || TWILIO_PHONE_NUMBER);
+
+// Twilio Client Setup
+const twilioClient = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+
+// Verifies X-Twilio-Signature on webhooks and signs the token that authenticates /media-stream.
+// Set PUBLIC_BASE_URL (e.g. your ngrok URL) when a proxy rewrites the Host header.
+const security = createTwilioSecurity({
+    authToken: TWILIO_AUTH_TOKEN,
+    publicBaseUrl: PUBLIC_BASE_URL,
+    streamSecret: STREAM_TOKEN_SECRET || TWILIO_AUTH_TOKEN,
+    validate: VALIDATE_TWILIO_SIGNATURE !== 'false',
+});
+
+// preHandler for routes that expose call data or place calls: they take the dashboard's admin token
+// (see lib/dashboard.js) and refuse every request while ADMIN_TOKEN is unset
+const requireAdmin = createAdminAuth(ADMIN_TOKEN);
+
+// What survives restarts is kept in SQLite at CALL_HISTORY_FILE: every call the registry knows,
+// with its transcript and where its recording is (GET /history), and scheduled callbacks
+const db = openDatabase({ Database, file: CALL_HISTORY_FILE });
+const history = createCallHistory({ db });
+onCallUpdate(history.save);
+
+// What callers get if the OpenAI connection can't be restored: an apology, voicemail or a transfer
+const FALLBACK_TWIML = buildFallbackTwiml({
+    mode: FALLBACK_MODE,
+    message: FALLBACK_MESSAGE,
+    transferTo: FALLBACK_TRANSFER_TO,
+});
+
+// At most MAX_CONCURRENT_CALLS calls (and OpenAI sessions) at once; unlimited when unset. Beyond that,
+// /make-call is refused and /incoming-call answers with the overflow TwiML: OVERFLOW_MODE=busy rejects
+// inbound callers (our own outbound calls get an apology), or apology, voicemail or transfer.
+const gate = createCallGate({ maxCalls: MAX_CONCURRENT_CALLS ? Number(MAX_CONCURRENT_CALLS) : Infinity });
+const overflowOptions = { mode: OVERFLOW_MODE, message: OVERFLOW_MESSAGE, transferTo: OVERFLOW_TRANSFER_TO };
+const OVERFLOW_TWIML = {
+    inbound: buildOverflowTwiml({ ...overflowOptions, inbound: true }),
+    outbound: buildOverflowTwiml({ ...overflowOptions, inbound: false }),
+};
+if (!DRAIN_MODES.includes(DRAIN_MODE)) {
+    console.error(`DRAIN_MODE must be one of ${DRAIN_MODES.join(', ')}`);
+    process.exit(1);
+}
+
+// Tools the realtime agent can call (see tools/index.js)
+const tools = createToolRegistry(toolModules);
+
+// Agent profiles (JSON or YAML, see lib/profiles.js): /make-call?profile=<name> picks one, and
+// incoming calls get the profile of the number they dialed. Edited files are reloaded on the fly.
+const profiles = createProfileStore({
+    dir: PROFILES_DIR,
+    parseYaml: YAML.parse,
+    toolNames: tools.names(),
+});
+
+// Optional customer records (see lib/caller-context.js) for the agent's instructions
+const lookupCaller = CUSTOMERS_FILE ? createCustomerFileLookup({ file: CUSTOMERS_FILE }) : null;
+
+// Warm transfers to a human (the transfer_to_human tool); TRANSFER_TO unless the persona names a target
+// A message the caller leaves when nobody answers is linked to the transfer on the call record
+const transfers = createTransferService({
+    client: twilioClient,
+    ringTimeout: Number(TRANSFER_RING_TIMEOUT),
+    onVoicemail: (callSid, voicemail) => updateCall(callSid, { transfer: { ...getCall(callSid)?.transfer, voicemail } }),
+});
+onCallStatus(transfers.handleCallStatus);
+
+// Keypad input: digit strings go to the model, secure entries only to DTMF_VALIDATOR_URL
+const DTMF_OPTIONS = {
+    interDigitTimeoutMs: Number(DTMF_INTER_DIGIT_TIMEOUT_MS || DTMF_DEFAULTS.interDigitTimeoutMs),
+    secureLength: Number(DTMF_SECURE_LENGTH || DTMF_DEFAULTS.secureLength),
+    validateDigits: createDigitValidator({ url: DTMF_VALIDATOR_URL }),
+};
+
+// Answering machine detection: voicemail gets the persona's voicemailMessage instead of the agent
+const machineDetection = MACHINE_DETECTION !== 'false';
+const voicemail = createVoicemailDrop({
+    client: twilioClient,
+    apiKey: OPENAI_API_KEY,
+    agentVoice: VOICEMAIL_AGENT_VOICE === 'true',
+});
+
+// Latency, traffic, token and error metrics for GET /metrics
+const metrics = createCallMetrics();
+
+// Live calls, their transcripts and controls for the dashboard; supervisors' whispers are logged on the call
+const monitor = createCallMonitor({
+    onWhisper: (whisper) => recordWhisper(whisper.callSid, whisper),
+});
+
+// Post-call summary and extract fields, sent to POST_CALL_WEBHOOK_URL (see lib/post-call.js)
+const postCall = POST_CALL_WEBHOOK_URL || POST_CALL_SUMMARY === 'true'
+    ? createPostCallPipeline({
+        apiKey: OPENAI_API_KEY,
+        model: POST_CALL_MODEL,
+        webhookUrl: POST_CALL_WEBHOOK_URL,
+        webhookSecret: POST_CALL_WEBHOOK_SECRET,
+        deadLetterFile: POST_CALL_DEAD_LETTER_FILE,
+    })
+    : null;
+
+// Stereo WAV recordings of each call (caller left, agent right), kept for RECORDING_RETENTION_DAYS
+const recordCalls = RECORD_CALLS === 'true';
+const recordings = createRecordingStore({
+    dir: RECORDINGS_DIR,
+    retentionDays: Number(RECORDING_RETENTION_DAYS),
+    mixed: RECORD_MIXED === 'true',
+});
+if (recordCalls) {
+    recordings.schedulePruning();
+}
+
+// Root Route
+fastify.get('/', async (request, reply) => {
+    reply.send({ message: 'Twilio Media Stream Server is running!' });
+});
+
+// Place a call and register it with its persona; used by /make-call and callbacks.
+// The call takes `slot` (see call-gate.js), or a slot of its own, before Twilio is asked to dial.
+async function placeOutboundCall({ to, from, persona, variables = {}, baseUrl, slot = gate.reserve() }) {
+    let call;
+    try {
+        call = await twilioClient.calls.create({
+            to,            // The phone number to call
+            from,          // Your Twilio phone number
+            url: `${baseUrl}/incoming-call`, // The Twilio webhook URL
+            statusCallback: `${baseUrl}/call-status`, // Call state transitions
+            statusCallbackEvent: STATUS_CALLBACK_EVENTS,
+            statusCallbackMethod: 'POST',
+            ...(machineDetection ? machineDetectionParams(baseUrl) : {}), // Reports to /amd-status
+        });
+    } catch (error) {
+        slot.release();
+        throw error;
+    }
+    slot.bind(call.sid);
+    registerCall({ sid: call.sid, to, from, persona, variables, status: call.status });
+    if (machineDetection) {
+        voicemail.expect(call.sid);
+    }
+    return call;
+}
+
+// Route to Initiate an Outbound Call
+fastify.get('/make-call', async (request, reply) => {
+    try {
+        // Destination, caller ID and persona (or a "profile" name) come from the query string, falling back to .env
+        const { to, from, persona } = resolveCallRequest(request.query, {
+            defaultTo: TO_PHONE_NUMBER,
+            defaultFrom: TWILIO_PHONE_NUMBER,
+            allowedCallerIds: ALLOWED_CALLER_IDS,
+            profiles,
+            toolNames: tools.names(),
+        });
+
+        const call = await placeOutboundCall({ to, from, persona, baseUrl: security.baseUrl(request) });
+        reply.send({ message: `Call initiated successfully! Call SID: ${call.sid}` });
+    } catch (error) {
+        console.error('Error initiating call:', error);
+        // Twilio's RestException carries its HTTP status as `status`, e.g. 400 for an invalid number
+        const statusCode = error.statusCode || error.status;
+        if ((statusCode >= 400 && statusCode < 500) || statusCode === 503) {
+            return reply.status(statusCode).send({ error: error.message });
+        }
+        reply.status(500).send({ error: 'Failed to initiate call' });
+    }
+});
+
+// Callbacks the agent booked with the schedule_callback tool, placed like any other outbound call
+const callbacks = createCallbackScheduler({
+    db,
+    reserveSlot: gate.tryReserve,
+    placeCall: async (request) => (await placeOutboundCall(request)).sid,
+});
+onCallStatus(callbacks.handleCallStatus);
+callbacks.start();
+
+// Soonest first; ?status= and ?callSid= (the call a callback was booked on) filter them
+fastify.get('/callbacks', { preHandler: requireAdmin }, async (request, reply) => {
+    const { status, callSid } = request.query;
+    try {
+        reply.send({ callbacks: callbacks.list({ status, callSid }) });
+    } catch (error) {
+        reply.status(error.statusCode || error.status || 500).send({ error: error.message });
+    }
+});
+
+fastify.get('/callbacks/:id', { preHandler: requireAdmin }, async (request, reply) => {
+    try {
+        reply.send(callbacks.get(request.params.id));
+    } catch (error) {
+        reply.status(error.statusCode || error.status || 500).send({ error: error.message });
+    }
+});
+
+fastify.post('/callbacks/:id/cancel', { preHandler: requireAdmin }, async (request, reply) => {
+    try {
+        reply.send({ callback: callbacks.cancel(request.params.id) });
+    } catch (error) {
+        reply.status(error.statusCode || error.status || 500).send({ error: error.message });
+    }
+});
+
+// Route for Twilio to handle incoming calls
+// The stream carries a signed token for this call, checked before OpenAI is involved, and who is on the call.
+// Our outbound calls go straight to the stream and the agent greets the callee itself; inbound callers
+// hear the persona's greeting first.
+fastify.all('/incoming-call', { preHandler: security.requireTwilioSignature }, async (request, reply) => {
+    const params = request.body || request.query;
+    const callSid = params.CallSid;
+    const outbound = Boolean(getCall(callSid));
+    if (!gate.admit(callSid)) {
+        console.warn(`No call slot left for call ${callSid}; sending the overflow TwiML`);
+        return reply.type('text/xml').send(outbound ? OVERFLOW_TWIML.outbound : OVERFLOW_TWIML.inbound);
+    }
+    if (!outbound) {
+        // Not one of our outbound calls: someone dialed in, so use the profile for that number
+        registerCall({
+            sid: callSid,
+            direction: 'inbound',
+            to: params.To,
+            from: params.From,
+            persona: profiles.forNumber(params.To) || DEFAULT_PERSONA,
+            status: 'in-progress',
+        });
+    }
+    const persona = callPersona(callSid);
+    const introduction = outbound ? '' : `
+                              <Say>Please wait while we connect your call to the A. I. voice assistant, powered by Twilio and the Open-A.I. Realtime API</Say>
+                              <Pause length="1"/>
+                              <Say>${escapeXml(persona.greeting)}</Say>`;
+    const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
+                          <Response>${introduction}
+                              <Connect>
+                                  <Stream url="${security.websocketUrl(request, '/media-stream')}">
+                                      ${streamParameters({ token: security.streamToken(callSid), params, variables: getCall(callSid).variables })}
+                                  </Stream>
+                              </Connect>
+                          </Response>`;
+
+    reply.type('text/xml').send(twimlResponse);
+});
+
+// Route for Twilio's call status callbacks
+fastify.post('/call-status', { preHandler: security.requireTwilioSignature }, async (request, reply) => {
+    const call = recordStatusCallback(request.body);
+    console.log(`Call ${call.sid} is now ${call.status}`);
+    reply.send({ success: true });
+});
+
+// Loaded profiles, and any files that failed validation
+fastify.get('/profiles', async (request, reply) => {
+    reply.send({
+        profiles: profiles.list().map(({ name, numbers, file }) => ({ name, numbers, file })),
+        errors: profiles.errors(),
+    });
+});
+
+// Prometheus scrape endpoint
+fastify.get('/metrics', async (request, reply) => {
+    reply.type(PROMETHEUS_CONTENT_TYPE).send(metrics.render());
+});
+
+// Liveness and readiness probes; the server isn't ready while it drains or has no free call slot
+fastify.get('/healthz', async (request, reply) => {
+    reply.send({ status: 'ok', ...gate.status() });
+});
+
+fastify.get('/readyz', async (request, reply) => {
+    const status = gate.status();
+    if (status.draining || !gate.hasRoom()) {
+        return reply.status(503).send({ status: status.draining ? 'draining' : 'full', ...status });
+    }
+    reply.send({ status: 'ready', ...status });
+});
+
+// Route for answering machine detection results; machines get the voicemail message
+fastify.post('/amd-status', { preHandler: security.requireTwilioSignature }, async (request, reply) => {
+    const { CallSid: callSid, AnsweredBy: answeredBy, MachineDetectionDuration } = request.body;
+    console.log(`Call ${callSid} was answered by ${answeredBy}`);
+    const call = recordAnsweredBy(callSid, {
+        answeredBy,
+        machineDetectionDuration: MachineDetectionDuration ? Number(MachineDetectionDuration) : null,
+    });
+    try {
+        const outcome = await voicemail.handleResult(request.body, {
+            persona: renderPersona(callPersona(callSid), call?.variables),
+            baseUrl: security.baseUrl(request),
+        });
+        if (outcome) updateCall(callSid, { voicemail: outcome });
+    } catch (error) {
+        console.error(`Error leaving voicemail on call ${callSid}:`, error);
+    }
+    reply.send({ success: true });
+});
+
+// Voicemail audio in the persona's voice, fetched by Twilio's <Play>
+fastify.get('/voicemail-audio/:id', async (request, reply) => {
+    const audio = voicemail.audio(request.params.id);
+    if (!audio) {
+        return reply.status(404).send({ error: 'Voicemail audio not found' });
+    }
+    reply.type('audio/mpeg').send(audio);
+});
+
+// Routes to inspect the call registry
+fastify.get('/calls', async (request, reply) => {
+    reply.send({ calls: listCalls().map(summarizeCall) });
+});
+
+fastify.get('/calls/:sid', async (request, reply) => {
+    const call = getCall(request.params.sid) ?? history.get(request.params.sid);
+    if (!call) {
+        return reply.status(404).send({ error: 'Call not found' });
+    }
+    reply.send(call);
+});
+
+// Calls that are no longer in memory are served from the call history
+fastify.get('/calls/:sid/transcript', { preHandler: requireAdmin }, async (request, reply) => {
+    const entries = getCall(request.params.sid)?.transcript?.entries() ?? history.transcript(request.params.sid);
+    if (!entries) {
+        return reply.status(404).send({ error: 'Transcript not found' });
+    }
+    const format = request.query.format || 'json';
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+        return reply.status(400).send({ error: `format must be one of ${TRANSCRIPT_FORMATS.join(', ')}` });
+    }
+    const { contentType, body } = renderTranscript(entries, format);
+    reply.type(contentType).send(body);
+});
+
+// ?channels=mixed returns the mono mix instead of the stereo file
+fastify.get('/calls/:sid/recording', { preHandler: requireAdmin }, async (request, reply) => {
+    const recording = getCall(request.params.sid)?.recording ?? history.recording(request.params.sid);
+    const file = request.query.channels === 'mixed' ? recording?.mixedPath : recording?.path;
+    if (!file || !fs.existsSync(file)) {
+        return reply.status(404).send({ error: 'Recording not found' });
+    }
+    // Return the reply so Fastify waits for the file stream
+    return reply
+        .type('audio/wav')
+        .header('Content-Disposition', `attachment; filename="${request.params.sid}.wav"`)
+        .send(fs.createReadStream(file));
+});
+
+// Finished and live calls from the call history, newest first. Filters: number (from or to), since,
+// until, status (comma-separated), persona (the profile name) and direction. ?limit= calls per page;
+// pass a page's nextCursor as ?cursor= for the next one. ?format=csv exports every matching call.
+fastify.get('/history', { preHandler: requireAdmin }, async (request, reply) => {
+    const { format = 'json', cursor, limit, ...filters } = request.query;
+    try {
+        if (format === 'csv') {
+            return reply
+                .type('text/csv')
+                .header('Content-Disposition', 'attachment; filename="call-history.csv"')
+                .send(history.exportCsv(filters));
+        }
+        if (format !== 'json') {
+            return reply.status(400).send({ error: 'format must be json or csv' });
+        }
+        reply.send(history.query({ cursor, limit, ...filters }));
+    } catch (error) {
+        reply.status(error.statusCode || error.status || 500).send({ error: error.message });
+    }
+});
+
+// Whisper for the person answering a transfer, then how the <Dial> ended
+fastify.all('/transfer/whisper', { preHandler: security.requireTwilioSignature }, async (request, reply) => {
+    reply.type('text/xml').send(transfers.whisperTwiml(request.query.callSid));
+});
+
+fastify.post('/transfer/result', { preHandler: security.requireTwilioSignature }, async (request, reply) => {
+    const { callSid } = request.query;
+    const dialCallStatus = request.body?.DialCallStatus;
+    console.log(`Transfer of call ${callSid} ended: ${dialCallStatus}`);
+    reply.type('text/xml').send(transfers.dialResultTwiml(callSid, dialCallStatus, { baseUrl: security.baseUrl(request) }));
+});
+
+// Twilio's report of the voicemail a caller left when nobody took the transfer
+fastify.post('/transfer/voicemail', { preHandler: security.requireTwilioSignature }, async (request, reply) => {
+    transfers.voicemailRecorded(request.query.callSid, request.body || {});
+    reply.send({ success: true });
+});
+
+// WebSocket route for media-stream
+fastify.register(async (fastify) => {
+    fastify.get('/media-stream', { websocket: true }, (connection, req) => {
+        console.log('Client connected');
+
+        bridgeMediaStream(connection, {
+            WebSocket,
+            backends,
+            processors: AUDIO_OPTIONS.processors,
+            personaFor: callPersona,
+            lookupCaller,
+            tools,
+            toolContext: {
+                transferCall: async ({ callSid, reason, summary, transcript }) => {
+                    const transfer = await transfers.transfer({
+                        callSid,
+                        baseUrl: security.baseUrl(req),
+                        target: callPersona(callSid).transferTo || TRANSFER_TO,
+                        reason,
+                        summary,
+                        transcript,
+                    });
+                    updateCall(callSid, { transfer });
+                    return transfer;
+                },
+                // The callback goes to the customer's number, from the number they know us by
+                scheduleCallback: async ({ callSid, caller, ...request }) => callbacks.schedule({
+                    ...request,
+                    callSid,
+                    to: customerNumber(caller),
+                    from: (caller.direction === 'inbound' ? caller.to : caller.from) || TWILIO_PHONE_NUMBER,
+                    persona: callPersona(callSid),
+                    variables: getCall(callSid)?.variables,
+                    baseUrl: security.baseUrl(req),
+                }),
+            },
+            dtmf: DTMF_OPTIONS,
+            metrics,
+            monitor,
+            gate,
+            record: recordCalls,
+            authorizeStart: security.authorizeStream,
+            shouldConnect: voicemail.waitForHuman, // Outbound calls wait for answering machine detection
+            maxReconnectAttempts: Number(OPENAI_MAX_RECONNECTS),
+            onOpenAiLost: ({ callSid }) => {
+                twilioClient.calls(callSid).update({ twiml: FALLBACK_TWIML })
+                    .then(() => console.log(`Moved call ${callSid} to fallback TwiML (${FALLBACK_MODE})`))
+                    .catch((error) => console.error(`Error moving call ${callSid} to fallback TwiML:`, error));
+            },
+            onStart: ({ callSid, streamSid, transcript }) => attachStream(callSid, streamSid, { transcript }),
+            onClose: ({ callSid, recorder, transcript, usage, endReason }) => {
+                if (!callSid) return;
+                const call = detachStream(callSid, { usage, endReason });
+                if (recorder) {
+                    recordings.save(callSid, recorder)
+                        .then((recording) => updateCall(callSid, { recording }))
+                        .catch((error) => console.error('Error saving recording:', error));
+                }
+                if (postCall && call) {
+                    const details = { ...summarizeCall(call), answeredBy: call.answeredBy };
+                    postCall.process({ call: details, persona: call.persona, transcript })
+                        .then((outcome) => { call.postCall = outcome; });
+                }
+            },
+        });
+    });
+});
+
+// Operations dashboard at /admin: live calls and transcripts, hang up / mute / instruct
+if (ADMIN_TOKEN) {
+    fastify.register(dashboardRoutes({ monitor, adminToken: ADMIN_TOKEN }), { prefix: '/admin' });
+} else {
+    console.log('Set ADMIN_TOKEN to enable the dashboard at /admin and the routes that need admin auth');
+}
+
+// Start the Fastify server
+fastify.listen({ port: PORT }, (err) => {
+    if (err) {
+        console.error(err);
+        process.exit(1);
+    }
+    console.log(`Server is listening on port ${PORT}`);
+});
+
+// Graceful shutdown: on SIGTERM or SIGINT, stop taking calls and have the agent say goodbye on the live
+// ones (DRAIN_MODE=transfer hands them to a human instead), then exit once they are over. Calls still up
+// after DRAIN_TIMEOUT_MS are hung up; a second signal exits right away.
+async function shutdown(signal) {
+    if (gate.isDraining()) {
+        console.log(`${signal} received again; exiting now`);
+        process.exit(1);
+    }
+    console.log(`${signal} received; draining ${gate.status().activeCalls} live call(s)`);
+    callbacks.stop();
+    const hungUp = await gate.drain({ mode: DRAIN_MODE, timeoutMs: Number(DRAIN_TIMEOUT_MS) });
+    if (hungUp) {
+        console.warn(`Hung up ${hungUp} call(s) still live after ${DRAIN_TIMEOUT_MS} ms`);
+    }
+    await fastify.close();
+    db.close();
+    console.log('Server stopped');
+    process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+
@@ -0,0 +1,228 @@
+///////////////////////////////////////////
+// Audio formats, resampling and processing
+///////////////////////////////////////////
+// Twilio streams G.711 u-law at 8 kHz. The OpenAI session can take the same, or 16-bit PCM at
+// 24 kHz for better quality; other stream sources may send A-law. A pipeline turns base64
+// payloads of one format into another: decode to 16-bit samples, resample, run the direction's
+// processors (gain normalization, noise gate, comfort noise, or your own), encode.
+//
+// A processor is a function (samples, { sampleRate }) => samples taking and returning an
+// Int16Array. It may change the samples in place and keep state between frames, so every call
+// gets its own (see createProcessors).
+import {
+  decodeUlaw,
+  encodeUlaw,
+  decodeAlaw,
+  encodeAlaw,
+} from './g711.js';
+
+function decodePcm16(buffer) {
+  const samples = new Int16Array(buffer.length >> 1);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = buffer.readInt16LE(i * 2);
+  }
+  return samples;
+}
+
+function encodePcm16(samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    buffer.writeInt16LE(samples[i], i * 2);
+  }
+  return buffer;
+}
+
+// Formats by the name the Realtime API uses for them; pcm16 is little-endian
+export const AUDIO_FORMATS = {
+  g711_ulaw: { sampleRate: 8000, decode: decodeUlaw, encode: encodeUlaw },
+  g711_alaw: { sampleRate: 8000, decode: decodeAlaw, encode: encodeAlaw },
+  pcm16: { sampleRate: 24000, decode: decodePcm16, encode: encodePcm16 },
+};
+
+// "pcm16" or { format: 'pcm16', sampleRate: 16000 } -> { name, sampleRate, decode, encode }
+function resolveFormat(spec) {
+  const { format, sampleRate } = typeof spec === 'string' ? { format: spec } : spec;
+  const known = AUDIO_FORMATS[format];
+  if (!known) {
+    throw new Error(`Unknown audio format "${format}"; expected one of ${Object.keys(AUDIO_FORMATS).join(', ')}`);
+  }
+  return { ...known, name: format, sampleRate: sampleRate || known.sampleRate };
+}
+
+const clamp = (value) => Math.max(-32768, Math.min(32767, Math.round(value)));
+
+// Level of a frame in dBFS; -Infinity for digital silence
+export function levelDbfs(samples) {
+  if (!samples.length) return -Infinity;
+  let sum = 0;
+  for (const sample of samples) {
+    sum += sample * sample;
+  }
+  return 20 * Math.log10(Math.sqrt(sum / samples.length) / 32768);
+}
+
+// Converts between two rates that are whole multiples of each other, e.g. 8 kHz <-> 24 kHz.
+// Upsampling interpolates linearly from the previous sample; downsampling averages each group
+// of input samples, which also keeps what is above the new Nyquist frequency from aliasing.
+// State carries over between chunks, so frames can be fed one at a time.
+export function createResampler(fromRate, toRate) {
+  const ratio = Math.max(fromRate, toRate) / Math.min(fromRate, toRate);
+  if (!Number.isInteger(ratio)) {
+    throw new Error(`Can't resample ${fromRate} Hz to ${toRate} Hz; one must be a multiple of the other`);
+  }
+  let previous = null; // last input sample, when upsampling
+  let pending = [];    // input samples of an incomplete group, when downsampling
+
+  const upsample = (samples) => {
+    const output = new Int16Array(samples.length * ratio);
+    for (let i = 0; i < samples.length; i++) {
+      const from = previous ?? samples[i];
+      for (let step = 1; step <= ratio; step++) {
+        output[i * ratio + step - 1] = clamp(from + ((samples[i] - from) * step) / ratio);
+      }
+      previous = samples[i];
+    }
+    return output;
+  };
+
+  const downsample = (samples) => {
+    const input = pending.length ? Int16Array.from([...pending, ...samples]) : samples;
+    const output = new Int16Array(Math.floor(input.length / ratio));
+    for (let i = 0; i < output.length; i++) {
+      let sum = 0;
+      for (let j = 0; j < ratio; j++) {
+        sum += input[i * ratio + j];
+      }
+      output[i] = clamp(sum / ratio);
+    }
+    pending = Array.from(input.subarray(output.length * ratio));
+    return output;
+  };
+
+  return {
+    process(samples) {
+      if (ratio === 1) return samples;
+      return toRate > fromRate ? upsample(samples) : downsample(samples);
+    },
+
+    // Forget the previous chunk, e.g. when playback was cut off
+    reset() {
+      previous = null;
+      pending = [];
+    },
+  };
+}
+
+// Brings speech towards a target level. The gain follows the level of frames louder than
+// `floorDbfs` smoothly and never exceeds `maxGainDb`, so quiet background isn't pumped up.
+export function createGainNormalizer({ targetDbfs = -20, maxGainDb = 12, floorDbfs = -50, smoothing = 0.1 } = {}) {
+  let gainDb = 0;
+  return (samples) => {
+    const level = levelDbfs(samples);
+    if (level > floorDbfs) {
+      const wanted = Math.max(-maxGainDb, Math.min(maxGainDb, targetDbfs - level));
+      gainDb += (wanted - gainDb) * smoothing;
+    }
+    const gain = 10 ** (gainDb / 20);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = clamp(samples[i] * gain);
+    }
+    return samples;
+  };
+}
+
+// Silences frames quieter than `thresholdDbfs` once the audio has stayed below it for `holdMs`,
+// so the ends of words aren't clipped
+export function createNoiseGate({ thresholdDbfs = -45, holdMs = 200 } = {}) {
+  let quietMs = 0;
+  return (samples, { sampleRate }) => {
+    if (levelDbfs(samples) >= thresholdDbfs) {
+      quietMs = 0;
+      return samples;
+    }
+    quietMs += (samples.length / sampleRate) * 1000;
+    if (quietMs > holdMs) samples.fill(0);
+    return samples;
+  };
+}
+
+// Fills frames quieter than `thresholdDbfs` with faint white noise at about `levelDbfs`, so the
+// line doesn't sound dead between words. `random` returns numbers in [0, 1).
+export function createComfortNoise({ levelDbfs: noiseDbfs = -65, thresholdDbfs = -60, random = Math.random } = {}) {
+  // Uniform noise in [-a, a] has an RMS of a / sqrt(3)
+  const amplitude = 32768 * 10 ** (noiseDbfs / 20) * Math.sqrt(3);
+  return (samples) => {
+    if (levelDbfs(samples) >= thresholdDbfs) return samples;
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = clamp(samples[i] + (random() * 2 - 1) * amplitude);
+    }
+    return samples;
+  };
+}
+
+// Processors by the name used in a spec, each taking its main setting
+export const PROCESSORS = {
+  gain: (targetDbfs) => createGainNormalizer(targetDbfs === undefined ? {} : { targetDbfs }),
+  'noise-gate': (thresholdDbfs) => createNoiseGate(thresholdDbfs === undefined ? {} : { thresholdDbfs }),
+  'comfort-noise': (levelDbfs) => createComfortNoise(levelDbfs === undefined ? {} : { levelDbfs }),
+};
+
+// Fresh processors for one call from a spec: a comma-separated string of names with an optional
+// setting, e.g. "noise-gate:-40,gain:-18", or an array of such names and of factories that
+// return a processor
+export function createProcessors(spec) {
+  const entries = typeof spec === 'string' ? spec.split(',') : spec || [];
+  return entries
+    .map((entry) => (typeof entry === 'string' ? entry.trim() : entry))
+    .filter(Boolean)
+    .map((entry) => {
+      if (typeof entry === 'function') return entry();
+      const [name, setting] = entry.split(':');
+      const factory = PROCESSORS[name.trim()];
+      if (!factory) {
+        throw new Error(`Unknown audio processor "${name.trim()}"; expected one of ${Object.keys(PROCESSORS).join(', ')}`);
+      }
+      const value = setting === undefined ? undefined : Number(setting);
+      if (Number.isNaN(value)) {
+        throw new Error(`Audio processor "${entry}" needs a number after the colon`);
+      }
+      return factory(value);
+    });
+}
+
+// Converts base64 audio of format `from` to format `to` (a name from AUDIO_FORMATS, or
+// { format, sampleRate }), running `processors` on the samples at the output rate. Payloads
+// that need no conversion and no processing are passed through untouched.
+export function createAudioPipeline({ from, to, processors = [] }) {
+  const input = resolveFormat(from);
+  const output = resolveFormat(to);
+  const resampler = createResampler(input.sampleRate, output.sampleRate);
+  const passthrough = input.name === output.name && input.sampleRate === output.sampleRate && !processors.length;
+
+  return {
+    passthrough,
+
+    // base64 in, base64 out; may come out empty while the resampler waits for more input
+    process(payload) {
+      if (passthrough) return payload;
+      let samples = resampler.process(input.decode(Buffer.from(payload, 'base64')));
+      for (const processor of processors) {
+        samples = processor(samples, { sampleRate: output.sampleRate });
+      }
+      return output.encode(samples).toString('base64');
+    },
+
+    reset() {
+      resampler.reset();
+    },
+  };
+}
+
+// Throws on an unknown format or processor in the bridge's audio options (see media-bridge.js),
+// so a typo in the configuration shows at startup rather than on the first call
+export function checkAudioOptions({ audioFormat = 'g711_ulaw', streamAudioFormat = 'g711_ulaw', processors = {} }) {
+  resolveFormat(audioFormat);
+  resolveFormat(streamAudioFormat);
+  createProcessors(processors.caller);
+  createProcessors(processors.agent);
+}
@@ -0,0 +1,168 @@
+///////////////////////////////////////////
+// Concurrency limit and draining
+///////////////////////////////////////////
+// Every call holds a slot from the moment it is let in (its TwiML is served, or an outbound call
+// is about to be placed) until its media stream ends, so no more than `maxCalls` backend sessions are ever
+// open at once. On shutdown the gate drains: no call is let in any more, the live ones are
+// wrapped up (see media-bridge.js) and whatever is still connected at the deadline is hung up.
+// The bridge reports into it (its `gate` option); /readyz reads its status.
+
+// How long a slot is held for a call that was let in but whose stream hasn't started: an
+// outbound call may ring for up to a minute
+const RESERVATION_MS = 60000;
+
+// Drain modes: the agent says goodbye and hangs up, or the caller is handed to a human
+export const DRAIN_MODES = ['end', 'transfer'];
+
+const DRAIN_REASON = 'The server is shutting down';
+
+// Thrown when a call can't be placed right now; `statusCode` is what the route replies with
+export class CallCapacityError extends Error {
+  constructor(message, statusCode = 503) {
+    super(message);
+    this.name = 'CallCapacityError';
+    this.statusCode = statusCode;
+  }
+}
+
+// A stand-in for a reserved slot where no gate limits the calls, e.g. in schedulers' defaults
+export const unlimitedSlot = () => ({ bind() {}, release() {} });
+
+// Options:
+//   maxCalls        concurrent calls allowed; Infinity (the default) for no limit
+//   reservationMs   see RESERVATION_MS
+export function createCallGate({ maxCalls = Infinity, reservationMs = RESERVATION_MS } = {}) {
+  const reserved = new Map(); // Call SID (or a placeholder) -> when its slot is given up, for calls without a stream yet
+  const live = new Map();     // Call SID -> the bridge's controls (see media-bridge.js), for calls with a stream
+  let draining = false;
+  let onIdle = null;          // resolves the drain once the last live call is over
+  let placeholders = 0;
+
+  const inUse = () => {
+    const now = Date.now();
+    for (const [callSid, expiresAt] of reserved) {
+      if (expiresAt <= now) reserved.delete(callSid);
+    }
+    return reserved.size + live.size;
+  };
+
+  const hasRoom = () => !draining && inUse() < maxCalls;
+
+  // Hold a slot for a call that hasn't been placed yet, so calls placed side by side can't
+  // overshoot the limit while their Twilio requests are in flight; null when there is no room.
+  // The slot is bound to the call's SID once Twilio returns one, or released if it doesn't.
+  const tryReserve = () => {
+    if (!hasRoom()) return null;
+    let key = `pending-${++placeholders}`;
+    reserved.set(key, Date.now() + reservationMs);
+    return {
+      bind(callSid) {
+        if (key && reserved.delete(key)) reserved.set(callSid, Date.now() + reservationMs);
+        key = null;
+      },
+      release() {
+        if (key) reserved.delete(key);
+        key = null;
+      },
+    };
+  };
+
+  return {
+    hasRoom,
+
+    isDraining: () => draining,
+
+    // Let a new call in and hold a slot for it; false when the server is full or draining.
+    // A call that already holds one is let in again, e.g. when Twilio retries the webhook.
+    admit(callSid) {
+      if (draining) return false;
+      if (reserved.has(callSid) || live.has(callSid)) return true;
+      if (!hasRoom()) return false;
+      reserved.set(callSid, Date.now() + reservationMs);
+      return true;
+    },
+
+    tryReserve,
+
+    // Like tryReserve(), but throws a CallCapacityError, for routes that place outbound calls
+    reserve() {
+      if (draining) throw new CallCapacityError('The server is shutting down');
+      const slot = tryReserve();
+      if (!slot) throw new CallCapacityError(`All ${maxCalls} call slots are in use`);
+      return slot;
+    },
+
+    // From the bridge: a media stream's "start" message, after authorizeStart. Streams of calls
+    // that were let in take their slot; others need a free one. Returns { valid, reason }.
+    authorizeStart({ callSid }) {
+      const wasLetIn = reserved.delete(callSid);
+      if (draining) return { valid: false, reason: 'the server is shutting down' };
+      if (!wasLetIn && inUse() >= maxCalls) return { valid: false, reason: 'too many concurrent calls' };
+      return { valid: true };
+    },
+
+    // From the bridge, right after authorizeStart: the stream is up, and `controls` wrap the call
+    // up on shutdown
+    callStarted(callSid, controls) {
+      live.set(callSid, controls);
+    },
+
+    callEnded(callSid) {
+      reserved.delete(callSid);
+      live.delete(callSid);
+      if (draining && live.size === 0) onIdle?.();
+    },
+
+    status() {
+      return {
+        draining,
+        activeCalls: live.size,
+        pendingCalls: inUse() - live.size,
+        maxCalls: Number.isFinite(maxCalls) ? maxCalls : null,
+      };
+    },
+
+    // Stop letting calls in, wrap up each live call the way `mode` (one of DRAIN_MODES) says and
+    // wait for them to end; calls still connected after `timeoutMs` are hung up. Resolves to how
+    // many were. A call that can't be transferred is ended instead. The deadline starts before
+    // the wrap-ups, so a transfer whose Twilio request hangs can't hold up the shutdown.
+    async drain({ mode = 'end', timeoutMs = 30000 } = {}) {
+      const wrapUp = async (callSid, controls) => {
+        if (mode === 'transfer') {
+          try {
+            await controls.transfer(DRAIN_REASON);
+            return;
+          } catch (error) {
+            console.error(`Couldn't transfer call ${callSid} (${error.message}); ending it instead`);
+          }
+        }
+        controls.wrapUp();
+      };
+      draining = true;
+      reserved.clear();
+      const idle = new Promise((resolve) => {
+        onIdle = resolve;
+      });
+      if (live.size === 0) return 0;
+
+      let timer;
+      const timedOut = new Promise((resolve) => {
+        timer = setTimeout(resolve, timeoutMs);
+      });
+      for (const [callSid, controls] of live) {
+        wrapUp(callSid, controls).catch((error) => {
+          console.error(`Error wrapping up call ${callSid}; hanging up:`, error.message);
+          controls.hangUp();
+        });
+      }
+      await Promise.race([idle, timedOut]);
+      clearTimeout(timer);
+
+      const remaining = [...live.values()];
+      for (const controls of remaining) {
+        controls.hangUp();
+      }
+      return remaining.length;
+    },
+  };
+}
@@ -0,0 +1,258 @@
+///////////////////////////////////////////
+// Persistent call history
+///////////////////////////////////////////
+// Every call the registry knows about (see call-registry.js) is written to the `calls` table of
+// the server's SQLite database (see database.js), so finished calls, their transcripts and the
+// paths of their recordings survive a restart.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Statuses that end a call without anyone talking; they are its end reason too
+const UNANSWERED_STATUSES = ['busy', 'no-answer', 'canceled', 'failed'];
+
+// Columns of GET /history?format=csv, in order
+export const HISTORY_CSV_COLUMNS = [
+  'sid', 'direction', 'from', 'to', 'profile', 'voice', 'status', 'endReason', 'answeredBy',
+  'createdAt', 'streamStartedAt', 'streamEndedAt', 'duration', 'inputTokens', 'outputTokens',
+  'transcriptUrl', 'recordingUrl',
+];
+
+// Thrown for a history query with bad filters; `statusCode` is what the route replies with
+export class HistoryQueryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'HistoryQueryError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Why a call ended, as far as we know: a transfer or voicemail, the media stream's reason (see
+// media-bridge.js), or the status of a call nobody answered
+function endReason(call) {
+  if (call.transfer) return 'transferred';
+  if (call.voicemail) return 'voicemail';
+  if (call.endReason) return call.endReason;
+  if (UNANSWERED_STATUSES.includes(call.status)) return call.status;
+  return null;
+}
+
+// A registry call as a row; unknown values are null so they don't overwrite what is stored
+function toRow(call) {
+  const entries = call.transcript?.entries();
+  return {
+    sid: call.sid,
+    direction: call.direction,
+    from_number: call.from,
+    to_number: call.to,
+    profile: call.persona?.profile ?? null,
+    voice: call.persona?.voice ?? null,
+    status: call.status,
+    end_reason: endReason(call),
+    answered_by: call.answeredBy,
+    error_code: call.errorCode,
+    error_message: call.errorMessage,
+    created_at: call.createdAt,
+    updated_at: call.updatedAt,
+    stream_started_at: call.streamStartedAt,
+    stream_ended_at: call.streamEndedAt,
+    duration_seconds: call.duration,
+    input_text_tokens: call.usage?.input.text ?? null,
+    input_audio_tokens: call.usage?.input.audio ?? null,
+    output_text_tokens: call.usage?.output.text ?? null,
+    output_audio_tokens: call.usage?.output.audio ?? null,
+    transcript: entries?.length ? JSON.stringify(entries) : null,
+    recording_path: call.recording?.path ?? null,
+    recording_mixed_path: call.recording?.mixedPath ?? null,
+  };
+}
+
+const COLUMNS = Object.keys(toRow({ sid: null }));
+
+// A row as the API shows it; the transcript and recording are served by /calls/:sid/...
+function fromRow(row) {
+  const tokens = (text, audio) => (text === null && audio === null ? null : (text || 0) + (audio || 0));
+  return {
+    sid: row.sid,
+    direction: row.direction,
+    from: row.from_number,
+    to: row.to_number,
+    profile: row.profile,
+    voice: row.voice,
+    status: row.status,
+    endReason: row.end_reason,
+    answeredBy: row.answered_by,
+    errorCode: row.error_code,
+    errorMessage: row.error_message,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    streamStartedAt: row.stream_started_at,
+    streamEndedAt: row.stream_ended_at,
+    duration: row.duration_seconds,
+    inputTokens: tokens(row.input_text_tokens, row.input_audio_tokens),
+    outputTokens: tokens(row.output_text_tokens, row.output_audio_tokens),
+    usage: row.input_text_tokens === null && row.output_text_tokens === null ? null : {
+      input: { text: row.input_text_tokens || 0, audio: row.input_audio_tokens || 0 },
+      output: { text: row.output_text_tokens || 0, audio: row.output_audio_tokens || 0 },
+    },
+    transcriptUrl: row.has_transcript ? `/calls/${row.sid}/transcript` : null,
+    recordingUrl: row.recording_path ? `/calls/${row.sid}/recording` : null,
+  };
+}
+
+// Cursors are opaque to clients: the sort key of the last call on the page
+const encodeCursor = (row) => Buffer.from(JSON.stringify([row.created_at, row.sid])).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, sid] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof createdAt === 'string' && typeof sid === 'string') return { createdAt, sid };
+  } catch {
+    // Reported below
+  }
+  throw new HistoryQueryError('"cursor" is not a cursor from a previous page');
+}
+
+function parseDate(value, name) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new HistoryQueryError(`"${name}" must be a date or date-time, e.g. 2024-05-01 or 2024-05-01T09:00:00Z`);
+  }
+  return new Date(time).toISOString();
+}
+
+// WHERE clause and parameters for the filters of GET /history:
+//   number        calls from or to this number
+//   since, until  calls created in this range; a date without a time includes all of that day for until
+//   status        one status, or several separated by commas
+//   persona       the profile the call's persona came from
+//   direction     "inbound", "outbound-api", ...
+function whereClause({ number, since, until, status, persona, direction }) {
+  // A query string parameter given more than once arrives as an array
+  for (const [name, value] of Object.entries({ number, since, until, status, persona, direction })) {
+    if (value !== undefined && typeof value !== 'string') {
+      throw new HistoryQueryError(`"${name}" must be given at most once`);
+    }
+  }
+  const conditions = [];
+  const params = {};
+  if (number) {
+    conditions.push('(from_number = @number OR to_number = @number)');
+    params.number = number;
+  }
+  if (since) {
+    conditions.push('created_at >= @since');
+    params.since = parseDate(since, 'since');
+  }
+  if (until) {
+    conditions.push('created_at < @until');
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(until);
+    params.until = dateOnly
+      ? new Date(Date.parse(parseDate(until, 'until')) + 24 * 60 * 60 * 1000).toISOString()
+      : parseDate(until, 'until');
+  }
+  if (status) {
+    const statuses = status.split(',').map((value) => value.trim()).filter(Boolean);
+    conditions.push(`status IN (${statuses.map((_, i) => `@status${i}`).join(', ')})`);
+    statuses.forEach((value, i) => { params[`status${i}`] = value; });
+  }
+  if (persona) {
+    conditions.push('profile = @persona');
+    params.persona = persona;
+  }
+  if (direction) {
+    conditions.push('direction = @direction');
+    params.direction = direction;
+  }
+  return { conditions, params };
+}
+
+const SELECT = `SELECT ${COLUMNS.filter((column) => column !== 'transcript').join(', ')},
+  transcript IS NOT NULL AS has_transcript FROM calls`;
+
+// Cells a spreadsheet would read as a formula (caller-controlled text such as a number or a
+// profile name can start with one of these) get a leading ' so they stay text
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = /^[=+\-@\t\r]/.test(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Options: db (an open database, see database.js)
+export function createCallHistory({ db }) {
+  // Known values win over nulls, so a call re-registered after a restart keeps what was stored
+  const upsert = db.prepare(`
+    INSERT INTO calls (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map((column) => `@${column}`).join(', ')})
+    ON CONFLICT (sid) DO UPDATE SET
+    ${COLUMNS.filter((column) => !['sid', 'created_at'].includes(column))
+    .map((column) => `${column} = COALESCE(excluded.${column}, ${column})`)
+    .join(',\n    ')}`);
+  const selectOne = db.prepare(`${SELECT} WHERE sid = ?`);
+  const selectTranscript = db.prepare('SELECT transcript FROM calls WHERE sid = ?');
+  const selectRecording = db.prepare('SELECT recording_path, recording_mixed_path FROM calls WHERE sid = ?');
+
+  const select = (filters, { cursor, limit } = {}) => {
+    const { conditions, params } = whereClause(filters);
+    if (cursor) {
+      const { createdAt, sid } = decodeCursor(cursor);
+      conditions.push('(created_at, sid) < (@cursorCreatedAt, @cursorSid)');
+      Object.assign(params, { cursorCreatedAt: createdAt, cursorSid: sid });
+    }
+    const where = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const page = limit ? ` LIMIT ${limit}` : '';
+    return db.prepare(`${SELECT}${where} ORDER BY created_at DESC, sid DESC${page}`).all(params);
+  };
+
+  return {
+    // From the registry: a call was created or changed
+    save(call) {
+      try {
+        upsert.run(toRow(call));
+      } catch (error) {
+        console.error(`Error saving call ${call.sid} to the call history:`, error.message);
+      }
+    },
+
+    get(sid) {
+      const row = selectOne.get(sid);
+      return row ? fromRow(row) : null;
+    },
+
+    // The stored transcript entries of a call (see transcript.js), or null
+    transcript(sid) {
+      const row = selectTranscript.get(sid);
+      return row?.transcript ? JSON.parse(row.transcript) : null;
+    },
+
+    // Where a call's recording was saved, { path, mixedPath } like recording.js reports it, or null
+    recording(sid) {
+      const row = selectRecording.get(sid);
+      return row?.recording_path ? { path: row.recording_path, mixedPath: row.recording_mixed_path } : null;
+    },
+
+    // One page of calls matching `filters` (see whereClause), newest first:
+    // { calls, nextCursor }, nextCursor being null on the last page
+    query({ cursor, limit = DEFAULT_PAGE_SIZE, ...filters } = {}) {
+      const pageSize = Number(limit);
+      if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw new HistoryQueryError(`"limit" must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+      }
+      const rows = select(filters, { cursor, limit: pageSize + 1 });
+      const page = rows.slice(0, pageSize);
+      return {
+        calls: page.map(fromRow),
+        nextCursor: rows.length > pageSize ? encodeCursor(page.at(-1)) : null,
+      };
+    },
+
+    // Every call matching `filters` as CSV, with a header row of HISTORY_CSV_COLUMNS
+    exportCsv(filters = {}) {
+      const lines = [HISTORY_CSV_COLUMNS.join(',')];
+      for (const row of select(filters)) {
+        const call = fromRow(row);
+        lines.push(HISTORY_CSV_COLUMNS.map((column) => csvField(call[column])).join(','));
+      }
+      return `${lines.join('\r\n')}\r\n`;
+    },
+  };
+}
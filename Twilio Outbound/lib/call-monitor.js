@@ -0,0 +1,195 @@
+///////////////////////////////////////////
+// Live call monitor
+///////////////////////////////////////////
+// What the dashboard shows: calls whose media stream is up, the most recent finished ones,
+// and each call's events (transcript lines, interruptions, tool calls, ...). The bridge
+// reports into it (see media-bridge.js) and hands over the controls the dashboard's actions use.
+// Supervisors can listen to a live call's audio and whisper to its agent.
+
+const MAX_RECENT_CALLS = 50;
+const MAX_EVENTS_PER_CALL = 500;
+const MAX_INSTRUCTION_LENGTH = 2000;
+
+// How a supervisor's whisper is put to the agent; the caller never hears system messages
+const WHISPER_PREFIX = "Private note from your supervisor. Follow it, but never mention it or read it out to the caller:";
+
+// Thrown for a dashboard action that can't be carried out; `statusCode` is what the route replies with
+export class CallControlError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CallControlError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Options:
+//   onWhisper({ callSid, by, claimedBy, text, at })  called for every whisper, e.g. to log it on the call record
+//
+// Actions take { by, claimedBy }: who is accountable for them, and an unverified name they gave
+export function createCallMonitor({ onWhisper = () => {} } = {}) {
+  const calls = new Map(); // Call SID -> entry, oldest first
+  const listeners = new Set();
+
+  const publish = (message) => {
+    for (const listener of listeners) {
+      try {
+        listener(message);
+      } catch (error) {
+        console.error('Error in call monitor listener:', error);
+      }
+    }
+  };
+
+  const summarize = (entry) => ({
+    callSid: entry.callSid,
+    streamSid: entry.streamSid,
+    direction: entry.direction,
+    from: entry.from,
+    to: entry.to,
+    profile: entry.profile,
+    voice: entry.voice,
+    live: entry.endedAt === null,
+    muted: entry.muted,
+    startedAt: entry.startedAt,
+    endedAt: entry.endedAt,
+    durationSeconds: Math.round(((entry.endedAt ? Date.parse(entry.endedAt) : Date.now()) - Date.parse(entry.startedAt)) / 1000),
+  });
+
+  const record = (entry, type, data) => {
+    const event = { type, at: new Date().toISOString(), ...data };
+    entry.events.push(event);
+    if (entry.events.length > MAX_EVENTS_PER_CALL) {
+      entry.events.shift();
+    }
+    publish({ type: 'event', callSid: entry.callSid, event });
+  };
+
+  const pruneEnded = () => {
+    const ended = [...calls.values()].filter((entry) => entry.endedAt !== null);
+    for (const entry of ended.slice(0, Math.max(0, ended.length - MAX_RECENT_CALLS))) {
+      calls.delete(entry.callSid);
+    }
+  };
+
+  // The controls of a call that is still live, or a 404/409 CallControlError
+  const liveControls = (callSid) => {
+    const entry = calls.get(callSid);
+    if (!entry) throw new CallControlError(`Unknown call ${callSid}`, 404);
+    if (!entry.controls) throw new CallControlError(`Call ${callSid} has ended`, 409);
+    return entry;
+  };
+
+  return {
+    // From the bridge: a media stream was authorized. `controls` is { hangUp, setMuted, injectInstruction, wrapUp, transfer }.
+    callStarted({ callSid, streamSid, caller, persona, controls }) {
+      const entry = {
+        callSid,
+        streamSid,
+        direction: caller?.direction ?? null,
+        from: caller?.from ?? null,
+        to: caller?.to ?? null,
+        profile: persona?.profile ?? null,
+        voice: persona?.voice ?? null,
+        muted: false,
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        events: [],
+        controls,
+        audioListeners: new Set(),
+      };
+      calls.delete(callSid);
+      calls.set(callSid, entry);
+      publish({ type: 'call', call: summarize(entry) });
+    },
+
+    // From the bridge: something happened on a call, e.g. ('transcript', { speaker, text })
+    event(callSid, type, data = {}) {
+      const entry = calls.get(callSid);
+      if (entry) record(entry, type, data);
+    },
+
+    callEnded(callSid) {
+      const entry = calls.get(callSid);
+      if (!entry || entry.endedAt) return;
+      entry.endedAt = new Date().toISOString();
+      entry.controls = null;
+      entry.audioListeners.clear();
+      publish({ type: 'call', call: summarize(entry) });
+      pruneEnded();
+    },
+
+    // From the bridge: one frame of base64 u-law audio, `track` being 'caller' or 'agent'.
+    // `timestamp` is in ms on the stream's clock, for lining the two tracks up.
+    audio(callSid, track, payload, timestamp) {
+      const entry = calls.get(callSid);
+      if (!entry?.audioListeners.size) return;
+      for (const listener of entry.audioListeners) {
+        listener({ track, payload, timestamp });
+      }
+    },
+
+    // Listen in on a live call: `listener({ track, payload, timestamp })` gets every frame
+    // until the call ends or the returned function is called
+    listen(callSid, listener) {
+      const entry = liveControls(callSid);
+      entry.audioListeners.add(listener);
+      return () => entry.audioListeners.delete(listener);
+    },
+
+    // Live calls first, then recent ones, newest first
+    list() {
+      return [...calls.values()]
+        .reverse()
+        .sort((a, b) => Number(a.endedAt !== null) - Number(b.endedAt !== null))
+        .map(summarize);
+    },
+
+    // One call with its events, or null
+    get(callSid) {
+      const entry = calls.get(callSid);
+      return entry ? { ...summarize(entry), events: [...entry.events] } : null;
+    },
+
+    // `listener({ type: 'call', call })` or `listener({ type: 'event', callSid, event })`; returns unsubscribe
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    hangUp(callSid, { by = 'admin', claimedBy = null } = {}) {
+      const entry = liveControls(callSid);
+      record(entry, 'hangup', { by, claimedBy });
+      entry.controls.hangUp();
+    },
+
+    setMuted(callSid, muted, { by = 'admin', claimedBy = null } = {}) {
+      const entry = liveControls(callSid);
+      entry.controls.setMuted(Boolean(muted));
+      entry.muted = Boolean(muted);
+      record(entry, muted ? 'muted' : 'unmuted', { by, claimedBy });
+      publish({ type: 'call', call: summarize(entry) });
+    },
+
+    // Add a system message to the call's OpenAI session; the caller doesn't hear it
+    injectInstruction(callSid, text, { by = 'admin', claimedBy = null } = {}) {
+      if (typeof text !== 'string' || !text.trim() || text.length > MAX_INSTRUCTION_LENGTH) {
+        throw new CallControlError(`"text" must be a non-empty string of at most ${MAX_INSTRUCTION_LENGTH} characters`);
+      }
+      const entry = liveControls(callSid);
+      entry.controls.injectInstruction(text.trim());
+      record(entry, 'instruction', { by, claimedBy, text: text.trim() });
+    },
+
+    // A supervisor's coaching for the agent; like an instruction, but logged as a whisper
+    whisper(callSid, text, { by = 'supervisor', claimedBy = null } = {}) {
+      if (typeof text !== 'string' || !text.trim() || text.length > MAX_INSTRUCTION_LENGTH) {
+        throw new CallControlError(`"text" must be a non-empty string of at most ${MAX_INSTRUCTION_LENGTH} characters`);
+      }
+      const entry = liveControls(callSid);
+      entry.controls.injectInstruction(`${WHISPER_PREFIX} ${text.trim()}`);
+      const whisper = { callSid, by, claimedBy, text: text.trim(), at: new Date().toISOString() };
+      record(entry, 'whisper', { by, claimedBy, text: whisper.text });
+      onWhisper(whisper);
+    },
+  };
+}
@@ -0,0 +1,216 @@
+///////////////////////////////////////////
+// In-process call registry, keyed by Call SID
+///////////////////////////////////////////
+import { DEFAULT_PERSONA } from './persona.js';
+
+// Statuses after which Twilio sends no further callbacks for a call
+export const FINAL_STATUSES = ['completed', 'busy', 'no-answer', 'canceled', 'failed'];
+
+// Events we ask Twilio to report through the status callback
+export const STATUS_CALLBACK_EVENTS = ['initiated', 'ringing', 'answered', 'completed'];
+
+// How many finished calls to keep around before the oldest are dropped
+const MAX_FINISHED_CALLS = 500;
+
+const calls = new Map();
+const statusListeners = [];
+const updateListeners = [];
+
+function now() {
+  return new Date().toISOString();
+}
+
+function pruneFinishedCalls() {
+  const finished = [...calls.values()].filter((call) => FINAL_STATUSES.includes(call.status));
+  for (const call of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_CALLS))) {
+    calls.delete(call.sid);
+  }
+}
+
+// Register a call we just placed (or one that reached us without being placed here)
+// `variables` (e.g. a campaign contact's columns) are passed on to the media stream
+export function registerCall({ sid, direction = 'outbound-api', to = null, from = null, persona = DEFAULT_PERSONA, variables = {}, status = 'queued' }) {
+  const createdAt = now();
+  const call = {
+    sid,
+    direction,
+    to,
+    from,
+    persona,
+    variables,
+    status,
+    createdAt,
+    updatedAt: createdAt,
+    events: [{ status, timestamp: createdAt, sequenceNumber: null }],
+    duration: null,
+    sipResponseCode: null,
+    errorCode: null,
+    errorMessage: null,
+    answeredBy: null,
+    machineDetectionDuration: null,
+    streamSid: null,
+    streamStartedAt: null,
+    streamEndedAt: null,
+    transcript: null,
+    recording: null,
+    transfer: null,
+    voicemail: null,
+    postCall: null, // { summary, result, delivery } once the post-call pipeline is done
+    whispers: [],   // { by, claimedBy, text, at } from supervisors (see call-monitor.js)
+    usage: null,    // tokens the call used, { input: { text, audio }, output: { text, audio } }
+    endReason: null, // why the media stream ended (see media-bridge.js)
+  };
+  calls.set(sid, call);
+  pruneFinishedCalls();
+  notifyUpdateListeners(call);
+  return call;
+}
+
+export function getCall(sid) {
+  return calls.get(sid) || null;
+}
+
+// Newest first
+export function listCalls() {
+  return [...calls.values()].reverse();
+}
+
+export function callPersona(sid) {
+  return calls.get(sid)?.persona || DEFAULT_PERSONA;
+}
+
+// Apply a Twilio status callback (the form-encoded body Twilio POSTs to statusCallback)
+export function recordStatusCallback(params) {
+  const sid = params.CallSid;
+  let call = calls.get(sid);
+  if (!call) {
+    call = registerCall({
+      sid,
+      direction: params.Direction || 'inbound',
+      to: params.To || null,
+      from: params.From || null,
+      status: params.CallStatus,
+    });
+    // This callback is the first event we know of for the call
+    call.events = [];
+  }
+
+  const sequenceNumber = params.SequenceNumber !== undefined ? Number(params.SequenceNumber) : null;
+  const timestamp = params.Timestamp ? new Date(params.Timestamp).toISOString() : now();
+  call.events.push({ status: params.CallStatus, timestamp, sequenceNumber });
+
+  // Callbacks can arrive out of order; the highest sequence number wins
+  const latest = call.events
+    .filter((event) => event.sequenceNumber !== null)
+    .reduce((a, b) => (b.sequenceNumber > a.sequenceNumber ? b : a), { sequenceNumber: -1 });
+  call.status = latest.status || params.CallStatus;
+
+  if (params.CallDuration !== undefined) call.duration = Number(params.CallDuration);
+  if (params.SipResponseCode) call.sipResponseCode = Number(params.SipResponseCode);
+  if (params.ErrorCode) call.errorCode = params.ErrorCode;
+  if (params.ErrorMessage) call.errorMessage = params.ErrorMessage;
+  if (params.AnsweredBy) call.answeredBy = params.AnsweredBy;
+  call.updatedAt = now();
+
+  notifyStatusListeners(call);
+  notifyUpdateListeners(call);
+  return call;
+}
+
+function notify(listeners, call, kind) {
+  for (const listener of listeners) {
+    try {
+      listener(call);
+    } catch (error) {
+      console.error(`Error in call ${kind} listener:`, error);
+    }
+  }
+}
+
+function notifyStatusListeners(call) {
+  notify(statusListeners, call, 'status');
+}
+
+function notifyUpdateListeners(call) {
+  notify(updateListeners, call, 'update');
+}
+
+// Twilio's answering machine detection result; notifies status listeners like a status callback
+export function recordAnsweredBy(sid, { answeredBy, machineDetectionDuration = null }) {
+  const call = calls.get(sid);
+  if (!call) return null;
+  call.answeredBy = answeredBy;
+  call.machineDetectionDuration = machineDetectionDuration;
+  call.updatedAt = now();
+  notifyStatusListeners(call);
+  notifyUpdateListeners(call);
+  return call;
+}
+
+// Log a supervisor's whisper on the call record
+export function recordWhisper(sid, { by, claimedBy = null, text, at }) {
+  const call = calls.get(sid);
+  if (!call) return null;
+  call.whispers.push({ by, claimedBy, text, at });
+  call.updatedAt = now();
+  notifyUpdateListeners(call);
+  return call;
+}
+
+// Set fields the servers learn about a call, e.g. { recording } or { transfer }
+export function updateCall(sid, fields) {
+  const call = calls.get(sid);
+  if (!call) return null;
+  Object.assign(call, fields);
+  call.updatedAt = now();
+  notifyUpdateListeners(call);
+  return call;
+}
+
+// Get told about every status callback, e.g. to follow up on calls a campaign placed
+export function onCallStatus(listener) {
+  statusListeners.push(listener);
+}
+
+// Get told whenever a call is registered or anything about it changes, e.g. to persist it
+export function onCallUpdate(listener) {
+  updateListeners.push(listener);
+}
+
+// Tie a /media-stream session (and its transcript) to its call
+export function attachStream(sid, streamSid, { transcript = null } = {}) {
+  const call = calls.get(sid) || registerCall({ sid, direction: 'inbound', status: 'in-progress' });
+  call.streamSid = streamSid;
+  call.transcript = transcript;
+  call.streamStartedAt = now();
+  call.updatedAt = call.streamStartedAt;
+  notifyUpdateListeners(call);
+  return call;
+}
+
+// The stream is over; `fields` are what the bridge reported at the end, e.g. { usage, endReason }
+export function detachStream(sid, fields = {}) {
+  const call = calls.get(sid);
+  if (call) {
+    Object.assign(call, fields);
+    call.streamEndedAt = now();
+    call.updatedAt = call.streamEndedAt;
+    notifyUpdateListeners(call);
+  }
+  return call || null;
+}
+
+// The short form used by GET /calls
+export function summarizeCall(call) {
+  return {
+    sid: call.sid,
+    direction: call.direction,
+    to: call.to,
+    from: call.from,
+    status: call.status,
+    createdAt: call.createdAt,
+    updatedAt: call.updatedAt,
+    duration: call.duration,
+    streamSid: call.streamSid,
+  };
+}
@@ -0,0 +1,289 @@
+///////////////////////////////////////////
+// Scheduled callbacks
+///////////////////////////////////////////
+// When a caller asks to be called back later, the agent books it with the schedule_callback
+// tool. Callbacks live in the `callbacks` table of the server's database (see database.js), so
+// they survive a restart; a timer places each one when it is due, with what the caller wanted
+// added to the persona's instructions, and retries it when nobody picks up.
+import crypto from 'node:crypto';
+import { isE164 } from './persona.js';
+import { FINAL_STATUSES } from './call-registry.js';
+import { isValidTimezone } from './campaigns.js';
+import { isMachine } from './voicemail.js';
+import { unlimitedSlot } from './call-gate.js';
+
+export const CALLBACK_DEFAULTS = {
+  tickMs: 1000,
+  minLeadSeconds: 60,        // a callback can't be booked sooner than this
+  maxDaysAhead: 30,          // or further ahead than this
+  maxAttempts: 3,
+  retryDelaySeconds: 300,    // doubled after every further attempt, like campaigns
+  maxLatenessMinutes: 60,    // a callback more overdue than this (the server was down) is marked missed
+};
+
+export const CALLBACK_STATUSES = ['scheduled', 'dialing', 'in-progress', 'completed', 'failed', 'missed', 'cancelled'];
+
+// Call outcomes that are worth trying again later; "machine" is a call voicemail answered
+const RETRYABLE_STATUSES = ['no-answer', 'busy', 'machine'];
+
+const LOCAL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+// Thrown for an invalid callback or action; `statusCode` is what the route replies with
+export class CallbackError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CallbackError';
+    this.statusCode = statusCode;
+  }
+}
+
+// The wall-clock time in `timeZone` at `time` (ms), as if that zone were UTC
+function wallClock(time, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(new Date(time)).map(({ type, value }) => [type, Number(value)]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+// "2024-05-02T15:00" read as local time in `timeZone`, as a Date; null if it isn't one.
+// A time with its own offset or "Z" is taken as it is.
+export function localTimeToDate(local, timeZone) {
+  const match = LOCAL_TIME_PATTERN.exec(String(local).trim());
+  if (!match) {
+    const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(String(local).trim());
+    const time = hasOffset ? Date.parse(local) : NaN;
+    return Number.isNaN(time) ? null : new Date(time);
+  }
+  const [year, month, day, hour, minute, second = 0] = match.slice(1).map((value) => Number(value || 0));
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Shift by the zone's offset; twice, in case the first guess lands across a DST change
+  let time = wall;
+  for (let i = 0; i < 2; i++) {
+    time = wall - (wallClock(time, timeZone) - time);
+  }
+  return new Date(time);
+}
+
+const formatLocal = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-US', { timeZone, dateStyle: 'full', timeStyle: 'short' }).format(date);
+
+// The persona for the callback itself: the original one, told why it is calling
+function callbackPersona(row) {
+  const persona = JSON.parse(row.persona);
+  const lines = [
+    `This call is a callback the customer asked for on an earlier call (${formatLocal(new Date(row.created_at), row.timezone)}).`,
+    `Reason for the callback: ${row.reason}`,
+  ];
+  if (row.summary) lines.push(`Summary of the earlier conversation: ${row.summary}`);
+  lines.push('Remind them that they asked to be called back, then pick up where that conversation left off.');
+  return { ...persona, instructions: `${persona.instructions}\n\n${lines.join('\n')}` };
+}
+
+// A row as the API shows it
+function summarize(row) {
+  const persona = JSON.parse(row.persona);
+  return {
+    id: row.id,
+    callSid: row.call_sid,
+    to: row.to_number,
+    from: row.from_number,
+    profile: persona.profile ?? null,
+    scheduledFor: row.scheduled_for,
+    localTime: formatLocal(new Date(row.scheduled_for), row.timezone),
+    timezone: row.timezone,
+    reason: row.reason,
+    summary: row.summary,
+    status: row.status,
+    attempts: row.attempts,
+    callbackCallSid: row.callback_call_sid,
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Options:
+//   db                      an open database (see database.js)
+//   placeCall({ to, from, persona, variables, baseUrl, slot }) -> Call SID; it binds the slot to the
+//                           call, or releases it when the call can't be placed
+//   reserveSlot()           a call slot (see call-gate.js) for the callback about to be placed,
+//                           or null while the server is full
+//   tickMs, minLeadSeconds, maxDaysAhead, maxAttempts, retryDelaySeconds, maxLatenessMinutes
+//                           see CALLBACK_DEFAULTS
+export function createCallbackScheduler({ db, placeCall, reserveSlot = unlimitedSlot, ...options }) {
+  const settings = { ...CALLBACK_DEFAULTS, ...options };
+  let timer = null;
+
+  const insert = db.prepare(`
+    INSERT INTO callbacks (id, call_sid, to_number, from_number, persona, variables, base_url,
+      scheduled_for, timezone, reason, summary, status, created_at, updated_at)
+    VALUES (@id, @call_sid, @to_number, @from_number, @persona, @variables, @base_url,
+      @scheduled_for, @timezone, @reason, @summary, 'scheduled', @created_at, @created_at)`);
+  const update = db.prepare(`
+    UPDATE callbacks SET status = @status, attempts = @attempts, scheduled_for = @scheduled_for,
+      callback_call_sid = @callback_call_sid, error = @error, updated_at = @updated_at
+    WHERE id = @id`);
+  const selectOne = db.prepare('SELECT * FROM callbacks WHERE id = ?');
+  const selectByCallSid = db.prepare('SELECT * FROM callbacks WHERE callback_call_sid = ?');
+  const selectDue = db.prepare("SELECT * FROM callbacks WHERE status = 'scheduled' AND scheduled_for <= ? ORDER BY scheduled_for");
+
+  // A callback that was being placed when the server stopped never got a call; it is tried again
+  db.prepare("UPDATE callbacks SET status = 'scheduled' WHERE status = 'dialing' AND callback_call_sid IS NULL").run();
+
+  const save = (row, changes) => {
+    Object.assign(row, changes, { updated_at: new Date().toISOString() });
+    update.run(row);
+    return row;
+  };
+
+  // Record the outcome of an attempt and schedule a retry when it makes sense
+  const settle = (row, result, error = null) => {
+    if (RETRYABLE_STATUSES.includes(result) && row.attempts < settings.maxAttempts) {
+      const delay = settings.retryDelaySeconds * 1000 * 2 ** (row.attempts - 1);
+      save(row, { status: 'scheduled', scheduled_for: new Date(Date.now() + delay).toISOString(), error });
+    } else {
+      save(row, { status: result === 'completed' ? 'completed' : 'failed', error: error ?? (result === 'completed' ? null : result) });
+    }
+  };
+
+  const dial = async (row, slot) => {
+    save(row, { status: 'dialing', attempts: row.attempts + 1, callback_call_sid: null });
+    try {
+      const callSid = await placeCall({
+        to: row.to_number,
+        from: row.from_number,
+        persona: callbackPersona(row),
+        variables: JSON.parse(row.variables),
+        baseUrl: row.base_url,
+        slot,
+      });
+      save(row, { callback_call_sid: callSid });
+      console.log(`Callback ${row.id}: calling ${row.to_number} (call ${callSid})`);
+    } catch (error) {
+      console.error(`Callback ${row.id}: error calling ${row.to_number}:`, error.message);
+      settle(row, 'failed', error.message);
+    }
+  };
+
+  // Place every callback that is due, as long as there is room. Each takes its slot before it is
+  // dialed, so callbacks placed in the same tick can't exceed the server's limit.
+  const tick = () => {
+    const now = Date.now();
+    for (const row of selectDue.all(new Date(now).toISOString())) {
+      if (now - Date.parse(row.scheduled_for) > settings.maxLatenessMinutes * 60 * 1000) {
+        console.warn(`Callback ${row.id} to ${row.to_number} is too late to place; marking it missed`);
+        save(row, { status: 'missed' });
+        continue;
+      }
+      const slot = reserveSlot();
+      if (!slot) return;
+      dial(row, slot);
+    }
+  };
+
+  const get = (id) => {
+    const row = selectOne.get(id);
+    if (!row) throw new CallbackError('Callback not found', 404);
+    return row;
+  };
+
+  return {
+    // From the schedule_callback tool: `time` is local time in `timezone` (or has its own offset),
+    // `callSid` the call it was booked on. `persona`, `variables` and `baseUrl` are reused for the callback.
+    schedule({ callSid = null, to, from = null, persona, variables = {}, baseUrl, time, timezone, reason, summary = null }) {
+      if (!isE164(to)) {
+        throw new CallbackError(`"to" must be an E.164 phone number, got ${JSON.stringify(to)}`);
+      }
+      if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+        throw new CallbackError(`Unknown timezone ${JSON.stringify(timezone)}; use an IANA name such as "America/New_York"`);
+      }
+      if (typeof reason !== 'string' || !reason.trim()) {
+        throw new CallbackError('"reason" must be a non-empty string');
+      }
+      const at = typeof time === 'string' ? localTimeToDate(time, timezone) : null;
+      if (!at) {
+        throw new CallbackError(`"time" must be a local date and time like 2024-05-02T15:00, got ${JSON.stringify(time)}`);
+      }
+      const lead = at.getTime() - Date.now();
+      if (lead < settings.minLeadSeconds * 1000) {
+        throw new CallbackError(`A callback must be at least ${settings.minLeadSeconds} seconds from now; ${formatLocal(at, timezone)} is too soon`);
+      }
+      if (lead > settings.maxDaysAhead * 24 * 60 * 60 * 1000) {
+        throw new CallbackError(`A callback can be at most ${settings.maxDaysAhead} days ahead`);
+      }
+
+      const row = {
+        id: crypto.randomUUID(),
+        call_sid: callSid,
+        to_number: to,
+        from_number: from,
+        persona: JSON.stringify(persona),
+        variables: JSON.stringify(variables || {}),
+        base_url: baseUrl,
+        scheduled_for: at.toISOString(),
+        timezone,
+        reason: reason.trim(),
+        summary: typeof summary === 'string' && summary.trim() ? summary.trim() : null,
+        created_at: new Date().toISOString(),
+      };
+      insert.run(row);
+      console.log(`Callback ${row.id} to ${to} scheduled for ${row.scheduled_for}`);
+      return summarize(selectOne.get(row.id));
+    },
+
+    // Soonest first; `status` (one of CALLBACK_STATUSES) and `callSid` (the call it was booked on) filter
+    list({ status, callSid } = {}) {
+      if (status && !CALLBACK_STATUSES.includes(status)) {
+        throw new CallbackError(`status must be one of ${CALLBACK_STATUSES.join(', ')}`);
+      }
+      const conditions = [];
+      if (status) conditions.push('status = @status');
+      if (callSid) conditions.push('call_sid = @callSid');
+      const where = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+      return db.prepare(`SELECT * FROM callbacks${where} ORDER BY scheduled_for, id`)
+        .all({ status, callSid })
+        .map(summarize);
+    },
+
+    get(id) {
+      return summarize(get(id));
+    },
+
+    // Only callbacks that haven't been placed yet can be cancelled
+    cancel(id) {
+      const row = get(id);
+      if (row.status !== 'scheduled') throw new CallbackError(`Callback is ${row.status}`, 409);
+      return summarize(save(row, { status: 'cancelled' }));
+    },
+
+    // Feed call registry updates in here (see onCallStatus in call-registry.js)
+    handleCallStatus(call) {
+      const row = selectByCallSid.get(call.sid);
+      if (!row || !['dialing', 'in-progress'].includes(row.status)) return;
+      if (FINAL_STATUSES.includes(call.status)) {
+        settle(row, call.status === 'completed' && isMachine(call.answeredBy) ? 'machine' : call.status);
+      } else if (row.status === 'dialing') {
+        save(row, { status: 'in-progress' });
+      }
+    },
+
+    start() {
+      if (!timer) {
+        timer = setInterval(tick, settings.tickMs);
+        timer.unref();
+      }
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
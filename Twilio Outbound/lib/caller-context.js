@@ -0,0 +1,85 @@
+///////////////////////////////////////////
+// Caller context
+///////////////////////////////////////////
+// The TwiML that connects a call passes who is calling (and an outbound call's variables) as
+// <Stream><Parameter>s. Twilio hands them back in the stream's "start" message, where a lookup
+// hook can add what we know about the caller before the session is configured.
+import fs from 'node:fs/promises';
+import { escapeXml } from './persona.js';
+
+// Parameters the TwiML sets itself; variables with these names are left out
+const RESERVED_PARAMETERS = ['token', 'CallSid', 'From', 'To', 'Direction'];
+
+// <Parameter> elements for a call's <Stream>. `params` are Twilio's webhook parameters;
+// `variables` are extra name -> value pairs, e.g. a campaign contact's columns.
+export function streamParameters({ token, params = {}, variables = {} }) {
+  const values = {
+    token,
+    CallSid: params.CallSid,
+    From: params.From,
+    To: params.To,
+    Direction: params.Direction,
+  };
+  for (const [name, value] of Object.entries(variables || {})) {
+    if (!RESERVED_PARAMETERS.includes(name) && value !== undefined && value !== null) {
+      values[name] = value;
+    }
+  }
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `<Parameter name="${escapeXml(name)}" value="${escapeXml(value)}" />`)
+    .join('\n');
+}
+
+// The caller as described by a "start" message's customParameters
+export function callerFromStart(start = {}) {
+  const { token, CallSid, From, To, Direction, ...variables } = start.customParameters || {};
+  return {
+    callSid: CallSid || start.callSid || null,
+    from: From || null,
+    to: To || null,
+    direction: Direction || null,
+    variables,
+  };
+}
+
+// The customer's side of the call: who dialed in, or who we dialed
+export function customerNumber({ direction, from, to }) {
+  return direction === 'inbound' ? from : to;
+}
+
+// A lookup hook backed by a JSON file of customers keyed by E.164 number, e.g.
+//   { "+15551230001": { "name": "Ada Lovelace", "plan": "pro", "balanceDue": 0 } }
+// The file is re-read when it changes, so it can be updated while the server runs.
+export function createCustomerFileLookup({ file }) {
+  let cache = null; // { mtimeMs, customers }
+
+  const load = async () => {
+    const { mtimeMs } = await fs.stat(file);
+    if (cache?.mtimeMs !== mtimeMs) {
+      cache = { mtimeMs, customers: JSON.parse(await fs.readFile(file, 'utf8')) };
+    }
+    return cache.customers;
+  };
+
+  return async (caller) => {
+    const number = customerNumber(caller);
+    if (!number) return null;
+    const customers = await load();
+    return customers[number] || null;
+  };
+}
+
+// What the model is told about the call, appended to the persona's instructions
+export function describeCaller(caller, customer) {
+  const lines = [];
+  if (caller?.direction === 'inbound' && caller.from) {
+    lines.push(`The caller is calling from ${caller.from}.`);
+  } else if (caller?.to) {
+    lines.push(`You are calling ${caller.to}.`);
+  }
+  if (customer) {
+    lines.push(`Our records on this customer: ${JSON.stringify(customer)}`);
+  }
+  return lines.length ? lines.join('\n') : null;
+}
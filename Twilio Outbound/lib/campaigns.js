@@ -0,0 +1,410 @@
+///////////////////////////////////////////
+// Outbound campaign dialer
+///////////////////////////////////////////
+import crypto from 'node:crypto';
+import { isE164 } from './persona.js';
+import { FINAL_STATUSES } from './call-registry.js';
+import { isMachine } from './voicemail.js';
+import { unlimitedSlot } from './call-gate.js';
+
+export const CAMPAIGN_DEFAULTS = {
+  concurrency: 2,
+  callsPerSecond: 1,
+  maxAttempts: 3,
+  retryDelaySeconds: 300,   // Doubled after every further attempt
+  timezone: 'UTC',          // For contacts without their own timezone
+  callingWindow: { start: '09:00', end: '20:00', days: [1, 2, 3, 4, 5] }, // Local time, Mon-Fri
+};
+
+// Call outcomes that are worth trying again later; "machine" is a call voicemail answered
+const RETRYABLE_STATUSES = ['no-answer', 'busy', 'machine'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Thrown for an invalid campaign upload or action; `statusCode` is what the route replies with
+export class CampaignError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CampaignError';
+    this.statusCode = statusCode;
+  }
+}
+
+///////////////////////////////////////////
+// Contacts
+///////////////////////////////////////////
+
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes, CRLF and embedded newlines
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((value) => value.trim()));
+  if (!nonEmpty.length) return [];
+  const header = nonEmpty[0].map((name) => name.trim());
+  return nonEmpty.slice(1).map((values) =>
+    Object.fromEntries(header.map((name, index) => [name, (values[index] || '').trim()])));
+}
+
+export function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Turn uploaded rows into contacts. `to` (or `phone`) and `timezone` are reserved,
+// every other column becomes a template variable for the persona.
+export function normalizeContacts(rows, defaultTimezone) {
+  if (!Array.isArray(rows) || !rows.length) {
+    throw new CampaignError('A campaign needs at least one contact');
+  }
+  return rows.map((row, index) => {
+    const { to, phone, timezone: contactTimezone, ...variables } = row || {};
+    const number = to || phone;
+    const timezone = contactTimezone || defaultTimezone;
+    if (!isE164(number)) {
+      throw new CampaignError(`Contact ${index + 1}: "to" must be an E.164 phone number, got ${JSON.stringify(number)}`);
+    }
+    if (!isValidTimezone(timezone)) {
+      throw new CampaignError(`Contact ${index + 1}: unknown timezone ${JSON.stringify(timezone)}`);
+    }
+    return {
+      to: number,
+      timezone,
+      variables,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: 0,
+      callSids: [],
+      lastResult: null,
+    };
+  });
+}
+
+///////////////////////////////////////////
+// Calling windows
+///////////////////////////////////////////
+
+// A raw CSV upload takes its settings from the query string, where the window is JSON text,
+// e.g. callingWindow={"start":"09:00","end":"17:00"}. A window whose end is before its start,
+// e.g. 22:00 to 06:00, runs past midnight into the next day.
+function validateCallingWindow(window) {
+  if (typeof window === 'string') {
+    try {
+      window = JSON.parse(window);
+    } catch {
+      throw new CampaignError('callingWindow must be JSON, e.g. {"start":"09:00","end":"17:00"}');
+    }
+  }
+  if (!window) return null;
+  if (!TIME_PATTERN.test(window.start || '') || !TIME_PATTERN.test(window.end || '')) {
+    throw new CampaignError('callingWindow needs "start" and "end" as HH:MM');
+  }
+  if (window.start === window.end) {
+    throw new CampaignError('callingWindow "start" and "end" must differ');
+  }
+  const days = window.days || CAMPAIGN_DEFAULTS.callingWindow.days;
+  if (!Array.isArray(days) || days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+    throw new CampaignError('callingWindow.days must be weekday numbers, 0 (Sunday) to 6 (Saturday)');
+  }
+  return { start: window.start, end: window.end, days };
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Whether `date` falls inside the window in the given timezone
+export function isWithinCallingWindow(window, timeZone, date = new Date()) {
+  if (!window) return true;
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).map(({ type, value }) => [type, value]));
+
+  const time = `${parts.hour}:${parts.minute}`;
+  const weekday = WEEKDAYS.indexOf(parts.weekday);
+  if (window.start < window.end) {
+    return window.days.includes(weekday) && time >= window.start && time < window.end;
+  }
+  // Past midnight, the window belongs to the day it started on
+  return (window.days.includes(weekday) && time >= window.start)
+    || (window.days.includes((weekday + 6) % 7) && time < window.end);
+}
+
+///////////////////////////////////////////
+// Campaign manager
+///////////////////////////////////////////
+
+function positiveNumber(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new CampaignError(`"${name}" must be a positive number`);
+  }
+  return number;
+}
+
+function positiveInteger(value, name, fallback) {
+  const number = positiveNumber(value, name, fallback);
+  if (!Number.isInteger(number)) {
+    throw new CampaignError(`"${name}" must be a whole number of at least 1`);
+  }
+  return number;
+}
+
+function summarize(campaign) {
+  const counts = {};
+  for (const contact of campaign.contacts) {
+    counts[contact.status] = (counts[contact.status] || 0) + 1;
+  }
+  return {
+    id: campaign.id,
+    name: campaign.name,
+    status: campaign.status,
+    createdAt: campaign.createdAt,
+    updatedAt: campaign.updatedAt,
+    settings: campaign.settings,
+    total: campaign.contacts.length,
+    counts,
+  };
+}
+
+// `placeCall({ to, from, callRequest, variables, baseUrl, slot })` places one call and resolves to its Call SID;
+// it is the same path /outbound-call uses, so campaign calls get personas, status callbacks etc. It binds
+// the slot to the call, or releases it when the call can't be placed.
+// `reserveSlot()` holds a call slot (see call-gate.js) for each call before it is placed; while it
+// returns null, e.g. the server has no free slot, every campaign is held back.
+export function createCampaignManager({ placeCall, reserveSlot = unlimitedSlot, tickMs = 100 }) {
+  const campaigns = new Map();
+  const contactsByCallSid = new Map(); // Call SID -> { campaign, contact }
+  let lastDialAt = 0; // Shared by all campaigns, since Twilio's CPS limit is per account
+  let timer = null;
+
+  const touch = (campaign) => {
+    campaign.updatedAt = new Date().toISOString();
+  };
+
+  const activeCount = (campaign) =>
+    campaign.contacts.filter((c) => c.status === 'dialing' || c.status === 'in-progress').length;
+
+  const finishIfDone = (campaign) => {
+    const open = campaign.contacts.some((c) => !['completed', 'failed', 'cancelled'].includes(c.status));
+    if (!open && campaign.status === 'running') {
+      campaign.status = 'completed';
+      touch(campaign);
+      console.log(`Campaign ${campaign.id} completed`);
+    }
+  };
+
+  // Record the outcome of an attempt and schedule a retry when it makes sense
+  const settle = (campaign, contact, result) => {
+    contact.lastResult = result;
+    if (campaign.status === 'cancelled' && result !== 'completed') {
+      contact.status = 'cancelled';
+    } else if (RETRYABLE_STATUSES.includes(result) && contact.attempts < campaign.settings.maxAttempts) {
+      const delay = campaign.settings.retryDelaySeconds * 1000 * 2 ** (contact.attempts - 1);
+      contact.status = 'retry-scheduled';
+      contact.nextAttemptAt = Date.now() + delay;
+    } else {
+      contact.status = result === 'completed' ? 'completed' : 'failed';
+    }
+    touch(campaign);
+    finishIfDone(campaign);
+  };
+
+  const dial = async (campaign, contact, slot) => {
+    contact.status = 'dialing';
+    contact.attempts += 1;
+    lastDialAt = Date.now();
+    touch(campaign);
+    try {
+      const callSid = await placeCall({
+        to: contact.to,
+        from: campaign.from,
+        callRequest: campaign.callRequest,
+        variables: contact.variables,
+        baseUrl: campaign.baseUrl,
+        slot,
+      });
+      contact.callSids.push(callSid);
+      contactsByCallSid.set(callSid, { campaign, contact });
+    } catch (error) {
+      console.error(`Campaign ${campaign.id}: error calling ${contact.to}:`, error.message);
+      settle(campaign, contact, 'failed');
+    }
+  };
+
+  const dueContact = (campaign, now) => campaign.contacts.find((contact) =>
+    (contact.status === 'pending' || contact.status === 'retry-scheduled') &&
+    contact.nextAttemptAt <= now &&
+    isWithinCallingWindow(campaign.settings.callingWindow, contact.timezone, new Date(now)));
+
+  // Dial at most one due contact per campaign, within its concurrency cap and calls-per-second
+  // throttle. Each call takes its slot before it is dialed, so calls placed in the same tick
+  // can't exceed the server's limit.
+  const tick = () => {
+    const now = Date.now();
+    for (const campaign of campaigns.values()) {
+      if (campaign.status !== 'running') continue;
+      if (activeCount(campaign) >= campaign.settings.concurrency) continue;
+      if (Date.now() - lastDialAt < 1000 / campaign.settings.callsPerSecond) continue;
+      const contact = dueContact(campaign, now);
+      if (!contact) continue;
+      const slot = reserveSlot();
+      if (!slot) return;
+      dial(campaign, contact, slot);
+    }
+  };
+
+  const get = (id) => {
+    const campaign = campaigns.get(id);
+    if (!campaign) throw new CampaignError('Campaign not found', 404);
+    return campaign;
+  };
+
+  return {
+    // Options come straight from POST /campaigns; `contacts` is an array of rows or `csv` a CSV string
+    create(options, { baseUrl }) {
+      const timezone = options.timezone || CAMPAIGN_DEFAULTS.timezone;
+      if (!isValidTimezone(timezone)) {
+        throw new CampaignError(`Unknown timezone ${JSON.stringify(timezone)}`);
+      }
+      const rows = typeof options.csv === 'string' ? parseCsv(options.csv) : options.contacts;
+      const contacts = normalizeContacts(rows, timezone);
+
+      const settings = {
+        concurrency: positiveInteger(options.concurrency, 'concurrency', CAMPAIGN_DEFAULTS.concurrency),
+        callsPerSecond: positiveNumber(options.callsPerSecond, 'callsPerSecond', CAMPAIGN_DEFAULTS.callsPerSecond),
+        maxAttempts: positiveInteger(options.maxAttempts, 'maxAttempts', CAMPAIGN_DEFAULTS.maxAttempts),
+        retryDelaySeconds: positiveNumber(options.retryDelaySeconds, 'retryDelaySeconds', CAMPAIGN_DEFAULTS.retryDelaySeconds),
+        timezone,
+        callingWindow: options.callingWindow === null
+          ? null
+          : validateCallingWindow(options.callingWindow || CAMPAIGN_DEFAULTS.callingWindow),
+      };
+
+      const { profile, instructions, voice, temperature, greeting, transferTo, voicemailMessage } = options;
+      const campaign = {
+        id: crypto.randomUUID(),
+        name: options.name || 'Untitled campaign',
+        status: 'running',
+        from: options.from,
+        callRequest: { profile, instructions, voice, temperature, greeting, transferTo, voicemailMessage },
+        baseUrl,
+        settings,
+        contacts,
+        createdAt: new Date().toISOString(),
+        updatedAt: null,
+      };
+      touch(campaign);
+      campaigns.set(campaign.id, campaign);
+      console.log(`Campaign ${campaign.id} created with ${contacts.length} contact(s)`);
+      return summarize(campaign);
+    },
+
+    list() {
+      return [...campaigns.values()].map(summarize);
+    },
+
+    get(id) {
+      const campaign = get(id);
+      return { ...summarize(campaign), contacts: campaign.contacts };
+    },
+
+    pause(id) {
+      const campaign = get(id);
+      if (campaign.status !== 'running') throw new CampaignError(`Campaign is ${campaign.status}`, 409);
+      campaign.status = 'paused';
+      touch(campaign);
+      return summarize(campaign);
+    },
+
+    resume(id) {
+      const campaign = get(id);
+      if (campaign.status !== 'paused') throw new CampaignError(`Campaign is ${campaign.status}`, 409);
+      campaign.status = 'running';
+      touch(campaign);
+      return summarize(campaign);
+    },
+
+    // Calls already ringing are left alone; nothing new is dialed
+    cancel(id) {
+      const campaign = get(id);
+      if (campaign.status === 'completed' || campaign.status === 'cancelled') {
+        throw new CampaignError(`Campaign is ${campaign.status}`, 409);
+      }
+      campaign.status = 'cancelled';
+      for (const contact of campaign.contacts) {
+        if (contact.status === 'pending' || contact.status === 'retry-scheduled') {
+          contact.status = 'cancelled';
+        }
+      }
+      touch(campaign);
+      return summarize(campaign);
+    },
+
+    // Feed call registry updates in here (see onCallStatus in call-registry.js)
+    handleCallStatus(call) {
+      const entry = contactsByCallSid.get(call.sid);
+      if (!entry) return;
+      const { campaign, contact } = entry;
+      if (FINAL_STATUSES.includes(call.status)) {
+        contactsByCallSid.delete(call.sid);
+        settle(campaign, contact, call.status === 'completed' && isMachine(call.answeredBy) ? 'machine' : call.status);
+      } else if (contact.status === 'dialing') {
+        contact.status = 'in-progress';
+        touch(campaign);
+      }
+    },
+
+    start() {
+      if (!timer) {
+        timer = setInterval(tick, tickMs);
+        timer.unref();
+      }
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
@@ -0,0 +1,300 @@
+///////////////////////////////////////////
+// Cascaded speech-to-text -> chat model -> text-to-speech backend
+///////////////////////////////////////////
+// The conversational backend (see media-bridge.js for the interface) for when a realtime
+// model isn't wanted: turns are detected here from the caller's audio level, each utterance is
+// transcribed, the conversation goes to a chat model (tools included), and its reply is spoken
+// by a text-to-speech service. Each stage is an HTTP endpoint with OpenAI's request shape, so
+// any of them can point at another provider or a local server:
+//
+//   stt  POST multipart { file: <WAV>, model, language }       -> { text }
+//   llm  POST { model, messages, tools, temperature }          -> chat completion
+//   tts  POST { model, voice, input, response_format: 'pcm' }  -> streamed 24 kHz 16-bit PCM
+import { AUDIO_FORMATS, levelDbfs } from './audio.js';
+import { instructionsFor } from './persona.js';
+import { wavHeader } from './recording.js';
+
+// Audio goes both ways as 16-bit PCM at 24 kHz, which is what the speech endpoint returns
+const SAMPLE_RATE = 24000;
+const BYTES_PER_MS = (SAMPLE_RATE * 2) / 1000;
+
+// Agent audio is handed on in chunks of this size (100 ms) as the speech streams in
+const AUDIO_CHUNK_BYTES = BYTES_PER_MS * 100;
+
+// An utterance is cut off here even if the caller never pauses
+const MAX_UTTERANCE_MS = 30000;
+
+export const CASCADED_DEFAULTS = {
+  stt: { url: 'https://api.openai.com/v1/audio/transcriptions', model: 'whisper-1' },
+  llm: { url: 'https://api.openai.com/v1/chat/completions', model: 'gpt-4o-mini' },
+  tts: { url: 'https://api.openai.com/v1/audio/speech', model: 'tts-1' },
+  timeoutMs: 15000,             // per transcription or chat request
+  speechThresholdDbfs: -40,     // frames louder than this count as speech
+  minSpeechMs: 100,             // this much speech in a row starts a turn
+  silenceDurationMs: 600,       // this much quiet ends it; a persona's vad.silenceDurationMs wins
+  prefixPaddingMs: 300,         // audio before the turn started that is transcribed with it; likewise
+};
+
+// A failed stage; `stage` ends up in the error metric's type
+class StageError extends Error {
+  constructor(stage, message) {
+    super(message);
+    this.name = 'StageError';
+    this.stage = stage;
+  }
+}
+
+// The Realtime API's function definitions in the chat completions shape
+const chatTools = (tools) => tools.map(({ name, description, parameters }) => ({
+  type: 'function',
+  function: { name, description, parameters },
+}));
+
+// Drop options that were left undefined, e.g. unset environment variables
+const defined = (options) => Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+
+// Chat completion usage in the Realtime shape recordTokenUsage expects (see metrics.js)
+const realtimeUsage = (usage) => usage && {
+  input_token_details: { text_tokens: usage.prompt_tokens || 0 },
+  output_token_details: { text_tokens: usage.completion_tokens || 0 },
+};
+
+// Options:
+//   apiKey                 used by every stage that doesn't have its own
+//   stt, llm, tts          { url, model, apiKey } for each stage, on top of CASCADED_DEFAULTS
+//   timeoutMs, speechThresholdDbfs, minSpeechMs, silenceDurationMs, prefixPaddingMs
+//                          see CASCADED_DEFAULTS
+export function createCascadedBackend({ apiKey, stt = {}, llm = {}, tts = {}, ...options } = {}) {
+  const stages = {
+    stt: { ...CASCADED_DEFAULTS.stt, apiKey, ...defined(stt) },
+    llm: { ...CASCADED_DEFAULTS.llm, apiKey, ...defined(llm) },
+    tts: { ...CASCADED_DEFAULTS.tts, apiKey, ...defined(tts) },
+  };
+  const settings = { ...CASCADED_DEFAULTS, ...defined(options) };
+  const authorization = (stage) => (stages[stage].apiKey ? { Authorization: `Bearer ${stages[stage].apiKey}` } : {});
+
+  return {
+    name: 'cascaded',
+    audioFormat: 'pcm16',
+
+    connect(handlers) {
+      let closed = false;
+      let persona = null;
+      let systemPrompt = '';
+      let tools = [];
+      const history = [];            // chat messages after the system prompt
+      let itemCount = 0;
+      let inputMs = 0;               // caller audio received so far
+      let speechItemId = null;       // the caller's turn in progress
+      let loudMs = 0;
+      let quietMs = 0;
+      let utteranceMs = 0;
+      let utterance = [];            // PCM chunks of the turn in progress
+      let prefix = [];               // { chunk, ms } of the latest audio before a turn
+      let prefixMs = 0;
+      let transcriptions = Promise.resolve();
+      let reply = null;              // AbortController of the reply in progress
+
+      const nextItemId = () => `cascaded_${++itemCount}`;
+      const silenceDurationMs = () => persona?.vad?.silenceDurationMs ?? settings.silenceDurationMs;
+      const prefixPaddingMs = () => persona?.vad?.prefixPaddingMs ?? settings.prefixPaddingMs;
+
+      const fail = (error) => {
+        console.error(`Cascaded backend ${error.stage || ''} error:`, error.message);
+        handlers.onError({ type: `cascaded_${error.stage || 'unknown'}`, message: error.message });
+      };
+
+      const transcribe = async (pcm) => {
+        const form = new FormData();
+        const wav = Buffer.concat([wavHeader({ channels: 1, dataLength: pcm.length, sampleRate: SAMPLE_RATE }), pcm]);
+        form.append('file', new Blob([wav], { type: 'audio/wav' }), 'speech.wav');
+        form.append('model', stages.stt.model);
+        if (persona?.language) form.append('language', persona.language.split('-')[0]);
+        const response = await fetch(stages.stt.url, {
+          method: 'POST',
+          headers: authorization('stt'),
+          body: form,
+          signal: AbortSignal.timeout(settings.timeoutMs),
+        });
+        if (!response.ok) throw new StageError('stt', `Speech-to-text request failed with ${response.status}`);
+        return (await response.json()).text || '';
+      };
+
+      const complete = async (messages, signal) => {
+        const body = { model: stages.llm.model, messages, temperature: persona?.temperature };
+        if (tools.length) body.tools = chatTools(tools);
+        const response = await fetch(stages.llm.url, {
+          method: 'POST',
+          headers: { ...authorization('llm'), 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+          signal: AbortSignal.any([signal, AbortSignal.timeout(settings.timeoutMs)]),
+        });
+        if (!response.ok) throw new StageError('llm', `Chat completion request failed with ${response.status}`);
+        return response.json();
+      };
+
+      // Stream the spoken reply to the bridge until it is done or the caller cuts in
+      const speak = async (itemId, text, signal) => {
+        const response = await fetch(stages.tts.url, {
+          method: 'POST',
+          headers: { ...authorization('tts'), 'Content-Type': 'application/json' },
+          body: JSON.stringify({ model: stages.tts.model, voice: persona?.voice, input: text, response_format: 'pcm' }),
+          signal,
+        });
+        if (!response.ok) throw new StageError('tts', `Text-to-speech request failed with ${response.status}`);
+        let pending = Buffer.alloc(0);
+        for await (const chunk of response.body) {
+          if (signal.aborted) return;
+          pending = Buffer.concat([pending, chunk]);
+          while (pending.length >= AUDIO_CHUNK_BYTES) {
+            handlers.onAudio(itemId, pending.subarray(0, AUDIO_CHUNK_BYTES).toString('base64'));
+            pending = pending.subarray(AUDIO_CHUNK_BYTES);
+          }
+        }
+        const rest = pending.length - (pending.length % 2);
+        if (rest && !signal.aborted) handlers.onAudio(itemId, pending.subarray(0, rest).toString('base64'));
+      };
+
+      // One reply: ask the chat model, hand over its tool calls and speak what it says. A new
+      // reply replaces one still in progress, which then ends without a response.done.
+      const respond = async ({ instructions } = {}) => {
+        if (reply) {
+          reply.superseded = true;
+          reply.abort();
+        }
+        const controller = new AbortController();
+        reply = controller;
+        const itemId = nextItemId();
+        handlers.onResponseStarted();
+
+        let text = null;
+        let usage = null;
+        let stage = 'llm';
+        try {
+          const messages = [{ role: 'system', content: systemPrompt }, ...history];
+          if (instructions) messages.push({ role: 'system', content: instructions });
+          const completion = await complete(messages, controller.signal);
+          usage = completion.usage;
+          const { content = null, tool_calls: toolCalls } = completion.choices[0].message;
+          history.push(toolCalls?.length ? { role: 'assistant', content, tool_calls: toolCalls } : { role: 'assistant', content });
+          for (const call of toolCalls || []) {
+            handlers.onToolCall({ callId: call.id, name: call.function.name, arguments: call.function.arguments });
+          }
+          text = content;
+          stage = 'tts';
+          if (text) await speak(itemId, text, controller.signal);
+        } catch (error) {
+          if (!controller.signal.aborted) fail(error.stage ? error : new StageError(stage, error.message));
+        } finally {
+          if (reply === controller) reply = null;
+        }
+        if (closed) return;
+        if (text) handlers.onAssistantTranscript(itemId, text);
+        if (!controller.superseded) handlers.onResponseDone({ usage: realtimeUsage(usage) });
+      };
+
+      // Transcribe a finished turn (in order with the ones before it) and reply to it
+      const endTurn = (itemId, pcm) => {
+        transcriptions = transcriptions.then(async () => {
+          let text;
+          try {
+            text = await transcribe(pcm);
+          } catch (error) {
+            fail(error.stage ? error : new StageError('stt', error.message));
+            return;
+          }
+          if (closed) return;
+          handlers.onCallerTranscript(itemId, text);
+          if (text.trim()) {
+            history.push({ role: 'user', content: text.trim() });
+            respond();
+          }
+        });
+      };
+
+      // Energy-based turn detection on each chunk of caller audio
+      const detectSpeech = (chunk) => {
+        const ms = chunk.length / BYTES_PER_MS;
+        const loud = levelDbfs(AUDIO_FORMATS.pcm16.decode(chunk)) >= settings.speechThresholdDbfs;
+        inputMs += ms;
+
+        if (speechItemId === null) {
+          // Keep the padding plus the speech that is about to start the turn
+          prefix.push({ chunk, ms });
+          prefixMs += ms;
+          while (prefixMs - prefix[0].ms >= prefixPaddingMs() + settings.minSpeechMs) {
+            prefixMs -= prefix.shift().ms;
+          }
+          loudMs = loud ? loudMs + ms : 0;
+          if (loudMs < settings.minSpeechMs) return;
+          speechItemId = nextItemId();
+          utterance = prefix.map((entry) => entry.chunk);
+          utteranceMs = prefixMs;
+          prefix = [];
+          prefixMs = 0;
+          quietMs = 0;
+          handlers.onSpeechStarted(speechItemId, Math.max(0, Math.round(inputMs - loudMs)));
+          return;
+        }
+
+        utterance.push(chunk);
+        utteranceMs += ms;
+        quietMs = loud ? 0 : quietMs + ms;
+        if (quietMs >= silenceDurationMs() || utteranceMs >= MAX_UTTERANCE_MS) {
+          const itemId = speechItemId;
+          speechItemId = null;
+          loudMs = 0;
+          handlers.onSpeechStopped(itemId, Math.round(inputMs - quietMs));
+          endTurn(itemId, Buffer.concat(utterance));
+          utterance = [];
+        }
+      };
+
+      // There is no connection to make; the bridge still gets its events in the usual order
+      setImmediate(() => {
+        if (!closed) handlers.onOpen();
+      });
+
+      return {
+        isOpen: () => !closed,
+
+        configure({ persona: callPersona, tools: definitions = [], context = null }) {
+          persona = callPersona;
+          systemPrompt = instructionsFor(persona, context);
+          tools = definitions;
+          setImmediate(() => {
+            if (!closed) handlers.onConfigured();
+          });
+        },
+
+        sendAudio(payload) {
+          if (!closed) detectSpeech(Buffer.from(payload, 'base64'));
+        },
+
+        sendMessage(role, text) {
+          history.push({ role, content: text });
+        },
+
+        createResponse(options) {
+          if (!closed) respond(options);
+        },
+
+        sendToolOutput(callId, output) {
+          history.push({ role: 'tool', tool_call_id: callId, content: JSON.stringify(output) });
+        },
+
+        // Stop speaking; the reply stays in the history as it was written
+        interrupt() {
+          reply?.abort();
+        },
+
+        close() {
+          if (closed) return;
+          closed = true;
+          reply?.abort();
+          setImmediate(() => handlers.onClose());
+        },
+      };
+    },
+  };
+}
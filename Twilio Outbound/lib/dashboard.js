@@ -0,0 +1,193 @@
+///////////////////////////////////////////
+// Operations dashboard
+///////////////////////////////////////////
+// A Fastify plugin, registered under a prefix such as /admin:
+//
+//   GET  /                         the dashboard page (dashboard.html)
+//   GET  /calls                    live and recent calls
+//   GET  /calls/:sid               one call with its events
+//   GET  /events[?callSid=]        Server-Sent Events: "calls" once, then "call" and "event" updates
+//   POST /calls/:sid/hangup
+//   POST /calls/:sid/mute          { "muted": true | false }
+//   POST /calls/:sid/instruction   { "text": "..." }, a system message for the call's OpenAI session
+//   GET  /supervise?callSid=       WebSocket for supervisors, see below
+//
+// Every route needs the admin token, as a Bearer token or as the password of HTTP Basic auth
+// (which is what the browser prompts for when the page is opened). Browsers can't set headers
+// on a WebSocket, so /supervise also takes it as ?token=. Everyone shares that one token, so
+// actions and whispers are logged as by "admin"; the Basic auth user name proves nothing and is
+// only kept alongside as claimedBy.
+//
+// /supervise messages, as JSON text frames. To the supervisor:
+//   { type: 'call', call }                 the call, then again whenever it changes
+//   { type: 'event', event }               transcript lines and other call events
+//   { type: 'audio', track, timestamp, encoding: 'pcm16le', sampleRate: 8000, payload }
+//                                          caller or agent audio, payload being base64 PCM
+//   { type: 'whispered', text }, { type: 'error', error }
+// From the supervisor:
+//   { type: 'whisper', text }              coaching for the agent; the caller never hears it
+// The socket closes when the call ends.
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { decodeUlaw } from './g711.js';
+
+const DASHBOARD_HTML = fs.readFileSync(new URL('./dashboard.html', import.meta.url), 'utf8');
+
+// SSE comment sent this often so proxies don't close an idle stream
+const KEEP_ALIVE_MS = 15000;
+
+function safeEqual(a, b) {
+  const left = crypto.createHash('sha256').update(String(a)).digest();
+  const right = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+// The credentials in an Authorization header: { user, token } from a Bearer token or Basic auth
+function presentedCredentials(header = '') {
+  const [scheme, value = ''] = header.split(' ');
+  if (/^bearer$/i.test(scheme)) return { user: null, token: value };
+  if (/^basic$/i.test(scheme)) {
+    const decoded = Buffer.from(value, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    return { user: decoded.slice(0, separator) || null, token: decoded.slice(separator + 1) };
+  }
+  return null;
+}
+
+// preHandler that only lets requests with the admin token through; sets request.admin to
+// { by, claimedBy }, the options monitor actions take
+export function createAdminAuth(adminToken) {
+  return async (request, reply) => {
+    const credentials = presentedCredentials(request.headers.authorization)
+      ?? (request.ws && request.query.token ? { user: null, token: request.query.token } : null);
+    if (!adminToken || !credentials || !safeEqual(credentials.token, adminToken)) {
+      return reply
+        .status(401)
+        .header('WWW-Authenticate', 'Basic realm="Call dashboard", charset="UTF-8"')
+        .send({ success: false, error: 'Admin credentials required' });
+    }
+    request.admin = { by: 'admin', claimedBy: credentials.user || null };
+  };
+}
+
+// Twilio's u-law frames as base64 16-bit PCM, which a browser can put in an AudioBuffer
+function ulawToPcmBase64(payload) {
+  const pcm = decodeUlaw(Buffer.from(payload, 'base64'));
+  return Buffer.from(pcm.buffer, pcm.byteOffset, pcm.byteLength).toString('base64');
+}
+
+// Options:
+//   monitor     the call monitor the bridges report to (see call-monitor.js)
+//   adminToken  the credential every route requires
+export function dashboardRoutes({ monitor, adminToken }) {
+  const requireAdmin = createAdminAuth(adminToken);
+
+  // Run a dashboard action, replying like the other API routes do
+  const action = (run) => async (request, reply) => {
+    try {
+      run(request);
+      reply.send({ success: true, call: monitor.get(request.params.sid) });
+    } catch (error) {
+      reply.status(error.statusCode || error.status || 500).send({ success: false, error: error.message });
+    }
+  };
+
+  return async (fastify) => {
+    fastify.addHook('preHandler', requireAdmin);
+
+    fastify.get('/', async (request, reply) => {
+      reply.type('text/html').send(DASHBOARD_HTML);
+    });
+
+    fastify.get('/calls', async () => ({ calls: monitor.list() }));
+
+    fastify.get('/calls/:sid', async (request, reply) => {
+      const call = monitor.get(request.params.sid);
+      if (!call) {
+        return reply.status(404).send({ success: false, error: 'Call not found' });
+      }
+      return call;
+    });
+
+    fastify.get('/events', (request, reply) => {
+      const { callSid } = request.query;
+      reply.hijack();
+      reply.raw.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      const send = (event, data) => reply.raw.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+      send('calls', { calls: monitor.list() });
+      const unsubscribe = monitor.subscribe((message) => {
+        const sid = message.callSid ?? message.call?.callSid;
+        if (!callSid || sid === callSid) send(message.type, message);
+      });
+      const keepAlive = setInterval(() => reply.raw.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+      request.raw.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+      });
+    });
+
+    fastify.post('/calls/:sid/hangup', action((request) => monitor.hangUp(request.params.sid, request.admin)));
+
+    fastify.post('/calls/:sid/mute', action((request) => {
+      monitor.setMuted(request.params.sid, request.body?.muted !== false, request.admin);
+    }));
+
+    fastify.post('/calls/:sid/instruction', action((request) => {
+      monitor.injectInstruction(request.params.sid, request.body?.text, request.admin);
+    }));
+
+    // Listen in on a call and whisper to its agent
+    fastify.get('/supervise', { websocket: true }, (socket, request) => {
+      const { callSid } = request.query;
+      const { by, claimedBy } = request.admin;
+      const send = (message) => {
+        if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+      };
+
+      let stopListening;
+      try {
+        stopListening = monitor.listen(callSid, ({ track, payload, timestamp }) => {
+          send({ type: 'audio', track, timestamp, encoding: 'pcm16le', sampleRate: 8000, payload: ulawToPcmBase64(payload) });
+        });
+      } catch (error) {
+        send({ type: 'error', error: error.message });
+        socket.close(1008, 'No such live call');
+        return;
+      }
+      console.log(`${by}${claimedBy ? ` (says they are ${claimedBy})` : ''} is listening to call ${callSid}`);
+      send({ type: 'call', call: monitor.get(callSid) });
+
+      const unsubscribe = monitor.subscribe((message) => {
+        if (message.type === 'event' && message.callSid === callSid) {
+          send({ type: 'event', event: message.event });
+        } else if (message.type === 'call' && message.call.callSid === callSid) {
+          send(message);
+          if (!message.call.live) socket.close(1000, 'Call ended');
+        }
+      });
+
+      socket.on('message', (raw) => {
+        try {
+          const message = JSON.parse(raw);
+          if (message.type !== 'whisper') {
+            throw new Error(`Unknown message type "${message.type}"`);
+          }
+          monitor.whisper(callSid, message.text, request.admin);
+          send({ type: 'whispered', text: message.text.trim() });
+        } catch (error) {
+          send({ type: 'error', error: error.message });
+        }
+      });
+
+      socket.on('close', () => {
+        stopListening();
+        unsubscribe();
+      });
+    });
+  };
+}
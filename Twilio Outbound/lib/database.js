@@ -0,0 +1,79 @@
+///////////////////////////////////////////
+// Embedded SQLite database
+///////////////////////////////////////////
+// What has to survive a restart: the call history (see call-history.js) and scheduled callbacks
+// (see callbacks.js). The `better-sqlite3` Database class is passed in so this module only
+// depends on Node itself. Schema migrations run when the database is opened; its user_version
+// is the number of migrations applied.
+
+// Applied in order, each once; append new ones, never edit old ones
+const MIGRATIONS = [
+  `CREATE TABLE calls (
+    sid TEXT PRIMARY KEY,
+    direction TEXT,
+    from_number TEXT,
+    to_number TEXT,
+    profile TEXT,
+    voice TEXT,
+    status TEXT,
+    end_reason TEXT,
+    answered_by TEXT,
+    error_code TEXT,
+    error_message TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    stream_started_at TEXT,
+    stream_ended_at TEXT,
+    duration_seconds INTEGER,
+    input_text_tokens INTEGER,
+    input_audio_tokens INTEGER,
+    output_text_tokens INTEGER,
+    output_audio_tokens INTEGER,
+    transcript TEXT,
+    recording_path TEXT,
+    recording_mixed_path TEXT
+  );
+  CREATE INDEX calls_by_created_at ON calls (created_at, sid);
+  CREATE INDEX calls_by_from_number ON calls (from_number);
+  CREATE INDEX calls_by_to_number ON calls (to_number);`,
+
+  `CREATE TABLE callbacks (
+    id TEXT PRIMARY KEY,
+    call_sid TEXT,
+    to_number TEXT NOT NULL,
+    from_number TEXT,
+    persona TEXT NOT NULL,
+    variables TEXT NOT NULL,
+    base_url TEXT NOT NULL,
+    scheduled_for TEXT NOT NULL,
+    timezone TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    summary TEXT,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    callback_call_sid TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX callbacks_by_due ON callbacks (status, scheduled_for);`,
+];
+
+// Options: Database (the better-sqlite3 class), file (path of the database, or ':memory:')
+export function openDatabase({ Database, file }) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+
+  const applied = db.pragma('user_version', { simple: true });
+  for (const [index, migration] of MIGRATIONS.entries()) {
+    if (index < applied) continue;
+    db.transaction(() => {
+      db.exec(migration);
+      db.pragma(`user_version = ${index + 1}`);
+    })();
+  }
+  if (applied < MIGRATIONS.length) {
+    console.log(`Database ${file}: applied ${MIGRATIONS.length - applied} migration(s)`);
+  }
+  return db;
+}
@@ -0,0 +1,138 @@
+///////////////////////////////////////////
+// DTMF (keypad) input from Twilio media streams
+///////////////////////////////////////////
+// Ordinary key presses are gathered into a digit string that ends after a pause or on "#",
+// then handed to the conversation as caller input. Secure collection instead gathers a
+// fixed number of digits for a server-side validator, and only its verdict is returned.
+
+export const DTMF_DEFAULTS = {
+  interDigitTimeoutMs: 2000, // pause that ends an ordinary entry
+  secureLength: 4,           // digits in a secure entry, e.g. a PIN
+  secureTimeoutMs: 30000,    // how long a secure entry may take in total
+};
+
+const TERMINATOR = '#';
+
+// Options:
+//   onDigits(digits)                    an ordinary entry is complete
+//   validateDigits(digits, { purpose }) checks a secure entry; resolves to what the model may see
+export function createDtmfCollector({
+  interDigitTimeoutMs = DTMF_DEFAULTS.interDigitTimeoutMs,
+  secureLength = DTMF_DEFAULTS.secureLength,
+  secureTimeoutMs = DTMF_DEFAULTS.secureTimeoutMs,
+  onDigits = () => {},
+  validateDigits = async () => ({ valid: false, error: 'No digit validator is configured' }),
+} = {}) {
+  let digits = '';
+  let digitTimer = null;
+  let secure = null; // { purpose, resolve, timer } while a secure entry is in progress
+
+  const flush = () => {
+    clearTimeout(digitTimer);
+    digitTimer = null;
+    const entry = digits;
+    digits = '';
+    if (entry) {
+      onDigits(entry);
+    }
+  };
+
+  const finishSecure = (outcome) => {
+    const { resolve, timer } = secure;
+    clearTimeout(timer);
+    secure = null;
+    resolve(outcome);
+  };
+
+  const completeSecure = async () => {
+    const { purpose } = secure;
+    const entry = digits;
+    digits = '';
+    if (entry.length !== secureLength) {
+      finishSecure({ status: 'incomplete', expectedLength: secureLength, receivedLength: entry.length });
+      return;
+    }
+    try {
+      finishSecure({ status: 'complete', result: await validateDigits(entry, { purpose }) });
+    } catch (error) {
+      console.error('Error validating keypad entry:', error.message);
+      finishSecure({ status: 'error', error: 'The entry could not be checked' });
+    }
+  };
+
+  return {
+    // One key press from a Twilio "dtmf" event
+    press(digit) {
+      if (secure) {
+        if (secure.validating) return;
+        if (digit !== TERMINATOR) {
+          digits += digit;
+        }
+        if (digit === TERMINATOR || digits.length >= secureLength) {
+          secure.validating = true;
+          completeSecure();
+        }
+        return;
+      }
+      if (digit === TERMINATOR) {
+        flush();
+        return;
+      }
+      digits += digit;
+      clearTimeout(digitTimer);
+      digitTimer = setTimeout(flush, interDigitTimeoutMs);
+    },
+
+    // Start a secure entry; resolves to { status, result | error } without the digits
+    collectSecure({ purpose = '' } = {}) {
+      if (secure) {
+        return Promise.reject(new Error('Already collecting a secure keypad entry'));
+      }
+      flush();
+      return new Promise((resolve) => {
+        secure = {
+          purpose,
+          resolve,
+          validating: false,
+          timer: setTimeout(() => {
+            digits = '';
+            finishSecure({ status: 'timeout' });
+          }, secureTimeoutMs),
+        };
+      });
+    },
+
+    isCollectingSecurely() {
+      return secure !== null;
+    },
+
+    // Drop whatever is pending, e.g. when the call ends
+    clear() {
+      clearTimeout(digitTimer);
+      digits = '';
+      if (secure) {
+        finishSecure({ status: 'cancelled' });
+      }
+    },
+  };
+}
+
+// A validateDigits that POSTs { callSid, purpose, digits } as JSON to `url` and returns the
+// JSON reply, e.g. { valid: true, accountName: "Jane" }. Only that reply reaches the model.
+export function createDigitValidator({ url, timeoutMs = 5000 }) {
+  return async (digits, { callSid, purpose }) => {
+    if (!url) {
+      return { valid: false, error: 'No digit validator is configured' };
+    }
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ callSid, purpose, digits }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`Digit validator replied ${response.status}`);
+    }
+    return response.json();
+  };
+}
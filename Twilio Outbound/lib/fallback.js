@@ -0,0 +1,60 @@
+///////////////////////////////////////////
+// Fallback TwiML for when the agent can't continue a call, or can't take it at all
+///////////////////////////////////////////
+import { escapeXml } from './persona.js';
+
+export const FALLBACK_MODES = ['apology', 'voicemail', 'transfer'];
+
+// When every call slot is taken (see call-gate.js), "busy" rejects an inbound call unanswered
+export const OVERFLOW_MODES = ['busy', ...FALLBACK_MODES];
+
+const DEFAULT_MESSAGES = {
+  apology: "We're sorry, our assistant is having technical difficulties. Please call again later. Goodbye.",
+  voicemail: "We're sorry, our assistant is having technical difficulties. Please leave a message after the beep and we'll get back to you.",
+  transfer: "We're sorry, our assistant is having technical difficulties. Please hold while we transfer you.",
+};
+
+const OVERFLOW_MESSAGES = {
+  apology: 'Sorry, all of our assistants are busy right now. Please call again in a few minutes. Goodbye.',
+  voicemail: "Sorry, all of our assistants are busy right now. Please leave a message after the beep and we'll get back to you.",
+  transfer: 'All of our assistants are busy right now. Please hold while we transfer you.',
+};
+
+// Options: mode (one of FALLBACK_MODES), message (overrides the default wording),
+// transferTo (phone number or sip: address, required for "transfer")
+export function buildFallbackTwiml({ mode = 'apology', message, transferTo } = {}) {
+  if (!FALLBACK_MODES.includes(mode)) {
+    throw new Error(`Unknown fallback mode "${mode}", expected one of ${FALLBACK_MODES.join(', ')}`);
+  }
+  const say = `<Say>${escapeXml(message || DEFAULT_MESSAGES[mode])}</Say>`;
+
+  switch (mode) {
+    case 'voicemail':
+      return `<Response>${say}<Record maxLength="120" playBeep="true" /><Hangup /></Response>`;
+    case 'transfer': {
+      if (!transferTo) {
+        throw new Error('Fallback mode "transfer" needs a number or SIP address to transfer to');
+      }
+      const target = transferTo.startsWith('sip:')
+        ? `<Sip>${escapeXml(transferTo)}</Sip>`
+        : `<Number>${escapeXml(transferTo)}</Number>`;
+      return `<Response>${say}<Dial>${target}</Dial></Response>`;
+    }
+    default:
+      return `<Response>${say}<Hangup /></Response>`;
+  }
+}
+
+// The TwiML for a call that finds every slot taken. Same options as buildFallbackTwiml, with
+// mode one of OVERFLOW_MODES. An outbound call has already been answered and can't be rejected,
+// so `inbound: false` turns "busy" into an apology.
+export function buildOverflowTwiml({ mode = 'busy', message, transferTo, inbound = true } = {}) {
+  if (!OVERFLOW_MODES.includes(mode)) {
+    throw new Error(`Unknown overflow mode "${mode}", expected one of ${OVERFLOW_MODES.join(', ')}`);
+  }
+  if (mode === 'busy' && inbound) {
+    return '<Response><Reject reason="busy" /></Response>';
+  }
+  const fallbackMode = mode === 'busy' ? 'apology' : mode;
+  return buildFallbackTwiml({ mode: fallbackMode, message: message || OVERFLOW_MESSAGES[fallbackMode], transferTo });
+}
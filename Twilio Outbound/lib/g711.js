@@ -0,0 +1,94 @@
+///////////////////////////////////////////
+// G.711 u-law and A-law <-> 16-bit linear PCM
+///////////////////////////////////////////
+
+const ULAW_BIAS = 0x84;
+const ULAW_CLIP = 32635;
+
+// Digital silence in u-law and A-law
+export const ULAW_SILENCE = 0xff;
+export const ALAW_SILENCE = 0xd5;
+
+// Largest 13-bit magnitude in each A-law segment
+const ALAW_SEGMENT_ENDS = [0x1f, 0x3f, 0x7f, 0xff, 0x1ff, 0x3ff, 0x7ff, 0xfff];
+
+export function ulawToLinear(byte) {
+  const u = ~byte & 0xff;
+  const sign = u & 0x80;
+  const exponent = (u >> 4) & 0x07;
+  const mantissa = u & 0x0f;
+  const magnitude = (((mantissa << 3) + ULAW_BIAS) << exponent) - ULAW_BIAS;
+  return sign ? -magnitude : magnitude;
+}
+
+export function linearToUlaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), ULAW_CLIP) + ULAW_BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+// Decode a buffer of u-law bytes into an Int16Array
+export function decodeUlaw(buffer) {
+  const samples = new Int16Array(buffer.length);
+  for (let i = 0; i < buffer.length; i++) {
+    samples[i] = ulawToLinear(buffer[i]);
+  }
+  return samples;
+}
+
+// Encode an Int16Array as a buffer of u-law bytes
+export function encodeUlaw(samples) {
+  const buffer = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    buffer[i] = linearToUlaw(samples[i]);
+  }
+  return buffer;
+}
+
+export function alawToLinear(byte) {
+  const a = byte ^ 0x55;
+  const segment = (a & 0x70) >> 4;
+  let magnitude = (a & 0x0f) << 4;
+  if (segment === 0) {
+    magnitude += 8;
+  } else {
+    magnitude = (magnitude + 0x108) << (segment - 1);
+  }
+  return a & 0x80 ? magnitude : -magnitude;
+}
+
+export function linearToAlaw(sample) {
+  let value = sample >> 3;
+  let mask = 0xd5;
+  if (value < 0) {
+    mask = 0x55;
+    value = -value - 1;
+  }
+  const segment = ALAW_SEGMENT_ENDS.findIndex((end) => value <= end);
+  if (segment === -1) {
+    return 0x7f ^ mask;
+  }
+  const mantissa = segment < 2 ? (value >> 1) & 0x0f : (value >> segment) & 0x0f;
+  return ((segment << 4) | mantissa) ^ mask;
+}
+
+export function decodeAlaw(buffer) {
+  const samples = new Int16Array(buffer.length);
+  for (let i = 0; i < buffer.length; i++) {
+    samples[i] = alawToLinear(buffer[i]);
+  }
+  return samples;
+}
+
+export function encodeAlaw(samples) {
+  const buffer = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    buffer[i] = linearToAlaw(samples[i]);
+  }
+  return buffer;
+}
@@ -0,0 +1,641 @@
+///////////////////////////////////////////
+// Twilio Media Stream <-> conversational backend bridge
+///////////////////////////////////////////
+// Shared by every server's /media-stream route. The WebSocket class is passed in by the
+// caller so this module only depends on Node itself and can be imported from either package.
+//
+// The conversation itself is run by a backend: the OpenAI Realtime API (realtime-backend.js)
+// or a cascade of speech-to-text, chat model and text-to-speech (cascaded-backend.js). A backend
+// is { name, audioFormat, connect(handlers) }, where audioFormat is the audio it takes and gives
+// (see audio.js) and connect() opens one call's session:
+//
+//   configure({ persona, tools, context })  sets the session up; onConfigured() once it is
+//   sendAudio(payload)                       base64 caller audio
+//   sendMessage(role, text)                  a "user" or "system" message
+//   createResponse({ instructions })         have the agent reply now
+//   sendToolOutput(callId, output)           the result of a tool call
+//   interrupt({ itemId, audioEndMs })        the caller cut the agent off after audioEndMs
+//   close(), isOpen()
+//
+// and calls back handlers.onOpen(), onConfigured(), onAudio(itemId, payload),
+// onAssistantTranscript(itemId, text), onCallerTranscript(itemId, text),
+// onSpeechStarted(itemId, ms), onSpeechStopped(itemId, ms), onToolCall({ callId, name, arguments }),
+// onResponseStarted(), onResponseDone({ usage }), onError({ type, message }) and onClose().
+// Speech times are in ms of caller audio since the session opened.
+import { DEFAULT_PERSONA, renderPersona } from './persona.js';
+import { callerFromStart, describeCaller } from './caller-context.js';
+import { createPlaybackTracker } from './playback.js';
+import { SPEAKERS, createTranscript } from './transcript.js';
+import { createCallRecorder } from './recording.js';
+import { createDtmfCollector } from './dtmf.js';
+import { addTokenUsage, recordTokenUsage } from './metrics.js';
+import { createAudioPipeline, createProcessors } from './audio.js';
+import { DEFAULT_REALTIME_URL, createRealtimeBackend } from './realtime-backend.js';
+
+// The backend for personas that don't name one
+const DEFAULT_BACKEND = "realtime";
+
+// How long a new media stream has to send its "start" message
+const START_TIMEOUT_MS = 10000;
+
+// How long the customer lookup may hold up the session before the call goes ahead without it
+const LOOKUP_TIMEOUT_MS = 2000;
+
+// Caller audio kept while the backend is unreachable: 250 frames of 20 ms, i.e. the last 5 seconds
+const MAX_BUFFERED_FRAMES = 250;
+
+// How many transcript entries are replayed to a new backend session after a reconnect
+const RECAP_ENTRIES = 20;
+
+const RESUME_INSTRUCTIONS = "The connection dropped for a moment. In one short sentence, apologize for the pause, then continue the conversation where it left off.";
+
+// How the agent is told to open a call it speaks first on
+const OPENING_INSTRUCTIONS = "The person you called has just picked up. Speak first: greet them, by name if you know it, and say who you are and why you are calling in a sentence or two. Then let them answer.";
+
+// The opening message for a persona; the default greeting is a cue for inbound callers to start
+// talking, so only a greeting of the persona's own is worked in
+function openingInstructions(persona) {
+  if (!persona.greeting || persona.greeting === DEFAULT_PERSONA.greeting) return OPENING_INSTRUCTIONS;
+  return `${OPENING_INSTRUCTIONS} Open along the lines of: "${persona.greeting}"`;
+}
+
+// How the agent is told to end a call the server has to wrap up, e.g. when it shuts down
+const GOODBYE_INSTRUCTIONS = "We have to end this call now. In one or two short sentences, politely apologize, tell the caller you need to end the call and that they are welcome to call back, and say goodbye. Don't ask any questions.";
+
+// How long wrapUp() waits for the goodbye to be said and heard before hanging up anyway
+const WRAP_UP_TIMEOUT_MS = 15000;
+
+// Outbound calls: the callee has only said "Hello?" and is waiting for us
+const isOutbound = (caller) => Boolean(caller?.direction?.startsWith("outbound"));
+
+// Bridge one Twilio media stream connection to a new backend session.
+//
+// Options:
+//   WebSocket           the `ws` WebSocket class
+//   backends            backends by name, e.g. { realtime, cascaded }; a persona picks one with its
+//                       `backend` field. Without it, there is just a realtime backend made from:
+//     apiKey              OpenAI API key
+//     url                 Realtime API URL (model included)
+//     audioFormat         the OpenAI session's audio: "g711_ulaw" (no conversion), "g711_alaw" or
+//                         "pcm16" (24 kHz, converted to and from the stream's format, see audio.js)
+//   streamAudioFormat   what the media stream carries: Twilio's "g711_ulaw", or "g711_alaw"
+//   processors          { caller, agent } processor specs for each direction (see createProcessors);
+//                       caller audio is processed on its way to the backend, agent audio on its way out
+//   personaFor(callSid) returns the persona to configure the session with; its {{placeholders}}
+//                       are filled from the stream's parameters and {{customer.*}}
+//   agentSpeaksFirst(caller) whether the agent opens the call with a greeting as soon as the session
+//                       is configured, rather than waiting for the caller; outbound calls by default
+//   lookupCaller({ callSid, from, to, direction, variables })  optional async hook that resolves
+//                       to what we know about the caller, or null (see caller-context.js)
+//   tools               a tool registry (see tools.js) the model may call
+//   toolContext         extra fields for every tool call's context, next to callSid, streamSid,
+//                       transcript, caller and customer (e.g. transferCall, see transfer.js)
+//   dtmf                keypad options for createDtmfCollector (see dtmf.js); validateDigits
+//                       also receives the callSid
+//   record              capture both directions of the call (see recording.js)
+//   metrics             instruments from createCallMetrics (see metrics.js)
+//   monitor             a call monitor (see call-monitor.js) that gets the call's events and audio,
+//                       and controls for hanging up, muting the agent and injecting instructions
+//   gate                a call gate (see call-gate.js) that limits concurrent calls and wraps them
+//                       up with the same controls when the server drains
+//   shouldConnect(callSid) resolves false to keep the backend out of the call altogether, e.g. when
+//                       answering machine detection finds voicemail (see voicemail.js)
+//   authorizeStart(start) checks Twilio's "start" message, returns { valid, reason };
+//                       nothing reaches the backend until it passes (see security.js)
+//   maxReconnectAttempts, reconnectBaseDelayMs  how hard to try when the backend drops mid-call
+//   onOpenAiLost({ callSid, streamSid })  called once reconnecting to the backend has failed, e.g. to redirect
+//                       the call to fallback TwiML
+//   onStart({ callSid, streamSid, transcript }), onClose({ callSid, streamSid, recorder, transcript, caller,
+//                       usage, endReason })  lifecycle hooks. usage is the tokens the call used,
+//                       { input: { text, audio }, output: { text, audio } }; endReason is why the
+//                       stream ended: "caller-hung-up", "hung-up" (from the dashboard), "wrapped-up"
+//                       (see wrapUp), "backend-lost" or "stream-closed" (with no word from Twilio why)
+export function bridgeMediaStream(connection, {
+  WebSocket,
+  apiKey,
+  url = DEFAULT_REALTIME_URL,
+  audioFormat = "g711_ulaw",
+  backends = { realtime: createRealtimeBackend({ WebSocket, apiKey, url, audioFormat }) },
+  streamAudioFormat = "g711_ulaw",
+  processors = {},
+  personaFor = () => DEFAULT_PERSONA,
+  agentSpeaksFirst = isOutbound,
+  lookupCaller = null,
+  tools = null,
+  toolContext = {},
+  dtmf = {},
+  record = false,
+  authorizeStart = () => ({ valid: true }),
+  shouldConnect = () => true,
+  metrics = null,
+  monitor = null,
+  gate = null,
+  maxReconnectAttempts = 3,
+  reconnectBaseDelayMs = 500,
+  onOpenAiLost = () => {},
+  onStart = () => {},
+  onClose = () => {},
+}) {
+  let backend = null;             // the backend this call's persona uses
+  let session = null;            // its session for the current connection
+  let callerAudio = null;        // audio pipelines between the stream and the backend (see audio.js)
+  let agentAudio = null;
+  let streamSid = null;
+  let callSid = null;
+  let caller = null;             // from the stream's <Parameter>s (see caller-context.js)
+  let persona = null;            // the call's persona with its placeholders filled, once configured
+  let customer = null;           // what lookupCaller found
+  let authorized = false;
+  let twilioClosed = false;
+  let sessionReady = false;      // the session has been configured on the current connection
+  let connectionCount = 0;
+  let reconnectAttempts = 0;
+  let bufferedAudio = [];        // { timestamp, payload } of caller audio the backend hasn't received
+  let toolCallsInFlight = [];
+  let responseActive = false;    // the backend is generating a response
+  let responseRequested = false; // ask for another one once it is done
+  // Twilio timestamp of the first caller frame the backend received; its speech times are relative to it
+  let inputAudioOffset = null;
+  // When the caller last went quiet, until the first audio of the reply goes out (turn latency)
+  let speechStoppedAt = null;
+  let muted = false;             // the agent's audio is not played to the caller
+  const injectedInstructions = []; // from the dashboard, replayed to a new session after a reconnect
+  let wrappingUp = null;         // { said } once wrapUp() has asked for the goodbye
+  let endReason = null;          // see onClose above
+  const usage = { input: { text: 0, audio: 0 }, output: { text: 0, audio: 0 } };
+
+  // The recorder and the call monitor take u-law
+  const tappedAudio = createAudioPipeline({ from: streamAudioFormat, to: "g711_ulaw" });
+
+  const transcript = createTranscript();
+  const recorder = record ? createCallRecorder() : null;
+  let latestMediaTimestamp = 0;
+
+  const sendToTwilio = (message) => {
+    if (connection.readyState === WebSocket.OPEN) {
+      connection.send(JSON.stringify(message));
+    }
+  };
+
+  const backendOpen = () => Boolean(session?.isOpen());
+
+  const playback = createPlaybackTracker({
+    sendToTwilio,
+    getStreamSid: () => streamSid,
+  });
+
+  const report = (type, data) => monitor?.event(callSid, type, data);
+
+  // The backend a persona asks for, or the default one
+  const backendFor = (persona) => {
+    const name = persona.backend || DEFAULT_BACKEND;
+    if (backends[name]) return backends[name];
+    const [fallback] = Object.keys(backends);
+    console.warn(`Backend "${name}" is not configured; call ${callSid} uses "${fallback}"`);
+    return backends[fallback];
+  };
+
+  // Only one response may be in progress at a time
+  const requestResponse = () => {
+    if (responseActive) {
+      responseRequested = true;
+      return;
+    }
+    responseActive = true;
+    session?.createResponse();
+  };
+
+  // Keypad entries reach the model as caller input; secure entries only reach the validator
+  const keypad = createDtmfCollector({
+    ...dtmf,
+    onDigits: (digits) => {
+      console.log(`Caller entered ${digits.length} digit(s) on the keypad`);
+      session?.sendMessage("user", `[Keypad entry] ${digits}`);
+      requestResponse();
+    },
+    validateDigits: dtmf.validateDigits
+      ? (digits, info) => dtmf.validateDigits(digits, { ...info, callSid })
+      : undefined,
+  });
+
+  // Ask lookupCaller about the caller; a slow or failing lookup just means no customer record
+  const findCustomer = async () => {
+    if (!lookupCaller) return;
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        console.warn(`Customer lookup for call ${callSid} took over ${LOOKUP_TIMEOUT_MS} ms; going ahead without it`);
+        resolve(null);
+      }, LOOKUP_TIMEOUT_MS);
+    });
+    try {
+      customer = (await Promise.race([lookupCaller(caller), timeout])) ?? null;
+    } catch (error) {
+      console.error(`Customer lookup for call ${callSid} failed:`, error);
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  // Configure the backend session with this call's persona
+  const configureSession = () => {
+    persona = renderPersona(personaFor(callSid), { ...caller?.variables, ...caller, customer });
+    session.configure({
+      persona,
+      tools: tools ? tools.definitions(persona.tools ?? undefined) : [],
+      context: describeCaller(caller, customer),
+    });
+  };
+
+  // Run a function call from the model and hand its output back to the conversation
+  const runToolCall = async ({ callId, name, arguments: rawArguments }) => {
+    console.log(`Running tool ${name} for call ${callSid}`);
+    const allowed = personaFor(callSid).tools;
+    let output;
+    if (!tools) {
+      output = { error: "No tools are available" };
+    } else if (allowed && !allowed.includes(name)) {
+      // The persona's profile doesn't offer this tool
+      output = { error: `Tool "${name}" is not available on this call` };
+    } else {
+      output = await tools.execute(name, rawArguments, {
+        ...toolContext,
+        callSid,
+        streamSid,
+        transcript,
+        caller,
+        customer,
+        collectDigits: keypad.collectSecure,
+      });
+    }
+    session?.sendToolOutput(callId, output);
+  };
+
+  // Caller audio goes straight to the backend when the session is ready, otherwise it waits in a bounded buffer
+  const forwardCallerAudio = (timestamp, payload) => {
+    if (sessionReady && backendOpen()) {
+      if (inputAudioOffset === null) {
+        inputAudioOffset = timestamp;
+      }
+      session.sendAudio(callerAudio.process(payload)); // in the backend's audio format
+      metrics?.frames.inc({ direction: "caller_to_openai" });
+      return;
+    }
+    bufferedAudio.push({ timestamp, payload });
+    if (bufferedAudio.length > MAX_BUFFERED_FRAMES) {
+      bufferedAudio.shift();
+    }
+  };
+
+  const flushBufferedAudio = () => {
+    const frames = bufferedAudio;
+    bufferedAudio = [];
+    for (const { timestamp, payload } of frames) {
+      forwardCallerAudio(timestamp, payload);
+    }
+  };
+
+  const sendSystemMessage = (text) => {
+    session?.sendMessage("system", text);
+  };
+
+  // Give a fresh backend session the gist of the conversation it is taking over
+  const restoreConversation = () => {
+    const recap = transcript.entries()
+      .slice(-RECAP_ENTRIES)
+      .map((entry) => `${entry.speaker}: ${entry.text}`)
+      .join("\n");
+    if (recap) {
+      sendSystemMessage(`Conversation so far:\n${recap}`);
+    }
+    injectedInstructions.forEach(sendSystemMessage);
+  };
+
+  // Stop the assistant audio Twilio is playing and tell the backend how much was heard;
+  // returns what playback.interrupt() found
+  const stopPlayback = () => {
+    const interrupted = playback.interrupt();
+    agentAudio?.reset();
+    if (interrupted) {
+      recorder?.agentCleared(latestMediaTimestamp);
+      if (interrupted.itemId) {
+        session?.interrupt(interrupted);
+        transcript.assistantTruncated(interrupted.itemId, interrupted.audioEndMs);
+      }
+    }
+    return interrupted;
+  };
+
+  // What the call monitor's dashboard actions do to this call
+  const controls = {
+    // Ending the stream ends the <Connect>, and with it the call
+    hangUp() {
+      console.log(`Hanging up call ${callSid}`);
+      endReason ??= "hung-up";
+      connection.close(1000, "Hung up");
+    },
+
+    setMuted(value) {
+      muted = value;
+      if (muted) stopPlayback();
+    },
+
+    injectInstruction(text) {
+      injectedInstructions.push(text);
+      sendSystemMessage(text);
+    },
+
+    // Have the agent say goodbye, then hang up once Twilio has played it; after timeoutMs, or
+    // right away when there is no session to say it, the call is hung up regardless
+    wrapUp({ instructions = GOODBYE_INSTRUCTIONS, timeoutMs = WRAP_UP_TIMEOUT_MS } = {}) {
+      if (wrappingUp || twilioClosed) return;
+      wrappingUp = { said: false };
+      endReason ??= "wrapped-up";
+      if (!sessionReady || !backendOpen()) {
+        controls.hangUp();
+        return;
+      }
+      console.log(`Wrapping up call ${callSid}`);
+      report("wrap-up");
+      setTimeout(() => {
+        if (!twilioClosed) controls.hangUp();
+      }, timeoutMs).unref();
+      if (muted) controls.setMuted(false);
+      sendSystemMessage(instructions);
+      requestResponse();
+    },
+
+    // Hand the caller to a human through toolContext.transferCall (see transfer.js); the summary
+    // for whoever picks up comes from the transcript
+    async transfer(reason) {
+      if (!toolContext.transferCall) {
+        throw new Error("Transfers are not available on this line");
+      }
+      return toolContext.transferCall({ callSid, reason, summary: "", transcript });
+    },
+  };
+
+  // Hang up once the goodbye has been said and Twilio has played all of it
+  const hangUpAfterGoodbye = () => {
+    if (wrappingUp?.said && !playback.isPlaying() && !twilioClosed) {
+      controls.hangUp();
+    }
+  };
+
+  // Retry with exponential backoff, then hand the call to onOpenAiLost
+  const scheduleReconnect = () => {
+    if (reconnectAttempts >= maxReconnectAttempts) {
+      console.error(`Giving up on the ${backend.name} backend for call ${callSid} after ${reconnectAttempts} attempt(s)`);
+      metrics?.errors.inc({ type: "openai_lost" });
+      endReason ??= "backend-lost";
+      onOpenAiLost({ callSid, streamSid });
+      return;
+    }
+    const delay = reconnectBaseDelayMs * 2 ** reconnectAttempts;
+    reconnectAttempts++;
+    console.log(`Reconnecting to the ${backend.name} backend in ${delay} ms (attempt ${reconnectAttempts}/${maxReconnectAttempts})`);
+    setTimeout(() => {
+      if (!twilioClosed) {
+        connectBackend();
+      }
+    }, delay);
+  };
+
+  // What the backend reports back, for the session of one connection
+  const sessionHandlers = (connectStartedAt) => {
+    let openedAt = null;
+    return {
+      onOpen() {
+        report("backend.connected", { backend: backend.name });
+        openedAt = performance.now();
+        metrics?.openAiConnect.observe((openedAt - connectStartedAt) / 1000);
+        configureSession();
+      },
+
+      // Nothing but the configuration goes to the session until it is confirmed, so the first
+      // audio and messages are already handled with the call's persona
+      onConfigured() {
+        reconnectAttempts = 0;
+        if (openedAt !== null) {
+          metrics?.sessionReady.observe((performance.now() - openedAt) / 1000);
+          openedAt = null;
+        }
+        if (sessionReady) return;
+        const isReconnect = connectionCount > 1;
+        if (isReconnect) {
+          restoreConversation();
+        }
+        sessionReady = true;
+        if (isReconnect) {
+          flushBufferedAudio();
+          responseActive = true;
+          session.createResponse({ instructions: RESUME_INSTRUCTIONS });
+        } else if (agentSpeaksFirst(caller)) {
+          // The greeting answers whatever the callee said while we connected, usually "Hello?";
+          // replaying it would only make the model reply to it or cut its own greeting off
+          bufferedAudio = [];
+          sendSystemMessage(openingInstructions(persona));
+          requestResponse();
+        } else {
+          flushBufferedAudio();
+        }
+      },
+
+      onError({ type, message }) {
+        report("error", { message });
+        metrics?.errors.inc({ type });
+      },
+
+      // Agent audio goes out in the stream's format; with both sides in G.711 u-law it is passed on as is
+      onAudio(itemId, payload) {
+        const delta = muted ? "" : agentAudio.process(payload);
+        if (!delta) return;
+        const { startTimestamp, durationMs } = playback.onAssistantAudio(itemId, delta);
+        transcript.assistantAudio(itemId, startTimestamp, durationMs);
+        const ulaw = tappedAudio.process(delta);
+        recorder?.agentAudio(latestMediaTimestamp, ulaw);
+        monitor?.audio(callSid, "agent", ulaw, startTimestamp);
+        metrics?.frames.inc({ direction: "openai_to_twilio" });
+        if (speechStoppedAt !== null) {
+          metrics?.turnLatency.observe((performance.now() - speechStoppedAt) / 1000);
+          speechStoppedAt = null;
+        }
+      },
+
+      onAssistantTranscript(itemId, text) {
+        transcript.assistantTranscribed(itemId, text);
+        report("transcript", { speaker: SPEAKERS.assistant, text });
+      },
+
+      onCallerTranscript(itemId, text) {
+        transcript.callerTranscribed(itemId, text);
+        report("transcript", { speaker: SPEAKERS.caller, text });
+      },
+
+      onSpeechStarted(itemId, ms) {
+        transcript.callerSpeechStarted(itemId, (inputAudioOffset ?? 0) + ms);
+        // The caller is talking over the assistant: stop playback right away
+        if (stopPlayback()) {
+          console.log("Caller interrupted the assistant on stream", streamSid);
+          report("interrupted");
+        }
+      },
+
+      onSpeechStopped(itemId, ms) {
+        speechStoppedAt = performance.now();
+        transcript.callerSpeechStopped(itemId, (inputAudioOffset ?? 0) + ms);
+      },
+
+      onToolCall(call) {
+        report("tool", { name: call.name });
+        toolCallsInFlight.push(runToolCall(call));
+      },
+
+      onResponseStarted() {
+        responseActive = true;
+      },
+
+      onResponseDone(response) {
+        responseActive = false;
+        if (metrics) {
+          recordTokenUsage(metrics, response.usage);
+        }
+        addTokenUsage(usage, response.usage);
+        // Once wrapping up, the first response with nothing queued behind it is the goodbye
+        if (wrappingUp && !responseRequested) {
+          wrappingUp.said = true;
+          hangUpAfterGoodbye();
+          return;
+        }
+        // A new response can only be requested once the one that made the calls is done
+        if (toolCallsInFlight.length) {
+          const calls = toolCallsInFlight;
+          toolCallsInFlight = [];
+          Promise.all(calls).then(requestResponse);
+        } else if (responseRequested) {
+          responseRequested = false;
+          requestResponse();
+        }
+      },
+
+      onClose() {
+        sessionReady = false;
+        report("backend.disconnected", { backend: backend.name });
+        if (!twilioClosed) {
+          scheduleReconnect();
+        }
+      },
+    };
+  };
+
+  // Connect to the backend only once Twilio's "start" message has been authorized
+  const connectBackend = () => {
+    connectionCount++;
+    sessionReady = false;
+    inputAudioOffset = null;
+    responseActive = false;
+    responseRequested = false;
+    speechStoppedAt = null;
+    session = backend.connect(sessionHandlers(performance.now()));
+  };
+
+  // A client that never sends "start" is not Twilio
+  const startTimer = setTimeout(() => {
+    console.warn("Closing media stream that sent no start message");
+    connection.close(1008, "No start message");
+  }, START_TIMEOUT_MS);
+
+  // Handle incoming messages from Twilio (speech audio)
+  connection.on("message", (message) => {
+    try {
+      const data = JSON.parse(message);
+      switch (data.event) {
+        case "start": {
+          clearTimeout(startTimer);
+          // The gate only hands out a slot to streams that are otherwise fine
+          const authorization = authorizeStart(data.start);
+          const { valid, reason } = authorization.valid && gate ? gate.authorizeStart(data.start) : authorization;
+          if (!valid) {
+            console.warn(`Rejected media stream ${data.start.streamSid} for call ${data.start.callSid}: ${reason}`);
+            connection.close(1008, "Unauthorized");
+            return;
+          }
+          authorized = true;
+          metrics?.activeCalls.inc();
+          streamSid = data.start.streamSid;
+          callSid = data.start.callSid;
+          caller = callerFromStart(data.start);
+          backend = backendFor(personaFor(callSid));
+          callerAudio = createAudioPipeline({ from: streamAudioFormat, to: backend.audioFormat, processors: createProcessors(processors.caller) });
+          agentAudio = createAudioPipeline({ from: backend.audioFormat, to: streamAudioFormat, processors: createProcessors(processors.agent) });
+          playback.start();
+          console.log("Incoming stream started:", streamSid, "Call SID:", callSid, "Backend:", backend.name);
+          onStart({ callSid, streamSid, transcript });
+          monitor?.callStarted({ callSid, streamSid, caller, persona: personaFor(callSid), controls });
+          gate?.callStarted(callSid, controls);
+          // Caller audio is buffered meanwhile, so nothing said while we wait is lost
+          Promise.all([shouldConnect(callSid), findCustomer()]).then(([connect]) => {
+            if (twilioClosed) return;
+            if (connect) {
+              connectBackend();
+            } else {
+              console.log(`Not connecting call ${callSid} to the backend`);
+            }
+          });
+          break;
+        }
+
+        case "media":
+          if (!authorized) break;
+          latestMediaTimestamp = Number(data.media.timestamp);
+          playback.onCallerMedia(latestMediaTimestamp);
+          // Keypad tones of a secure entry must not end up in the backend's audio or the recording
+          if (keypad.isCollectingSecurely()) break;
+          if (recorder || monitor) {
+            const ulaw = tappedAudio.process(data.media.payload);
+            recorder?.callerAudio(latestMediaTimestamp, ulaw);
+            monitor?.audio(callSid, "caller", ulaw, latestMediaTimestamp);
+          }
+          // Forward the audio to the backend, or hold on to it until the session is ready
+          forwardCallerAudio(latestMediaTimestamp, data.media.payload);
+          break;
+
+        case "dtmf":
+          if (!authorized) break;
+          keypad.press(data.dtmf.digit);
+          break;
+
+        case "stop":
+          console.log("Twilio ended stream", streamSid);
+          endReason ??= "caller-hung-up";
+          break;
+
+        case "mark":
+          playback.onMark(data.mark.name);
+          hangUpAfterGoodbye();
+          break;
+
+        default:
+          console.log("Received non-media event:", data.event);
+      }
+    } catch (error) {
+      console.error("Error parsing Twilio WS message:", error, "Message:", message);
+      metrics?.errors.inc({ type: "twilio_message" });
+    }
+  });
+
+  // Clean up on close
+  connection.on("close", () => {
+    twilioClosed = true;
+    clearTimeout(startTimer);
+    keypad.clear();
+    session?.close();
+    if (authorized) {
+      metrics?.activeCalls.dec();
+      onClose({ callSid, streamSid, recorder, transcript, caller, usage, endReason: endReason ?? "stream-closed" });
+      monitor?.callEnded(callSid);
+      gate?.callEnded(callSid);
+    }
+    console.log("Client disconnected from /media-stream.");
+  });
+}
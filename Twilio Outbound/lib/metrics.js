@@ -0,0 +1,186 @@
+///////////////////////////////////////////
+// Prometheus metrics
+///////////////////////////////////////////
+// A small in-process registry rendering the Prometheus text format (version 0.0.4),
+// plus the instruments the media stream bridge reports to.
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values, in labelNames order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  const define = (metric) => {
+    if (metrics.some((m) => m.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  };
+
+  // Counters and gauges share everything but their type
+  const scalar = (type, name, help, labelNames) => {
+    const series = new Map();
+    const add = (labels, amount) => {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    };
+    define({
+      name,
+      help,
+      type,
+      render: () => [...series].map(([key, value]) => `${name}${formatLabels(labelsFromKey(labelNames, key))} ${value}`),
+    });
+    return { series, add };
+  };
+
+  return {
+    counter(name, help, labelNames = []) {
+      const { add } = scalar('counter', name, help, labelNames);
+      return {
+        inc(labels = {}, amount = 1) {
+          add(labels, amount);
+        },
+      };
+    },
+
+    gauge(name, help, labelNames = []) {
+      const { series, add } = scalar('gauge', name, help, labelNames);
+      return {
+        inc(labels = {}, amount = 1) {
+          add(labels, amount);
+        },
+        dec(labels = {}, amount = 1) {
+          add(labels, -amount);
+        },
+        set(labels = {}, value = 0) {
+          series.set(seriesKey(labelNames, labels), value);
+        },
+      };
+    },
+
+    // buckets are upper bounds in ascending order; +Inf is implied
+    histogram(name, help, { buckets, labelNames = [] }) {
+      const series = new Map(); // key -> { counts per bucket, sum, count }
+      define({
+        name,
+        help,
+        type: 'histogram',
+        render: () => [...series].flatMap(([key, { counts, sum, count }]) => {
+          const labels = labelsFromKey(labelNames, key);
+          return [
+            ...buckets.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+            `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${name}_sum${formatLabels(labels)} ${sum}`,
+            `${name}_count${formatLabels(labels)} ${count}`,
+          ];
+        }),
+      });
+      return {
+        observe(value, labels = {}) {
+          const key = seriesKey(labelNames, labels);
+          if (!series.has(key)) {
+            series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+          }
+          const entry = series.get(key);
+          buckets.forEach((bound, i) => {
+            if (value <= bound) entry.counts[i]++;
+          });
+          entry.sum += value;
+          entry.count++;
+        },
+      };
+    },
+
+    // The whole registry in Prometheus text format
+    render() {
+      return metrics
+        .map(({ name, help, type, render }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...render()].join('\n'))
+        .join('\n') + '\n';
+    },
+  };
+}
+
+// Instruments for the media stream bridge; pass the result as its `metrics` option
+// and serve `render()` at GET /metrics.
+export function createCallMetrics(registry = createMetricsRegistry()) {
+  const metrics = {
+    render: registry.render,
+
+    turnLatency: registry.histogram(
+      'voice_agent_turn_latency_seconds',
+      'Time from the caller going quiet (speech_stopped) to the first audio sent back to Twilio',
+      { buckets: [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10] },
+    ),
+    openAiConnect: registry.histogram(
+      'voice_agent_openai_connect_seconds',
+      'Time to open the OpenAI Realtime WebSocket',
+      { buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5] },
+    ),
+    sessionReady: registry.histogram(
+      'voice_agent_openai_session_ready_seconds',
+      'Time from the OpenAI WebSocket opening to session.updated',
+      { buckets: [0.1, 0.25, 0.5, 1, 1.5, 2, 5] },
+    ),
+    frames: registry.counter(
+      'voice_agent_media_frames_total',
+      'Audio frames forwarded, by direction',
+      ['direction'],
+    ),
+    activeCalls: registry.gauge(
+      'voice_agent_active_calls',
+      'Media streams currently bridged',
+    ),
+    tokens: registry.counter(
+      'voice_agent_openai_tokens_total',
+      'Tokens reported by response.done, by direction and modality',
+      ['direction', 'modality'],
+    ),
+    errors: registry.counter(
+      'voice_agent_errors_total',
+      'Errors by type',
+      ['type'],
+    ),
+  };
+  // Report zero rather than nothing before the first call
+  metrics.activeCalls.set({}, 0);
+  return metrics;
+}
+
+// Add a response.done usage block to the token counter
+export function recordTokenUsage(metrics, usage) {
+  if (!usage) return;
+  const { input_token_details: input = {}, output_token_details: output = {} } = usage;
+  metrics.tokens.inc({ direction: 'input', modality: 'text' }, input.text_tokens || 0);
+  metrics.tokens.inc({ direction: 'input', modality: 'audio' }, input.audio_tokens || 0);
+  metrics.tokens.inc({ direction: 'output', modality: 'text' }, output.text_tokens || 0);
+  metrics.tokens.inc({ direction: 'output', modality: 'audio' }, output.audio_tokens || 0);
+}
+
+// Add a response.done usage block to one call's totals, { input: { text, audio }, output: { text, audio } }
+export function addTokenUsage(totals, usage) {
+  if (!usage) return totals;
+  const { input_token_details: input = {}, output_token_details: output = {} } = usage;
+  totals.input.text += input.text_tokens || 0;
+  totals.input.audio += input.audio_tokens || 0;
+  totals.output.text += output.text_tokens || 0;
+  totals.output.audio += output.audio_tokens || 0;
+  return totals;
+}
@@ -0,0 +1,324 @@
+///////////////////////////////////////////
+// Per-call persona and dialing parameters
+///////////////////////////////////////////
+
+// The defaults every call falls back to when the request doesn't override them
+export const DEFAULT_PERSONA = {
+  instructions: "You are a helpful and bubbly AI assistant who loves to chat about anything the user is interested in and is prepared to offer them facts. You have a penchant for dad jokes, owl jokes, and rickrolling subtly. Always stay positive, but work in a joke when appropriate.",
+  voice: 'alloy',
+  temperature: 0.8,
+  greeting: 'O.K., you can start talking!',
+  transferTo: null, // number or sip: address for transfer_to_human; null uses the server default
+  voicemailMessage: "Hi, this is the A.I. assistant. Sorry we missed you, we'll try again later. Have a great day!",
+  language: null,   // e.g. "es"; null leaves it to the model
+  vad: null,        // { threshold, silenceDurationMs, prefixPaddingMs }; null keeps OpenAI's defaults
+  tools: null,      // names of the tools this persona may call; null allows all of them
+  extract: null,    // fields to pull out of the call afterwards, e.g. { intent: { type: 'string' } } (see post-call.js)
+  backend: null,    // "realtime" or "cascaded" (see media-bridge.js); null uses the server's default
+  profile: null,    // the profile (see profiles.js) the persona came from
+};
+
+// Conversational backends a persona can ask for (see realtime-backend.js and cascaded-backend.js)
+export const BACKENDS = ['realtime', 'cascaded'];
+
+// Voices supported by the OpenAI Realtime API
+export const VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'];
+
+// The Realtime API only accepts temperatures in this range
+const MIN_TEMPERATURE = 0.6;
+const MAX_TEMPERATURE = 1.2;
+
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+
+// Allowed ranges for the server VAD settings
+const VAD_LIMITS = {
+  threshold: [0, 1],
+  silenceDurationMs: [0, 10000],
+  prefixPaddingMs: [0, 5000],
+};
+
+// Field types the post-call extraction can fill in
+const EXTRACT_TYPES = ['string', 'number', 'integer', 'boolean'];
+const EXTRACT_FIELD_PATTERN = /^[A-Za-z_]\w{0,63}$/;
+
+// Error raised for a bad call request; `statusCode` is what the route replies with
+export class CallRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CallRequestError';
+    this.statusCode = 400;
+  }
+}
+
+export function isE164(number) {
+  return typeof number === 'string' && E164_PATTERN.test(number);
+}
+
+// Where a call can be handed to a human: an E.164 number or a sip: address
+export function isTransferTarget(target) {
+  return isE164(target) || /^sip:\S+@\S+$/.test(target || '');
+}
+
+// Parse a comma separated list of caller IDs, e.g. from TWILIO_CALLER_IDS
+export function parseCallerIds(value) {
+  return (value || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
+// Check the persona fields present in `input` and copy the valid ones onto `persona`.
+// Returns the problems found; shared by call requests and profile files (see profiles.js).
+export function applyPersonaFields(persona, input, { toolNames = null } = {}) {
+  const errors = [];
+  const text = (field) => {
+    if (input[field] === undefined) return;
+    if (typeof input[field] !== 'string' || !input[field].trim()) {
+      errors.push(`"${field}" must be a non-empty string`);
+    } else {
+      persona[field] = input[field];
+    }
+  };
+
+  text('instructions');
+
+  if (input.voice !== undefined) {
+    if (!VOICES.includes(input.voice)) {
+      errors.push(`"voice" must be one of ${VOICES.join(', ')}`);
+    } else {
+      persona.voice = input.voice;
+    }
+  }
+
+  if (input.temperature !== undefined) {
+    const temperature = Number(input.temperature);
+    if (!Number.isFinite(temperature) || temperature < MIN_TEMPERATURE || temperature > MAX_TEMPERATURE) {
+      errors.push(`"temperature" must be a number between ${MIN_TEMPERATURE} and ${MAX_TEMPERATURE}`);
+    } else {
+      persona.temperature = temperature;
+    }
+  }
+
+  text('greeting');
+  text('voicemailMessage');
+
+  if (input.transferTo !== undefined) {
+    if (!isTransferTarget(input.transferTo)) {
+      errors.push('"transferTo" must be an E.164 phone number or a sip: address');
+    } else {
+      persona.transferTo = input.transferTo;
+    }
+  }
+
+  if (input.language !== undefined) {
+    if (typeof input.language !== 'string' || !LANGUAGE_PATTERN.test(input.language)) {
+      errors.push('"language" must be a language code such as "en" or "es-MX"');
+    } else {
+      persona.language = input.language;
+    }
+  }
+
+  if (input.vad !== undefined) {
+    const vadErrors = validateVad(input.vad);
+    if (vadErrors.length) {
+      errors.push(...vadErrors);
+    } else {
+      persona.vad = { ...input.vad };
+    }
+  }
+
+  if (input.tools !== undefined) {
+    if (!Array.isArray(input.tools) || input.tools.some((name) => typeof name !== 'string')) {
+      errors.push('"tools" must be a list of tool names');
+    } else {
+      const unknown = toolNames ? input.tools.filter((name) => !toolNames.includes(name)) : [];
+      if (unknown.length) {
+        errors.push(`"tools" has unknown tool(s) ${unknown.join(', ')}; available: ${toolNames.join(', ')}`);
+      } else {
+        persona.tools = [...input.tools];
+      }
+    }
+  }
+
+  if (input.backend !== undefined) {
+    if (!BACKENDS.includes(input.backend)) {
+      errors.push(`"backend" must be one of ${BACKENDS.join(', ')}`);
+    } else {
+      persona.backend = input.backend;
+    }
+  }
+
+  if (input.extract !== undefined) {
+    const { fields, errors: extractErrors } = normalizeExtract(input.extract);
+    if (extractErrors.length) {
+      errors.push(...extractErrors);
+    } else {
+      persona.extract = fields;
+    }
+  }
+
+  return errors;
+}
+
+// Post-call extraction fields: name -> { type, description, enum }, or just name -> type
+function normalizeExtract(extract) {
+  if (!extract || typeof extract !== 'object' || Array.isArray(extract)) {
+    return { errors: ['"extract" must map field names to a type or { type, description, enum }'] };
+  }
+  const fields = {};
+  const errors = [];
+  for (const [name, value] of Object.entries(extract)) {
+    const field = typeof value === 'string' ? { type: value } : value;
+    if (!EXTRACT_FIELD_PATTERN.test(name)) {
+      errors.push(`"extract.${name}" is not a valid field name`);
+    } else if (!field || typeof field !== 'object' || !EXTRACT_TYPES.includes(field.type)) {
+      errors.push(`"extract.${name}" must have a type of ${EXTRACT_TYPES.join(', ')}`);
+    } else if (Object.keys(field).some((key) => !['type', 'description', 'enum'].includes(key))) {
+      errors.push(`"extract.${name}" may only have type, description and enum`);
+    } else if (field.description !== undefined && typeof field.description !== 'string') {
+      errors.push(`"extract.${name}.description" must be a string`);
+    } else if (field.enum !== undefined && (field.type !== 'string' || !Array.isArray(field.enum)
+      || !field.enum.length || field.enum.some((option) => typeof option !== 'string'))) {
+      errors.push(`"extract.${name}.enum" must be a list of strings on a string field`);
+    } else {
+      fields[name] = { ...field };
+    }
+  }
+  return { fields, errors };
+}
+
+// Server VAD tuning: { threshold, silenceDurationMs, prefixPaddingMs }
+function validateVad(vad) {
+  if (!vad || typeof vad !== 'object' || Array.isArray(vad)) {
+    return ['"vad" must be an object with threshold, silenceDurationMs and/or prefixPaddingMs'];
+  }
+  const errors = [];
+  for (const key of Object.keys(vad)) {
+    if (!VAD_LIMITS[key]) {
+      errors.push(`"vad.${key}" is not a VAD setting; use ${Object.keys(VAD_LIMITS).join(', ')}`);
+      continue;
+    }
+    const [min, max] = VAD_LIMITS[key];
+    if (typeof vad[key] !== 'number' || vad[key] < min || vad[key] > max) {
+      errors.push(`"vad.${key}" must be a number between ${min} and ${max}`);
+    }
+  }
+  return errors;
+}
+
+// Validate a call request (JSON body or query string) and resolve it against the defaults.
+// `profile` names a base persona from the profile store; the request's fields override it.
+// Returns { to, from, persona } or throws a CallRequestError.
+export function resolveCallRequest(input = {}, { defaultTo, defaultFrom, allowedCallerIds = [], profiles = null, toolNames = null } = {}) {
+  const to = input.to || defaultTo;
+  const from = input.from || defaultFrom;
+
+  if (!isE164(to)) {
+    throw new CallRequestError(`"to" must be an E.164 phone number, got ${JSON.stringify(to)}`);
+  }
+  if (!isE164(from)) {
+    throw new CallRequestError(`"from" must be an E.164 phone number, got ${JSON.stringify(from)}`);
+  }
+  if (allowedCallerIds.length && !allowedCallerIds.includes(from)) {
+    throw new CallRequestError(`Caller ID ${from} is not in the allowlist`);
+  }
+
+  let base = DEFAULT_PERSONA;
+  if (input.profile !== undefined && input.profile !== '') {
+    base = profiles?.get(input.profile);
+    if (!base) {
+      throw new CallRequestError(`Unknown profile ${JSON.stringify(input.profile)}`);
+    }
+  }
+
+  const persona = { ...base };
+  const errors = applyPersonaFields(persona, input, { toolNames });
+  if (errors.length) {
+    throw new CallRequestError(errors.join('; '));
+  }
+
+  return { to, from, persona };
+}
+
+// Fill {{variable}} placeholders, e.g. per-contact campaign variables or {{customer.name}};
+// unknown ones become empty, or stay as they are with keepUnknown so a later pass can fill them
+export function renderTemplate(text, variables = {}, { keepUnknown = false } = {}) {
+  if (typeof text !== 'string') return text;
+  return text.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (placeholder, name) => {
+    const value = variables[name] ?? name.split('.').reduce((object, key) => object?.[key], variables);
+    if (value === undefined || value === null || typeof value === 'object') {
+      return keepUnknown ? placeholder : '';
+    }
+    return value.toString();
+  });
+}
+
+// Fill {{placeholders}} in the persona's instructions and spoken text
+export function renderPersona(persona, variables = {}, options = {}) {
+  return {
+    ...persona,
+    instructions: renderTemplate(persona.instructions, variables, options),
+    greeting: renderTemplate(persona.greeting, variables, options),
+    voicemailMessage: renderTemplate(persona.voicemailMessage, variables, options),
+  };
+}
+
+// Escape text before it goes into a TwiML <Say>
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// The instructions plus what we know about the call and a reminder of the persona's language
+export function instructionsFor(persona, context) {
+  const instructions = context ? `${persona.instructions}\n\n${context}` : persona.instructions;
+  if (!persona.language) return instructions;
+  let name = persona.language;
+  try {
+    name = new Intl.DisplayNames(['en'], { type: 'language' }).of(persona.language) || name;
+  } catch {
+    // Not a code Intl knows; the model will still understand it
+  }
+  return `${instructions}\n\nAlways speak ${name} (${persona.language}) unless the caller asks otherwise.`;
+}
+
+// Build the session.update payload for a call's persona, with the tool definitions it may call
+// and `context` about the caller (see caller-context.js). `audioFormat` is the session's audio
+// in both directions (see audio.js).
+export function buildSessionUpdate(persona, { tools = [], context = null, audioFormat = "g711_ulaw" } = {}) {
+  const { vad } = persona;
+  const turnDetection = { type: "server_vad" };
+  if (vad?.threshold !== undefined) turnDetection.threshold = vad.threshold;
+  if (vad?.prefixPaddingMs !== undefined) turnDetection.prefix_padding_ms = vad.prefixPaddingMs;
+  if (vad?.silenceDurationMs !== undefined) turnDetection.silence_duration_ms = vad.silenceDurationMs;
+
+  const transcription = { model: "whisper-1" };
+  if (persona.language) {
+    // Whisper takes the bare ISO-639-1 code
+    transcription.language = persona.language.split("-")[0];
+  }
+
+  const sessionUpdate = {
+    type: "session.update",
+    session: {
+      turn_detection: turnDetection,
+      input_audio_format: audioFormat,
+      output_audio_format: audioFormat,
+      input_audio_transcription: transcription,
+      voice: persona.voice,
+      instructions: instructionsFor(persona, context),
+      modalities: ["text", "audio"],
+      temperature: persona.temperature,
+    },
+  };
+  if (tools.length) {
+    sessionUpdate.session.tools = tools;
+    sessionUpdate.session.tool_choice = "auto";
+  }
+  return sessionUpdate;
+}
@@ -0,0 +1,96 @@
+///////////////////////////////////////////
+// Assistant playback tracking and barge-in
+///////////////////////////////////////////
+
+// G.711 u-law at 8 kHz is one byte per sample, i.e. 8 bytes per millisecond
+const ULAW_BYTES_PER_MS = 8;
+
+// Tracks how much of the assistant's audio Twilio has actually played, using named marks,
+// so that when the caller talks over the bot we can cut it off at the right spot.
+//
+// `sendToTwilio` takes plain objects and serializes them.
+export function createPlaybackTracker({ sendToTwilio, getStreamSid }) {
+  let latestMediaTimestamp = 0;         // Twilio's media.timestamp of the latest caller frame
+  let responseStartTimestampTwilio = null;
+  let lastAssistantItem = null;
+  let sentMs = 0;                       // Audio of lastAssistantItem sent to Twilio so far
+  let playedMs = 0;                     // Audio of lastAssistantItem Twilio confirmed playing
+  let markQueue = [];
+
+  const reset = () => {
+    responseStartTimestampTwilio = null;
+    lastAssistantItem = null;
+    sentMs = 0;
+    playedMs = 0;
+    markQueue = [];
+  };
+
+  return {
+    // Twilio "start" event
+    start() {
+      latestMediaTimestamp = 0;
+      reset();
+    },
+
+    // Twilio "media" event from the caller
+    onCallerMedia(timestamp) {
+      latestMediaTimestamp = Number(timestamp);
+    },
+
+    // An assistant audio delta (base64) is about to be forwarded to Twilio.
+    // Returns when the item started playing (Twilio clock) and how long this chunk is.
+    onAssistantAudio(itemId, payload) {
+      if (itemId && itemId !== lastAssistantItem) {
+        lastAssistantItem = itemId;
+        responseStartTimestampTwilio = null;
+        sentMs = 0;
+        playedMs = 0;
+      }
+      if (responseStartTimestampTwilio === null) {
+        responseStartTimestampTwilio = latestMediaTimestamp;
+      }
+
+      sendToTwilio({ event: "media", streamSid: getStreamSid(), media: { payload } });
+
+      const durationMs = Buffer.from(payload, "base64").length / ULAW_BYTES_PER_MS;
+      sentMs += durationMs;
+      const name = `${lastAssistantItem || "response"}:${Math.round(sentMs)}`;
+      markQueue.push(name);
+      sendToTwilio({ event: "mark", streamSid: getStreamSid(), mark: { name } });
+
+      return { startTimestamp: responseStartTimestampTwilio, durationMs };
+    },
+
+    // Twilio echoes a mark back once the audio before it has been played
+    onMark(name) {
+      const index = markQueue.indexOf(name);
+      if (index === -1) return;
+      markQueue = markQueue.slice(index + 1);
+      const [itemId, ms] = name.split(":");
+      if (itemId === lastAssistantItem) {
+        playedMs = Number(ms);
+      }
+    },
+
+    // Whether assistant audio is still queued or playing on the Twilio side
+    isPlaying() {
+      return markQueue.length > 0;
+    },
+
+    // The caller started talking: stop playback and work out how much was heard, for the backend.
+    // Returns { itemId, audioEndMs } if anything was cut off, otherwise null.
+    interrupt() {
+      if (markQueue.length === 0 || responseStartTimestampTwilio === null) {
+        return null;
+      }
+
+      const itemId = lastAssistantItem;
+      const elapsed = latestMediaTimestamp - responseStartTimestampTwilio;
+      // Never claim more than we sent, nor less than Twilio already confirmed
+      const audioEndMs = Math.round(Math.min(sentMs, Math.max(playedMs, elapsed)));
+      sendToTwilio({ event: "clear", streamSid: getStreamSid() });
+      reset();
+      return { itemId, audioEndMs };
+    },
+  };
+}
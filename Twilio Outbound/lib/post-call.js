@@ -0,0 +1,191 @@
+///////////////////////////////////////////
+// Post-call summaries and webhooks
+///////////////////////////////////////////
+// Once a call's media stream closes, its transcript goes to the model for a short summary
+// and the persona's `extract` fields (e.g. intent, appointment_time, callback_requested).
+// The result is POSTed with the call's details to a webhook, signed like this:
+//
+//   X-Webhook-Id:        same for every attempt, for de-duplication
+//   X-Webhook-Timestamp: unix seconds
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret>
+//
+// Failed deliveries are retried with exponential backoff; the ones that never get through are
+// appended to a dead-letter file (one JSON object per line) so they can be replayed.
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const OPENAI_CHAT_URL = 'https://api.openai.com/v1/chat/completions';
+
+export const WEBHOOK_DEFAULTS = {
+  maxAttempts: 5,
+  baseDelayMs: 1000, // doubled after every failed attempt
+  timeoutMs: 10000,
+};
+
+const SUMMARY_INSTRUCTIONS = "You review phone calls between our voice agent and a caller. Summarize the call in two or three sentences, then fill in each result field from what was said. Use null for anything the call didn't cover; don't guess.";
+
+// HMAC for the X-Webhook-Signature header
+export function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Check a signed request, e.g. in a receiver or a test; maxAgeSeconds guards against replays
+export function verifyWebhookSignature(secret, { timestamp, signature, body }, { maxAgeSeconds = 300 } = {}) {
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > maxAgeSeconds) return false;
+  const expected = Buffer.from(signWebhook(secret, timestamp, body));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// JSON schema for the model's answer; every extract field is required but may be null
+export function summarySchema(extract) {
+  const properties = {};
+  for (const [name, field] of Object.entries(extract || {})) {
+    properties[name] = { type: [field.type, 'null'] };
+    if (field.description) properties[name].description = field.description;
+    if (field.enum) properties[name].enum = [...field.enum, null];
+  }
+  return {
+    type: 'object',
+    properties: {
+      summary: { type: 'string' },
+      result: { type: 'object', properties, required: Object.keys(properties), additionalProperties: false },
+    },
+    required: ['summary', 'result'],
+    additionalProperties: false,
+  };
+}
+
+// Status codes worth another attempt; other 4xx replies mean the request itself is wrong
+function isRetryable(status) {
+  return status >= 500 || status === 408 || status === 429;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Options:
+//   apiKey          OpenAI API key for the summary
+//   model           chat model that writes the summary
+//   chatUrl         chat completions endpoint, e.g. a stand-in for tests
+//   webhookUrl      where results are POSTed; without it calls are only summarized
+//   webhookSecret   signs each delivery; unsigned when empty
+//   deadLetterFile  JSON lines file for deliveries that ran out of attempts
+//   maxAttempts, baseDelayMs, timeoutMs  see WEBHOOK_DEFAULTS
+export function createPostCallPipeline({
+  apiKey,
+  model = 'gpt-4o-mini',
+  chatUrl = OPENAI_CHAT_URL,
+  webhookUrl = null,
+  webhookSecret = null,
+  deadLetterFile = './dead-letters.jsonl',
+  maxAttempts = WEBHOOK_DEFAULTS.maxAttempts,
+  baseDelayMs = WEBHOOK_DEFAULTS.baseDelayMs,
+  timeoutMs = WEBHOOK_DEFAULTS.timeoutMs,
+}) {
+  // Resolves to { summary, result }
+  const summarize = async (persona, entries) => {
+    const conversation = entries.map((entry) => `${entry.speaker}: ${entry.text}`).join('\n');
+    const response = await fetch(chatUrl, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        messages: [
+          { role: 'system', content: `${SUMMARY_INSTRUCTIONS}\n\nThe agent's instructions were:\n${persona.instructions}` },
+          { role: 'user', content: conversation },
+        ],
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: 'call_summary', strict: true, schema: summarySchema(persona.extract) },
+        },
+      }),
+      signal: AbortSignal.timeout(30000),
+    });
+    if (!response.ok) {
+      throw new Error(`OpenAI summary request failed with ${response.status}`);
+    }
+    const completion = await response.json();
+    return JSON.parse(completion.choices[0].message.content);
+  };
+
+  const deadLetter = async (payload, attempts, error) => {
+    const entry = { failedAt: new Date().toISOString(), url: webhookUrl, attempts, error, payload };
+    await fs.mkdir(path.dirname(deadLetterFile), { recursive: true });
+    await fs.appendFile(deadLetterFile, `${JSON.stringify(entry)}\n`);
+    console.error(`Webhook delivery of ${payload.id} failed after ${attempts} attempt(s) (${error}); saved to ${deadLetterFile}`);
+  };
+
+  // Resolves to { delivered, attempts, error }
+  const deliver = async (payload) => {
+    const body = JSON.stringify(payload);
+    let error = null;
+    let attempt = 0;
+    while (attempt < maxAttempts) {
+      attempt += 1;
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const headers = { 'Content-Type': 'application/json', 'X-Webhook-Id': payload.id, 'X-Webhook-Timestamp': timestamp };
+      if (webhookSecret) {
+        headers['X-Webhook-Signature'] = signWebhook(webhookSecret, timestamp, body);
+      }
+      try {
+        const response = await fetch(webhookUrl, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeoutMs) });
+        if (response.ok) {
+          return { delivered: true, attempts: attempt, error: null };
+        }
+        error = `webhook replied ${response.status}`;
+        if (!isRetryable(response.status)) break;
+      } catch (requestError) {
+        error = requestError.message;
+      }
+      if (attempt < maxAttempts) {
+        await sleep(baseDelayMs * 2 ** (attempt - 1));
+      }
+    }
+    await deadLetter(payload, attempt, error);
+    return { delivered: false, attempts: attempt, error };
+  };
+
+  return {
+    // Summarize a finished call and send it to the webhook. `call` is the metadata to send
+    // (sid, direction, from, to, ...), `transcript` the bridge's transcript. Never rejects;
+    // resolves to { summary, result, delivery } for the call registry.
+    async process({ call, persona, transcript }) {
+      const entries = transcript?.entries() ?? [];
+      let summary = null;
+      let result = null;
+      let summaryError = null;
+      if (entries.length) {
+        try {
+          ({ summary, result } = await summarize(persona, entries));
+        } catch (error) {
+          summaryError = error.message;
+          console.error(`Error summarizing call ${call.sid}:`, error.message);
+        }
+      }
+
+      const outcome = { summary, result, summaryError, delivery: null };
+      if (!webhookUrl) return outcome;
+
+      const payload = {
+        id: crypto.randomUUID(),
+        event: 'call.completed',
+        createdAt: new Date().toISOString(),
+        call: { ...call, profile: persona.profile },
+        summary,
+        result,
+        summaryError,
+        transcript: entries,
+      };
+      try {
+        outcome.delivery = await deliver(payload);
+      } catch (error) {
+        // Only the dead-letter write can throw; there's nothing left to try
+        console.error(`Error saving undelivered webhook for call ${call.sid}:`, error);
+        outcome.delivery = { delivered: false, error: error.message };
+      }
+      return outcome;
+    },
+  };
+}
@@ -0,0 +1,177 @@
+///////////////////////////////////////////
+// Agent profiles
+///////////////////////////////////////////
+// One JSON or YAML file per agent in PROFILES_DIR, e.g. profiles/support.yaml:
+//
+//   name: support                 # defaults to the file name
+//   numbers: ["+15551230001"]     # Twilio numbers whose incoming calls get this profile
+//   instructions: You are the support agent for ...
+//   voice: shimmer
+//   temperature: 0.7
+//   language: en
+//   greeting: Thanks for calling support!
+//   vad: { threshold: 0.6, silenceDurationMs: 700 }
+//   tools: [get_current_time, transfer_to_human]
+//   extract:                      # filled in after the call (see post-call.js)
+//     intent: { type: string, enum: [support, sales, other] }
+//     callback_requested: boolean
+//   backend: cascaded             # speech-to-text, chat model and text-to-speech instead of realtime
+//
+// Any other persona field (transferTo, voicemailMessage) works too. Files are re-read when they
+// change; a file that fails validation is reported and the last good version of it stays live.
+import fs from 'node:fs';
+import path from 'node:path';
+import { DEFAULT_PERSONA, applyPersonaFields, isE164 } from './persona.js';
+
+const PROFILE_FILE_PATTERN = /\.(json|ya?ml)$/i;
+const NAME_PATTERN = /^[\w-]+$/;
+const PROFILE_FIELDS = [
+  'name', 'numbers', 'instructions', 'voice', 'temperature', 'greeting', 'voicemailMessage',
+  'transferTo', 'language', 'vad', 'tools', 'extract', 'backend',
+];
+
+// Changes within this window are picked up by a single reload
+const RELOAD_DEBOUNCE_MS = 100;
+
+// A profile file that can't be used; `errors` lists every problem found
+export class ProfileError extends Error {
+  constructor(file, errors) {
+    super(`Invalid profile ${file}: ${errors.join('; ')}`);
+    this.name = 'ProfileError';
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+// Parse and validate one profile file's contents. Returns { name, numbers, persona } or
+// throws a ProfileError. YAML needs `parseYaml` (e.g. the yaml package's parse).
+export function parseProfile(text, file, { parseYaml = null, toolNames = null } = {}) {
+  const yaml = /\.ya?ml$/i.test(file);
+  let raw;
+  try {
+    if (yaml && !parseYaml) {
+      throw new Error('YAML profiles need a YAML parser');
+    }
+    raw = yaml ? parseYaml(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ProfileError(file, [error.message]);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ProfileError(file, ['a profile must be an object']);
+  }
+
+  const errors = Object.keys(raw)
+    .filter((key) => !PROFILE_FIELDS.includes(key))
+    .map((key) => `unknown field "${key}"`);
+
+  const name = raw.name ?? path.basename(file).replace(PROFILE_FILE_PATTERN, '');
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    errors.push('"name" may only contain letters, digits, "_" and "-"');
+  }
+
+  const numbers = raw.numbers ?? [];
+  if (!Array.isArray(numbers) || numbers.some((number) => !isE164(number))) {
+    errors.push('"numbers" must be a list of E.164 phone numbers');
+  }
+
+  const persona = { ...DEFAULT_PERSONA, profile: name };
+  errors.push(...applyPersonaFields(persona, raw, { toolNames }));
+
+  if (errors.length) {
+    throw new ProfileError(file, errors);
+  }
+  return { name, numbers, persona };
+}
+
+// Options:
+//   dir        folder of profile files; a missing folder just means no profiles
+//   parseYaml  YAML parser, injected so this module only depends on Node itself
+//   toolNames  tools a profile may list
+//   watch      reload when files change
+export function createProfileStore({ dir, parseYaml = null, toolNames = null, watch = true }) {
+  const byFile = new Map(); // file -> last good { name, numbers, persona }
+  let byName = new Map();
+  let byNumber = new Map();
+  let problems = [];        // { file, errors } from the latest load
+  let watcher = null;
+  let reloadTimer = null;
+
+  const load = () => {
+    const files = fs.existsSync(dir)
+      ? fs.readdirSync(dir).filter((file) => PROFILE_FILE_PATTERN.test(file)).sort()
+      : [];
+    problems = [];
+
+    for (const file of byFile.keys()) {
+      if (!files.includes(file)) byFile.delete(file);
+    }
+    for (const file of files) {
+      try {
+        const text = fs.readFileSync(path.join(dir, file), 'utf8');
+        byFile.set(file, parseProfile(text, file, { parseYaml, toolNames }));
+      } catch (error) {
+        const errors = error instanceof ProfileError ? error.errors : [error.message];
+        problems.push({ file, errors });
+        console.error(`Invalid profile ${file}${byFile.has(file) ? ' (keeping the previous version)' : ''}:\n  - ${errors.join('\n  - ')}`);
+      }
+    }
+
+    // Names and numbers must be unique; the first file (alphabetically) wins
+    const names = new Map();
+    const numbers = new Map();
+    for (const [file, profile] of byFile) {
+      if (names.has(profile.name)) {
+        problems.push({ file, errors: [`profile name "${profile.name}" is already used by ${names.get(profile.name).file}`] });
+        continue;
+      }
+      names.set(profile.name, { ...profile, file });
+      for (const number of profile.numbers) {
+        if (numbers.has(number)) {
+          problems.push({ file, errors: [`number ${number} is already assigned to profile "${numbers.get(number).name}"`] });
+        } else {
+          numbers.set(number, profile);
+        }
+      }
+    }
+    byName = names;
+    byNumber = numbers;
+    console.log(`Loaded ${byName.size} profile(s) from ${dir}${byName.size ? `: ${[...byName.keys()].join(', ')}` : ''}`);
+  };
+
+  load();
+  if (watch && fs.existsSync(dir)) {
+    watcher = fs.watch(dir, () => {
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(load, RELOAD_DEBOUNCE_MS);
+    });
+    watcher.unref();
+  }
+
+  return {
+    // The persona of a profile, or null
+    get(name) {
+      return byName.get(name)?.persona || null;
+    },
+
+    // The persona for calls to a Twilio number, or null
+    forNumber(number) {
+      return byNumber.get(number)?.persona || null;
+    },
+
+    list() {
+      return [...byName.values()].map(({ name, numbers, file, persona }) => ({ name, numbers, file, persona }));
+    },
+
+    // Files that failed to load on the latest reload
+    errors() {
+      return problems;
+    },
+
+    reload: load,
+
+    close() {
+      clearTimeout(reloadTimer);
+      watcher?.close();
+    },
+  };
+}
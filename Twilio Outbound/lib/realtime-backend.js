@@ -0,0 +1,175 @@
+///////////////////////////////////////////
+// OpenAI Realtime backend
+///////////////////////////////////////////
+// The conversational backend (see media-bridge.js for the interface) that hands the whole
+// conversation to an OpenAI Realtime session over one WebSocket: the model hears the caller,
+// detects turns with server VAD and speaks its replies itself. The WebSocket class is passed in
+// so this module only depends on Node itself.
+import { buildSessionUpdate } from './persona.js';
+
+export const REALTIME_API_URL = "wss://api.openai.com/v1/realtime";
+export const DEFAULT_REALTIME_MODEL = "gpt-4o-realtime-preview-2024-10-01";
+
+// The Realtime API URL for a model; baseUrl can point at a stand-in such as the test suite's mock
+export function realtimeUrl({ baseUrl = REALTIME_API_URL, model = DEFAULT_REALTIME_MODEL } = {}) {
+  const url = new URL(baseUrl);
+  url.searchParams.set("model", model);
+  return url.toString();
+}
+
+export const DEFAULT_REALTIME_URL = realtimeUrl();
+
+// Options:
+//   WebSocket           the `ws` WebSocket class
+//   apiKey              OpenAI API key
+//   url                 Realtime API URL (model included)
+//   audioFormat         the session's audio in both directions: "g711_ulaw", "g711_alaw" or "pcm16"
+export function createRealtimeBackend({
+  WebSocket,
+  apiKey,
+  url = DEFAULT_REALTIME_URL,
+  audioFormat = "g711_ulaw",
+}) {
+  return {
+    name: "realtime",
+    audioFormat,
+
+    connect(handlers) {
+      const ws = new WebSocket(url, {
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          "OpenAI-Beta": "realtime=v1",
+        },
+      });
+
+      const send = (message) => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify(message));
+        }
+      };
+
+      ws.on("open", () => {
+        console.log("Connected to the OpenAI Realtime API");
+        handlers.onOpen();
+      });
+
+      ws.on("message", (rawData) => {
+        try {
+          const response = JSON.parse(rawData);
+
+          switch (response.type) {
+            case "session.updated":
+              console.log("Session updated successfully:", response);
+              handlers.onConfigured();
+              break;
+
+            case "error":
+              console.error("OpenAI Realtime API error:", response.error);
+              handlers.onError({
+                type: `openai_${response.error?.type || "unknown"}`,
+                message: response.error?.message || "OpenAI error",
+              });
+              break;
+
+            case "response.audio.delta":
+              if (response.delta) handlers.onAudio(response.item_id, response.delta);
+              break;
+
+            case "response.audio_transcript.done":
+              handlers.onAssistantTranscript(response.item_id, response.transcript);
+              break;
+
+            case "conversation.item.input_audio_transcription.completed":
+              handlers.onCallerTranscript(response.item_id, response.transcript);
+              break;
+
+            case "input_audio_buffer.speech_started":
+              handlers.onSpeechStarted(response.item_id, response.audio_start_ms);
+              break;
+
+            case "input_audio_buffer.speech_stopped":
+              handlers.onSpeechStopped(response.item_id, response.audio_end_ms);
+              break;
+
+            case "response.function_call_arguments.done":
+              handlers.onToolCall({ callId: response.call_id, name: response.name, arguments: response.arguments });
+              break;
+
+            case "response.created":
+              handlers.onResponseStarted();
+              break;
+
+            case "response.done":
+              handlers.onResponseDone({ usage: response.response?.usage });
+              break;
+          }
+        } catch (error) {
+          console.error("Error processing OpenAI message:", error, "Raw message:", rawData);
+          handlers.onError({ type: "openai_message", message: error.message });
+        }
+      });
+
+      ws.on("close", () => {
+        console.log("Disconnected from the OpenAI Realtime API");
+        handlers.onClose();
+      });
+
+      ws.on("error", (error) => {
+        console.error("Error in the OpenAI WebSocket:", error);
+        handlers.onError({ type: "openai_socket", message: error.message });
+      });
+
+      return {
+        isOpen: () => ws.readyState === WebSocket.OPEN,
+
+        configure({ persona, tools = [], context = null }) {
+          const sessionUpdate = buildSessionUpdate(persona, { tools, context, audioFormat });
+          console.log("Sending session update:", JSON.stringify(sessionUpdate));
+          send(sessionUpdate);
+        },
+
+        sendAudio(payload) {
+          send({ type: "input_audio_buffer.append", audio: payload });
+        },
+
+        sendMessage(role, text) {
+          send({
+            type: "conversation.item.create",
+            item: {
+              type: "message",
+              role,
+              content: [{ type: "input_text", text }],
+            },
+          });
+        },
+
+        createResponse({ instructions } = {}) {
+          send(instructions ? { type: "response.create", response: { instructions } } : { type: "response.create" });
+        },
+
+        sendToolOutput(callId, output) {
+          send({
+            type: "conversation.item.create",
+            item: { type: "function_call_output", call_id: callId, output: JSON.stringify(output) },
+          });
+        },
+
+        // Tell the model how much of its reply the caller heard; server VAD has already cancelled it
+        interrupt({ itemId, audioEndMs }) {
+          send({
+            type: "conversation.item.truncate",
+            item_id: itemId,
+            content_index: 0,
+            audio_end_ms: audioEndMs,
+          });
+        },
+
+        close() {
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.close();
+          }
+        },
+      };
+    },
+  };
+}
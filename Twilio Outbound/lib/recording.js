@@ -0,0 +1,187 @@
+///////////////////////////////////////////
+// Server-side dual-channel call recording
+///////////////////////////////////////////
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { ULAW_SILENCE, ulawToLinear } from './g711.js';
+
+const SAMPLE_RATE = 8000;
+const BYTES_PER_MS = SAMPLE_RATE / 1000; // u-law: one byte per sample
+
+// A growable u-law track; gaps are filled with silence
+function createTrack() {
+  let buffer = Buffer.alloc(SAMPLE_RATE * 10, ULAW_SILENCE);
+  let length = 0;
+
+  const ensure = (size) => {
+    if (size <= buffer.length) return;
+    const grown = Buffer.alloc(Math.max(size, buffer.length * 2), ULAW_SILENCE);
+    buffer.copy(grown, 0, 0, length);
+    buffer = grown;
+  };
+
+  return {
+    write(offset, bytes) {
+      ensure(offset + bytes.length);
+      bytes.copy(buffer, offset);
+      length = Math.max(length, offset + bytes.length);
+    },
+    // Drop everything from `offset` on (audio that was queued but never played)
+    truncate(offset) {
+      if (offset < length) {
+        buffer.fill(ULAW_SILENCE, offset, length);
+        length = offset;
+      }
+    },
+    get length() {
+      return length;
+    },
+    bytes() {
+      return buffer.subarray(0, length);
+    },
+  };
+}
+
+// Collects both directions of a call, aligned on Twilio's media.timestamp clock.
+// The caller goes on the left channel and the agent on the right.
+export function createCallRecorder() {
+  const caller = createTrack();
+  const agent = createTrack();
+  let agentCursor = 0; // Where the next agent chunk starts playing
+
+  return {
+    // A caller frame stamped with Twilio's media.timestamp (ms)
+    callerAudio(timestamp, payload) {
+      caller.write(Math.round(Number(timestamp) * BYTES_PER_MS), Buffer.from(payload, 'base64'));
+    },
+
+    // An agent chunk sent to Twilio at `timestamp`; it plays after whatever is still queued
+    agentAudio(timestamp, payload) {
+      const bytes = Buffer.from(payload, 'base64');
+      agentCursor = Math.max(agentCursor, Math.round(Number(timestamp) * BYTES_PER_MS));
+      agent.write(agentCursor, bytes);
+      agentCursor += bytes.length;
+    },
+
+    // Twilio was told to clear its buffer at `timestamp`; nothing queued after that was heard
+    agentCleared(timestamp) {
+      const offset = Math.round(Number(timestamp) * BYTES_PER_MS);
+      agent.truncate(offset);
+      agentCursor = Math.min(agentCursor, offset);
+    },
+
+    get durationMs() {
+      return Math.max(caller.length, agent.length) / BYTES_PER_MS;
+    },
+
+    tracks() {
+      return { caller: caller.bytes(), agent: agent.bytes() };
+    },
+  };
+}
+
+// 44-byte header of a 16-bit PCM WAV file, 8 kHz unless `sampleRate` says otherwise
+export function wavHeader({ channels, dataLength, sampleRate = SAMPLE_RATE }) {
+  const header = Buffer.alloc(44);
+  const blockAlign = channels * 2;
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);          // fmt chunk size
+  header.writeUInt16LE(1, 20);           // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(16, 34);          // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(dataLength, 40);
+  return header;
+}
+
+const sampleAt = (track, i) => (i < track.length ? ulawToLinear(track[i]) : 0);
+
+// 16-bit PCM stereo WAV: caller left, agent right
+export function encodeStereoWav({ caller, agent }) {
+  const frames = Math.max(caller.length, agent.length);
+  const data = Buffer.alloc(frames * 4);
+  for (let i = 0; i < frames; i++) {
+    data.writeInt16LE(sampleAt(caller, i), i * 4);
+    data.writeInt16LE(sampleAt(agent, i), i * 4 + 2);
+  }
+  return Buffer.concat([wavHeader({ channels: 2, dataLength: data.length }), data]);
+}
+
+// 16-bit PCM mono WAV with both parties mixed
+export function encodeMixedWav({ caller, agent }) {
+  const frames = Math.max(caller.length, agent.length);
+  const data = Buffer.alloc(frames * 2);
+  for (let i = 0; i < frames; i++) {
+    const mixed = sampleAt(caller, i) + sampleAt(agent, i);
+    data.writeInt16LE(Math.max(-32768, Math.min(32767, mixed)), i * 2);
+  }
+  return Buffer.concat([wavHeader({ channels: 1, dataLength: data.length }), data]);
+}
+
+///////////////////////////////////////////
+// Recording files on disk
+///////////////////////////////////////////
+
+// Options: dir, retentionDays (0 keeps files forever), mixed (also write a mono mix)
+export function createRecordingStore({ dir, retentionDays = 30, mixed = false }) {
+  const pathFor = (callSid, kind) => path.join(dir, `${callSid}${kind === 'mixed' ? '.mixed' : ''}.wav`);
+
+  return {
+    pathFor,
+
+    // Write a call's recording; returns what the call registry keeps about it
+    async save(callSid, recorder) {
+      const tracks = recorder.tracks();
+      if (!tracks.caller.length && !tracks.agent.length) {
+        return null;
+      }
+      await fs.mkdir(dir, { recursive: true });
+      const stereoPath = pathFor(callSid, 'stereo');
+      await fs.writeFile(stereoPath, encodeStereoWav(tracks));
+      let mixedPath = null;
+      if (mixed) {
+        mixedPath = pathFor(callSid, 'mixed');
+        await fs.writeFile(mixedPath, encodeMixedWav(tracks));
+      }
+      return { path: stereoPath, mixedPath, durationMs: recorder.durationMs, createdAt: new Date().toISOString() };
+    },
+
+    // Delete recordings older than the retention period
+    async prune() {
+      if (!retentionDays) return 0;
+      const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+      let removed = 0;
+      let names = [];
+      try {
+        names = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+      }
+      for (const name of names.filter((n) => n.endsWith('.wav'))) {
+        const file = path.join(dir, name);
+        const { mtimeMs } = await fs.stat(file);
+        if (mtimeMs < cutoff) {
+          await fs.unlink(file);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    // Prune now and then every hour
+    schedulePruning(intervalMs = 60 * 60 * 1000) {
+      const run = () => this.prune()
+        .then((removed) => removed && console.log(`Removed ${removed} expired recording(s)`))
+        .catch((error) => console.error('Error pruning recordings:', error));
+      run();
+      setInterval(run, intervalMs).unref();
+    },
+  };
+}
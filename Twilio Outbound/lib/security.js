@@ -0,0 +1,106 @@
+///////////////////////////////////////////
+// Twilio webhook signatures and media stream tokens
+///////////////////////////////////////////
+import crypto from 'node:crypto';
+
+export const DEFAULT_STREAM_TOKEN_TTL_SECONDS = 300;
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Twilio's X-Twilio-Signature: HMAC-SHA1 over the full URL followed by the
+// POST parameters sorted by name, each as name + value, base64 encoded.
+export function computeTwilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => {
+      const value = params[key];
+      return acc + (Array.isArray(value) ? value.map((v) => key + v).join('') : key + value);
+    }, url);
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+export function isValidTwilioSignature(authToken, signature, url, params) {
+  return Boolean(signature) && safeEqual(computeTwilioSignature(authToken, url, params), signature);
+}
+
+// A short-lived token tying a media stream to the call whose TwiML asked for it
+export function createStreamToken(secret, callSid, ttlSeconds = DEFAULT_STREAM_TOKEN_TTL_SECONDS) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = `${callSid}.${expires}`;
+  const signature = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+// Returns { valid: true } or { valid: false, reason }
+export function verifyStreamToken(secret, token, callSid) {
+  if (!token) return { valid: false, reason: 'missing stream token' };
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return { valid: false, reason: 'malformed stream token' };
+  const [tokenCallSid, expires, signature] = parts;
+  const expected = crypto.createHmac('sha256', secret).update(`${tokenCallSid}.${expires}`).digest('base64url');
+  if (!safeEqual(expected, signature)) return { valid: false, reason: 'bad stream token signature' };
+  if (tokenCallSid !== callSid) return { valid: false, reason: `stream token is for call ${tokenCallSid}` };
+  if (Number(expires) * 1000 < Date.now()) return { valid: false, reason: 'stream token expired' };
+  return { valid: true };
+}
+
+// Everything a server needs to authenticate Twilio:
+//   authToken       Twilio auth token (signs webhooks)
+//   publicBaseUrl   e.g. https://abc.ngrok.app; otherwise derived from the forwarded headers
+//   streamSecret    key for stream tokens, defaults to the auth token
+//   validate        false turns signature checks off (local development only)
+export function createTwilioSecurity({
+  authToken,
+  publicBaseUrl = null,
+  streamSecret = authToken,
+  streamTokenTtlSeconds = DEFAULT_STREAM_TOKEN_TTL_SECONDS,
+  validate = true,
+}) {
+  if (!validate) {
+    console.warn('WARNING: Twilio signature validation is disabled; anyone can reach the webhooks and media stream.');
+  }
+
+  // The URL Twilio used to reach us. Behind ngrok or a proxy, request.headers.host may be
+  // the local address, so prefer the configured base URL, then the X-Forwarded-* headers.
+  const baseUrl = (request) => {
+    if (publicBaseUrl) return publicBaseUrl.replace(/\/+$/, '');
+    const proto = (request.headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+    const host = (request.headers['x-forwarded-host'] || request.headers.host).split(',')[0].trim();
+    return `${proto}://${host}`;
+  };
+
+  return {
+    baseUrl,
+
+    // wss:// URL for a path on this server, e.g. the <Stream> url
+    websocketUrl(request, path) {
+      return baseUrl(request).replace(/^http/, 'ws') + path;
+    },
+
+    // Fastify preHandler for routes Twilio calls
+    async requireTwilioSignature(request, reply) {
+      if (!validate) return;
+      const url = baseUrl(request) + request.url;
+      const params = request.method === 'POST' && request.body && typeof request.body === 'object' ? request.body : {};
+      if (!isValidTwilioSignature(authToken, request.headers['x-twilio-signature'], url, params)) {
+        console.warn(`Rejected ${request.method} ${request.url} from ${request.ip}: invalid or missing X-Twilio-Signature (expected URL ${url})`);
+        return reply.status(403).send({ success: false, error: 'Invalid Twilio signature' });
+      }
+    },
+
+    streamToken(callSid) {
+      if (!validate) return '';
+      return createStreamToken(streamSecret, callSid, streamTokenTtlSeconds);
+    },
+
+    // Checks the "start" message of a media stream; pass as the bridge's authorizeStart
+    authorizeStream(start) {
+      if (!validate) return { valid: true };
+      return verifyStreamToken(streamSecret, start.customParameters?.token, start.callSid);
+    },
+  };
+}
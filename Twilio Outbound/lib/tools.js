@@ -0,0 +1,99 @@
+///////////////////////////////////////////
+// Function-calling tool registry
+///////////////////////////////////////////
+// A tool is a module whose default export looks like:
+//   { name, description, parameters /* JSON schema */, handler: async (args, context) => result }
+// The handler's result is JSON-serialized and sent back to the model as the function output.
+
+export const DEFAULT_TOOL_TIMEOUT_MS = 10000;
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+export class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
+
+function validateTool(tool) {
+  if (!tool || !TOOL_NAME_PATTERN.test(tool.name || '')) {
+    throw new ToolError(`Tool name must match ${TOOL_NAME_PATTERN}, got ${JSON.stringify(tool?.name)}`);
+  }
+  if (typeof tool.handler !== 'function') {
+    throw new ToolError(`Tool "${tool.name}" has no handler`);
+  }
+  if (tool.parameters && tool.parameters.type !== 'object') {
+    throw new ToolError(`Tool "${tool.name}" parameters must be a JSON schema of type "object"`);
+  }
+}
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new ToolError(`Tool "${name}" timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export function createToolRegistry(tools = [], { timeoutMs = DEFAULT_TOOL_TIMEOUT_MS } = {}) {
+  const byName = new Map();
+
+  const register = (tool) => {
+    validateTool(tool);
+    if (byName.has(tool.name)) {
+      throw new ToolError(`Tool "${tool.name}" is already registered`);
+    }
+    byName.set(tool.name, tool);
+  };
+
+  tools.forEach(register);
+
+  return {
+    register,
+
+    has(name) {
+      return byName.has(name);
+    },
+
+    names() {
+      return [...byName.keys()];
+    },
+
+    // Tool definitions in the shape session.update expects
+    definitions(names) {
+      return [...byName.values()]
+        .filter((tool) => !names || names.includes(tool.name))
+        .map((tool) => ({
+          type: 'function',
+          name: tool.name,
+          description: tool.description || '',
+          parameters: tool.parameters || { type: 'object', properties: {} },
+        }));
+    },
+
+    // Run a tool for a function call from the model. Never throws: failures are reported
+    // back to the model as { error } so it can tell the caller something went wrong.
+    async execute(name, rawArguments, context = {}) {
+      const tool = byName.get(name);
+      if (!tool) {
+        return { error: `Unknown tool "${name}"` };
+      }
+
+      let args;
+      try {
+        args = rawArguments ? JSON.parse(rawArguments) : {};
+      } catch (error) {
+        return { error: `Invalid JSON arguments for "${name}": ${error.message}` };
+      }
+
+      try {
+        const result = await withTimeout(Promise.resolve().then(() => tool.handler(args, context)), tool.timeoutMs || timeoutMs, name);
+        return result === undefined ? { ok: true } : result;
+      } catch (error) {
+        console.error(`Tool "${name}" failed:`, error);
+        return { error: error.message || String(error) };
+      }
+    },
+  };
+}
@@ -0,0 +1,109 @@
+///////////////////////////////////////////
+// Per-call transcripts
+///////////////////////////////////////////
+// Times are in ms on Twilio's media.timestamp clock, i.e. since the media stream started.
+
+export const SPEAKERS = { caller: 'Caller', assistant: 'Assistant' };
+
+export const TRANSCRIPT_FORMATS = ['json', 'vtt', 'srt'];
+
+export function createTranscript() {
+  // Segments by OpenAI item id, in the order they started
+  const segments = new Map();
+
+  const segment = (itemId, speaker) => {
+    if (!segments.has(itemId)) {
+      segments.set(itemId, { itemId, speaker, start: null, end: null, text: '', truncated: false });
+    }
+    return segments.get(itemId);
+  };
+
+  return {
+    callerSpeechStarted(itemId, ms) {
+      segment(itemId, 'caller').start = ms;
+    },
+
+    callerSpeechStopped(itemId, ms) {
+      segment(itemId, 'caller').end = ms;
+    },
+
+    callerTranscribed(itemId, text) {
+      segment(itemId, 'caller').text = text.trim();
+    },
+
+    // Assistant audio for an item went out to Twilio: `ms` is when it started, `durationMs` how much
+    assistantAudio(itemId, ms, durationMs) {
+      const entry = segment(itemId, 'assistant');
+      if (entry.start === null) entry.start = ms;
+      if (!entry.truncated) entry.end = (entry.end ?? entry.start) + durationMs;
+    },
+
+    assistantTranscribed(itemId, text) {
+      segment(itemId, 'assistant').text = text.trim();
+    },
+
+    // The caller cut the assistant off after `audioEndMs` of this item
+    assistantTruncated(itemId, audioEndMs) {
+      const entry = segment(itemId, 'assistant');
+      entry.truncated = true;
+      if (entry.start !== null) entry.end = entry.start + audioEndMs;
+    },
+
+    // Finished entries in time order
+    entries() {
+      return [...segments.values()]
+        .filter((entry) => entry.text && entry.start !== null)
+        .map((entry) => ({
+          speaker: SPEAKERS[entry.speaker],
+          start: entry.start,
+          end: entry.end ?? entry.start,
+          text: entry.text,
+          truncated: entry.truncated,
+        }))
+        .sort((a, b) => a.start - b.start);
+    },
+
+    toJSON() {
+      return this.entries();
+    },
+  };
+}
+
+function formatTime(ms, separator) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = String(Math.floor(total / 3600000)).padStart(2, '0');
+  const minutes = String(Math.floor((total % 3600000) / 60000)).padStart(2, '0');
+  const seconds = String(Math.floor((total % 60000) / 1000)).padStart(2, '0');
+  const millis = String(total % 1000).padStart(3, '0');
+  return `${hours}:${minutes}:${seconds}${separator}${millis}`;
+}
+
+// Cue text on one line, so a blank line in what someone said can't end the cue early
+const cueText = (text) => String(text).replace(/\s*[\r\n]+\s*/g, ' ');
+
+// WebVTT cue text is markup: & < > would start an entity or a tag
+const escapeVtt = (text) => cueText(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+export function toWebVtt(entries) {
+  const cues = entries.map((entry, index) =>
+    `${index + 1}\n${formatTime(entry.start, '.')} --> ${formatTime(entry.end, '.')}\n<v ${escapeVtt(entry.speaker)}>${escapeVtt(entry.text)}`);
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+export function toSrt(entries) {
+  return entries.map((entry, index) =>
+    `${index + 1}\n${formatTime(entry.start, ',')} --> ${formatTime(entry.end, ',')}\n${cueText(entry.speaker)}: ${cueText(entry.text)}`)
+    .join('\n\n') + '\n';
+}
+
+// Render a transcript for GET /calls/:sid/transcript; returns { contentType, body }
+export function renderTranscript(entries, format = 'json') {
+  switch (format) {
+    case 'vtt':
+      return { contentType: 'text/vtt; charset=utf-8', body: toWebVtt(entries) };
+    case 'srt':
+      return { contentType: 'application/x-subrip; charset=utf-8', body: toSrt(entries) };
+    default:
+      return { contentType: 'application/json; charset=utf-8', body: JSON.stringify({ entries }) };
+  }
+}
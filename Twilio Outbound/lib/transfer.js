@@ -0,0 +1,112 @@
+///////////////////////////////////////////
+// Warm transfer to a human agent
+///////////////////////////////////////////
+// The live call is redirected to <Dial> the target. Before the two are bridged the
+// human hears a whisper (<Number url> / <Sip url>) summarizing the conversation so far,
+// and if nobody picks up the <Dial action> drops the caller into voicemail. Twilio reports
+// the recorded message to /transfer/voicemail. A transfer's record is kept until its <Dial>
+// ends or the call does.
+import { escapeXml, isTransferTarget } from './persona.js';
+import { FINAL_STATUSES } from './call-registry.js';
+
+const HOLD_MESSAGE = 'Please hold while I connect you to a member of our team.';
+const VOICEMAIL_MESSAGE = "Sorry, nobody is available to take your call right now. Please leave a message after the beep and we'll call you back.";
+
+// The whisper, when the summary is missing: the last few things the caller said
+function summaryFromTranscript(transcript) {
+  const said = (transcript?.entries() || [])
+    .filter((entry) => entry.speaker === 'Caller')
+    .slice(-3)
+    .map((entry) => entry.text);
+  return said.length ? `The caller said: ${said.join(' ')}` : 'No conversation summary is available.';
+}
+
+// Options:
+//   client                          Twilio REST client
+//   ringTimeout                     seconds before voicemail
+//   onVoicemail(callSid, { sid, url, duration })  called with each message a caller leaves
+export function createTransferService({ client, ringTimeout = 20, onVoicemail = () => {} }) {
+  const transfers = new Map(); // Call SID -> transfer record
+
+  return {
+    // Redirect a live call to `target`; `baseUrl` is this server's public URL for the whisper and
+    // dial result webhooks. Resolves to the transfer record.
+    async transfer({ callSid, baseUrl, target, reason = '', summary = '', transcript = null }) {
+      if (!client) {
+        throw new Error('Transfers need Twilio REST credentials (TWILIO_ACCOUNT_SID)');
+      }
+      if (!isTransferTarget(target)) {
+        throw new Error('No transfer target is configured for this call');
+      }
+
+      const record = {
+        target,
+        reason,
+        summary: summary.trim() || summaryFromTranscript(transcript),
+        status: 'dialing',
+        requestedAt: new Date().toISOString(),
+        dialCallStatus: null,
+      };
+      transfers.set(callSid, record);
+
+      const whisperUrl = escapeXml(`${baseUrl}/transfer/whisper?callSid=${encodeURIComponent(callSid)}`);
+      const actionUrl = escapeXml(`${baseUrl}/transfer/result?callSid=${encodeURIComponent(callSid)}`);
+      const endpoint = target.startsWith('sip:')
+        ? `<Sip url="${whisperUrl}">${escapeXml(target)}</Sip>`
+        : `<Number url="${whisperUrl}">${escapeXml(target)}</Number>`;
+
+      try {
+        await client.calls(callSid).update({
+          twiml: `<Response><Say>${HOLD_MESSAGE}</Say><Dial timeout="${ringTimeout}" action="${actionUrl}">${endpoint}</Dial></Response>`,
+        });
+      } catch (error) {
+        transfers.delete(callSid);
+        throw error;
+      }
+      console.log(`Transferring call ${callSid} to ${target}`);
+      return record;
+    },
+
+    get(callSid) {
+      return transfers.get(callSid) || null;
+    },
+
+    // TwiML the human hears before being connected
+    whisperTwiml(callSid) {
+      const record = transfers.get(callSid);
+      const reason = record?.reason ? ` Reason for transfer: ${record.reason}.` : '';
+      const summary = record ? `${record.summary}${reason}` : 'Transferred call.';
+      return `<?xml version="1.0" encoding="UTF-8"?><Response><Say>Incoming transfer from the A.I. assistant. ${escapeXml(summary)}</Say></Response>`;
+    },
+
+    // TwiML for the caller once the <Dial> ends: hang up after a real conversation, otherwise voicemail.
+    // `baseUrl` is this server's public URL for the voicemail webhook. The transfer is over either way.
+    dialResultTwiml(callSid, dialCallStatus, { baseUrl }) {
+      const record = transfers.get(callSid);
+      if (record) {
+        record.dialCallStatus = dialCallStatus;
+        record.status = dialCallStatus === 'completed' ? 'connected' : 'voicemail';
+        transfers.delete(callSid);
+      }
+      if (dialCallStatus === 'completed') {
+        return '<?xml version="1.0" encoding="UTF-8"?><Response><Hangup /></Response>';
+      }
+      const voicemailUrl = escapeXml(`${baseUrl}/transfer/voicemail?callSid=${encodeURIComponent(callSid)}`);
+      return `<?xml version="1.0" encoding="UTF-8"?><Response><Say>${VOICEMAIL_MESSAGE}</Say><Record maxLength="120" playBeep="true" recordingStatusCallback="${voicemailUrl}" recordingStatusCallbackEvent="completed" /><Hangup /></Response>`;
+    },
+
+    // From /transfer/voicemail: Twilio's recording status callback for a caller's message
+    voicemailRecorded(callSid, { RecordingSid, RecordingUrl, RecordingDuration, RecordingStatus }) {
+      if (RecordingStatus && RecordingStatus !== 'completed') return null;
+      const voicemail = { sid: RecordingSid, url: RecordingUrl, duration: Number(RecordingDuration) || 0 };
+      console.log(`Caller on call ${callSid} left a ${voicemail.duration}s voicemail: ${voicemail.url}`);
+      onVoicemail(callSid, voicemail);
+      return voicemail;
+    },
+
+    // From the call registry's status callbacks: a call that ended can't be transferred any more
+    handleCallStatus(call) {
+      if (FINAL_STATUSES.includes(call.status)) transfers.delete(call.sid);
+    },
+  };
+}
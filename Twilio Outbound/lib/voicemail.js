@@ -0,0 +1,117 @@
+///////////////////////////////////////////
+// Answering machine detection and voicemail drop
+///////////////////////////////////////////
+// Outbound calls are placed with Twilio's asynchronous AMD. The media stream holds off on
+// OpenAI until Twilio says who answered; when it's a machine, the call is redirected to
+// leave the persona's voicemail message after the beep and the realtime session never starts.
+import crypto from 'node:crypto';
+import { escapeXml } from './persona.js';
+
+// Seconds Twilio may spend listening for a human or the end of a greeting
+export const MACHINE_DETECTION_TIMEOUT_SECONDS = 30;
+
+// How long a generated voicemail recording stays available for Twilio to fetch
+const AUDIO_TTL_MS = 10 * 60 * 1000;
+
+const OPENAI_SPEECH_URL = 'https://api.openai.com/v1/audio/speech';
+
+// AnsweredBy values: human, unknown, fax, machine_start, machine_end_beep, machine_end_silence, machine_end_other
+export function isMachine(answeredBy) {
+  return typeof answeredBy === 'string' && (answeredBy.startsWith('machine') || answeredBy === 'fax');
+}
+
+// Extra client.calls.create parameters that turn on asynchronous AMD
+export function machineDetectionParams(baseUrl) {
+  return {
+    machineDetection: 'DetectMessageEnd',
+    machineDetectionTimeout: MACHINE_DETECTION_TIMEOUT_SECONDS,
+    asyncAmd: 'true',
+    asyncAmdStatusCallback: `${baseUrl}/amd-status`,
+    asyncAmdStatusCallbackMethod: 'POST',
+  };
+}
+
+// Options:
+//   client     Twilio REST client, used to redirect answered machines
+//   apiKey     OpenAI API key; with agentVoice the message is spoken in the persona's voice
+//   agentVoice generate the message with OpenAI text-to-speech instead of <Say>
+//   ttsModel   OpenAI speech model
+export function createVoicemailDrop({ client, apiKey, agentVoice = false, ttsModel = 'gpt-4o-mini-tts' }) {
+  const pending = new Map(); // Call SID -> { promise, resolve } until Twilio reports who answered
+  const audio = new Map();   // id -> mp3 Buffer, served to Twilio's <Play>
+
+  const settle = (callSid, isHuman) => {
+    const waiter = pending.get(callSid);
+    if (waiter) {
+      pending.delete(callSid);
+      waiter.resolve(isHuman);
+    }
+  };
+
+  // Speak the message in the persona's voice; resolves to the id of the stored audio
+  const synthesize = async (text, voice) => {
+    const response = await fetch(OPENAI_SPEECH_URL, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model: ttsModel, voice, input: text, response_format: 'mp3' }),
+      signal: AbortSignal.timeout(15000),
+    });
+    if (!response.ok) {
+      throw new Error(`OpenAI speech request failed with ${response.status}`);
+    }
+    const id = crypto.randomUUID();
+    audio.set(id, Buffer.from(await response.arrayBuffer()));
+    setTimeout(() => audio.delete(id), AUDIO_TTL_MS).unref();
+    return id;
+  };
+
+  const messageTwiml = async (persona, baseUrl) => {
+    if (agentVoice) {
+      try {
+        const id = await synthesize(persona.voicemailMessage, persona.voice);
+        return `<Response><Play>${escapeXml(`${baseUrl}/voicemail-audio/${id}`)}</Play><Hangup /></Response>`;
+      } catch (error) {
+        console.error('Error generating voicemail audio, falling back to <Say>:', error.message);
+      }
+    }
+    return `<Response><Say>${escapeXml(persona.voicemailMessage)}</Say><Hangup /></Response>`;
+  };
+
+  return {
+    // Call when placing a call with machineDetectionParams, so its stream waits for the verdict
+    expect(callSid) {
+      let resolve;
+      const promise = new Promise((r) => { resolve = r; });
+      pending.set(callSid, { promise, resolve });
+      // Twilio always reports within its own timeout; don't hold the stream much longer
+      setTimeout(() => settle(callSid, true), (MACHINE_DETECTION_TIMEOUT_SECONDS + 5) * 1000).unref();
+    },
+
+    // Resolves true when the call should go to the agent: a human or unknown answered,
+    // or the call wasn't placed with AMD at all. Pass as the bridge's shouldConnect.
+    waitForHuman(callSid) {
+      return pending.get(callSid)?.promise ?? Promise.resolve(true);
+    },
+
+    // Handle Twilio's asyncAmdStatusCallback; resolves to the voicemail outcome for machines, or null
+    async handleResult({ CallSid: callSid, AnsweredBy: answeredBy }, { persona, baseUrl }) {
+      const machine = isMachine(answeredBy);
+      settle(callSid, !machine);
+      if (!machine) return null;
+
+      // There's no point talking to a fax machine
+      if (answeredBy === 'fax') {
+        await client.calls(callSid).update({ status: 'completed' });
+        return { status: 'skipped', answeredBy, at: new Date().toISOString() };
+      }
+      await client.calls(callSid).update({ twiml: await messageTwiml(persona, baseUrl) });
+      console.log(`Left voicemail on call ${callSid} (${answeredBy})`);
+      return { status: 'left', answeredBy, message: persona.voicemailMessage, at: new Date().toISOString() };
+    },
+
+    // The mp3 for GET /voicemail-audio/:id, or null once it has expired
+    audio(id) {
+      return audio.get(id) || null;
+    },
+  };
+}
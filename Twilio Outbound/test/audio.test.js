@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { alawToLinear, decodeAlaw, decodeUlaw, linearToAlaw, linearToUlaw, ulawToLinear } from '../lib/g711.js';
+import {
+  createAudioPipeline,
+  createComfortNoise,
+  createGainNormalizer,
+  createNoiseGate,
+  createProcessors,
+  createResampler,
+  levelDbfs,
+} from '../lib/audio.js';
+
+// G.711 code words and the linear values they decode to (ITU-T G.711 tables 1a and 2a, 16-bit scale)
+const ULAW_VECTORS = [[0xff, 0], [0x7f, 0], [0xfe, 8], [0x7e, -8], [0xef, 132], [0x80, 32124], [0x00, -32124]];
+const ALAW_VECTORS = [[0xd5, 8], [0x55, -8], [0xd4, 24], [0xc5, 264], [0xaa, 32256], [0x2a, -32256]];
+
+const pcm16 = (samples) => {
+  const buffer = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, i) => buffer.writeInt16LE(sample, i * 2));
+  return buffer.toString('base64');
+};
+const samplesOf = (payload) => {
+  const buffer = Buffer.from(payload, 'base64');
+  return Array.from({ length: buffer.length / 2 }, (_, i) => buffer.readInt16LE(i * 2));
+};
+
+test('decodes and encodes G.711 reference vectors', () => {
+  const ulaw = decodeUlaw(Buffer.from(ULAW_VECTORS.map(([byte]) => byte)));
+  assert.deepEqual(Array.from(ulaw), ULAW_VECTORS.map(([, sample]) => sample));
+  const alaw = decodeAlaw(Buffer.from(ALAW_VECTORS.map(([byte]) => byte)));
+  assert.deepEqual(Array.from(alaw), ALAW_VECTORS.map(([, sample]) => sample));
+  for (const [byte, sample] of ALAW_VECTORS) {
+    assert.equal(linearToAlaw(sample), byte, `A-law of ${sample}`);
+  }
+  assert.equal(linearToUlaw(0), 0xff);
+  assert.equal(linearToUlaw(32767), 0x80);
+  assert.equal(linearToUlaw(-32768), 0x00);
+  assert.equal(linearToAlaw(0), 0xd5);
+  assert.equal(linearToAlaw(32767), 0xaa);
+  assert.equal(linearToAlaw(-32768), 0x2a);
+
+  // Every A-law code word survives a round trip, as does every u-law one but the second zero
+  for (let byte = 0; byte < 256; byte++) {
+    assert.equal(linearToAlaw(alawToLinear(byte)), byte);
+    if (byte !== 0x7f) assert.equal(linearToUlaw(ulawToLinear(byte)), byte);
+  }
+});
+
+test('resamples between 8 kHz and 24 kHz across chunk boundaries', () => {
+  const up = createResampler(8000, 24000);
+  assert.deepEqual(Array.from(up.process(Int16Array.from([300, 600]))), [300, 300, 300, 400, 500, 600]);
+  assert.deepEqual(Array.from(up.process(Int16Array.from([0]))), [400, 200, 0]);
+
+  const down = createResampler(24000, 8000);
+  assert.deepEqual(Array.from(down.process(Int16Array.from([1, 2]))), []);
+  assert.deepEqual(Array.from(down.process(Int16Array.from([3, 4, 5, 6, 7]))), [2, 5]);
+  down.reset();
+  assert.deepEqual(Array.from(down.process(Int16Array.from([9, 9, 9]))), [9]);
+
+  assert.throws(() => createResampler(8000, 22050), /multiple/);
+});
+
+test('converts u-law frames to 24 kHz PCM and back', () => {
+  const frame = Buffer.from([0xff, 0x80, 0x00, 0xd5]).toString('base64');
+  const toOpenAi = createAudioPipeline({ from: 'g711_ulaw', to: 'pcm16' });
+  assert.deepEqual(samplesOf(toOpenAi.process(frame)), [0, 0, 0, 10708, 21416, 32124, 10708, -10708, -32124, -21177, -10231, 716]);
+
+  const fromOpenAi = createAudioPipeline({ from: 'pcm16', to: 'g711_alaw' });
+  assert.deepEqual([...Buffer.from(fromOpenAi.process(pcm16([8, 8, 8, -8, -8, -8])), 'base64')], [0xd5, 0x55]);
+
+  const same = createAudioPipeline({ from: 'g711_ulaw', to: 'g711_ulaw' });
+  assert.equal(same.passthrough, true);
+  assert.equal(same.process(frame), frame);
+  assert.throws(() => createAudioPipeline({ from: 'g711_ulaw', to: 'opus' }), /Unknown audio format "opus"/);
+});
+
+test('normalizes gain, gates noise and adds comfort noise', () => {
+  const tone = (amplitude, length = 160) => Int16Array.from({ length }, (_, i) => Math.round(amplitude * Math.sin(i / 4)));
+
+  const gain = createGainNormalizer({ targetDbfs: -20, smoothing: 1 });
+  assert.ok(Math.abs(levelDbfs(gain(tone(2000))) - -20) < 0.5);
+  // The boost is capped, and frames below the floor don't move it
+  assert.ok(levelDbfs(createGainNormalizer({ maxGainDb: 6, smoothing: 1 })(tone(100))) < -40);
+
+  const gate = createNoiseGate({ thresholdDbfs: -45, holdMs: 20 });
+  assert.ok(gate(tone(50), { sampleRate: 8000 }).some(Boolean), 'held open for the first 20 ms');
+  assert.ok(gate(tone(50), { sampleRate: 8000 }).every((sample) => sample === 0));
+  assert.ok(gate(tone(5000), { sampleRate: 8000 }).some(Boolean));
+
+  let seed = 1;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const noise = createComfortNoise({ levelDbfs: -60, random });
+  assert.ok(Math.abs(levelDbfs(noise(new Int16Array(8000))) - -60) < 1);
+  assert.deepEqual(noise(tone(5000)), tone(5000), 'speech is left alone');
+
+  assert.equal(createProcessors('noise-gate:-40, gain').length, 2);
+  assert.equal(createProcessors(['comfort-noise', () => (samples) => samples]).length, 2);
+  assert.throws(() => createProcessors('echo'), /Unknown audio processor "echo"/);
+  assert.throws(() => createProcessors('gain:loud'), /needs a number/);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCallGate } from '../lib/call-gate.js';
+
+// Bridge controls that record what the gate asked of them; `onWrapUp` plays the call's part
+function fakeControls(gate, callSid, { onWrapUp = () => {}, transfer } = {}) {
+  const calls = [];
+  return {
+    calls,
+    hangUp() {
+      calls.push('hangUp');
+      gate.callEnded(callSid);
+    },
+    wrapUp() {
+      calls.push('wrapUp');
+      onWrapUp();
+    },
+    async transfer(reason) {
+      calls.push(`transfer: ${reason}`);
+      if (!transfer) throw new Error('No transfer target');
+      // A Twilio request that never comes back
+      if (transfer === 'hangs') await new Promise(() => {});
+    },
+  };
+}
+
+test('holds a slot for each admitted call until its stream ends', () => {
+  const gate = createCallGate({ maxCalls: 2, reservationMs: 50 });
+  assert.equal(gate.admit('CA1'), true);
+  assert.equal(gate.admit('CA1'), true);
+  assert.equal(gate.admit('CA2'), true);
+  assert.equal(gate.admit('CA3'), false);
+  assert.throws(() => gate.reserve(), { statusCode: 503 });
+
+  // Admitted calls' streams take their slot; others need a free one
+  assert.deepEqual(gate.authorizeStart({ callSid: 'CA1' }), { valid: true });
+  gate.callStarted('CA1', {});
+  assert.equal(gate.authorizeStart({ callSid: 'CA9' }).valid, false);
+  assert.deepEqual(gate.status(), { draining: false, activeCalls: 1, pendingCalls: 1, maxCalls: 2 });
+
+  gate.callEnded('CA1');
+  assert.equal(gate.hasRoom(), true);
+  assert.deepEqual(gate.authorizeStart({ callSid: 'CA9' }), { valid: true });
+});
+
+test('reserves slots for calls that are being placed', () => {
+  const gate = createCallGate({ maxCalls: 2 });
+  const first = gate.reserve();
+  const second = gate.tryReserve();
+  assert.equal(gate.tryReserve(), null);
+  assert.throws(() => gate.reserve(), { statusCode: 503 });
+
+  // A failed placement gives its slot back; a placed call keeps it under its SID
+  second.release();
+  first.bind('CA1');
+  first.release();
+  assert.deepEqual(gate.status(), { draining: false, activeCalls: 0, pendingCalls: 1, maxCalls: 2 });
+  assert.deepEqual(gate.authorizeStart({ callSid: 'CA1' }), { valid: true });
+  gate.callStarted('CA1', {});
+  assert.ok(gate.tryReserve());
+  assert.equal(gate.tryReserve(), null);
+});
+
+test('gives up the slot of a call whose stream never starts', async () => {
+  const gate = createCallGate({ maxCalls: 1, reservationMs: 20 });
+  assert.equal(gate.admit('CA1'), true);
+  assert.equal(gate.admit('CA2'), false);
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(gate.admit('CA2'), true);
+});
+
+test('drains: wraps up live calls, hangs up the ones still live at the deadline', async () => {
+  const gate = createCallGate();
+  const polite = fakeControls(gate, 'CA1', { onWrapUp: () => setTimeout(() => gate.callEnded('CA1'), 10) });
+  const slow = fakeControls(gate, 'CA2');
+  gate.callStarted('CA1', polite);
+  gate.callStarted('CA2', slow);
+
+  const hungUp = await gate.drain({ timeoutMs: 50 });
+  assert.equal(hungUp, 1);
+  assert.deepEqual(polite.calls, ['wrapUp']);
+  assert.deepEqual(slow.calls, ['wrapUp', 'hangUp']);
+  assert.equal(gate.admit('CA3'), false);
+  assert.equal(gate.authorizeStart({ callSid: 'CA3' }).valid, false);
+});
+
+test('drains by transferring calls, ending the ones that can not be transferred', async () => {
+  const gate = createCallGate();
+  const transferred = fakeControls(gate, 'CA1', { transfer: true });
+  const stranded = fakeControls(gate, 'CA2', { onWrapUp: () => gate.callEnded('CA2') });
+  gate.callStarted('CA1', transferred);
+  gate.callStarted('CA2', stranded);
+  // Twilio ends the stream once the transfer's TwiML takes over
+  setTimeout(() => gate.callEnded('CA1'), 10);
+
+  assert.equal(await gate.drain({ mode: 'transfer', timeoutMs: 1000 }), 0);
+  assert.deepEqual(transferred.calls, ['transfer: The server is shutting down']);
+  assert.deepEqual(stranded.calls, ['transfer: The server is shutting down', 'wrapUp']);
+});
+
+test('hangs up at the deadline calls whose transfer never finishes', async () => {
+  const gate = createCallGate();
+  const stuck = fakeControls(gate, 'CA1', { transfer: 'hangs' });
+  gate.callStarted('CA1', stuck);
+
+  const started = Date.now();
+  assert.equal(await gate.drain({ mode: 'transfer', timeoutMs: 50 }), 1);
+  assert.ok(Date.now() - started < 1000);
+  assert.deepEqual(stuck.calls, ['transfer: The server is shutting down', 'hangUp']);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { openDatabase } from '../lib/database.js';
+import { HISTORY_CSV_COLUMNS, createCallHistory } from '../lib/call-history.js';
+
+// A registry call (see call-registry.js) with just the fields the history stores
+function fakeCall(sid, fields = {}) {
+  return {
+    sid,
+    direction: 'outbound-api',
+    from: '+15550002222',
+    to: '+15550001111',
+    persona: { profile: 'sales', voice: 'alloy' },
+    status: 'queued',
+    createdAt: '2024-05-01T09:00:00.000Z',
+    updatedAt: '2024-05-01T09:00:00.000Z',
+    transcript: null,
+    recording: null,
+    ...fields,
+  };
+}
+
+test('keeps what it knows about a call as the registry updates it', () => {
+  const history = createCallHistory({ db: openDatabase({ Database, file: ':memory:' }) });
+  const call = fakeCall('CA1');
+  history.save(call);
+  history.save({
+    ...call,
+    status: 'completed',
+    duration: 42,
+    endReason: 'hung-up',
+    usage: { input: { text: 10, audio: 200 }, output: { text: 5, audio: 300 } },
+    transcript: { entries: () => [{ speaker: 'agent', text: 'Hello' }] },
+    recording: { path: '/tmp/CA1.wav', mixedPath: '/tmp/CA1-mixed.wav' },
+  });
+  // A later update that no longer has the transcript doesn't erase it
+  history.save({ ...call, status: 'completed' });
+
+  const stored = history.get('CA1');
+  assert.equal(stored.status, 'completed');
+  assert.equal(stored.profile, 'sales');
+  assert.equal(stored.endReason, 'hung-up');
+  assert.equal(stored.duration, 42);
+  assert.equal(stored.inputTokens, 210);
+  assert.equal(stored.outputTokens, 305);
+  assert.equal(stored.transcriptUrl, '/calls/CA1/transcript');
+  assert.equal(stored.recordingUrl, '/calls/CA1/recording');
+  assert.deepEqual(history.transcript('CA1'), [{ speaker: 'agent', text: 'Hello' }]);
+  assert.deepEqual(history.recording('CA1'), { path: '/tmp/CA1.wav', mixedPath: '/tmp/CA1-mixed.wav' });
+  assert.equal(history.get('CA404'), null);
+});
+
+test('filters calls and pages through them newest first', () => {
+  const history = createCallHistory({ db: openDatabase({ Database, file: ':memory:' }) });
+  for (let day = 1; day <= 5; day += 1) {
+    history.save(fakeCall(`CA${day}`, {
+      createdAt: `2024-05-0${day}T09:00:00.000Z`,
+      status: day % 2 ? 'completed' : 'no-answer',
+      to: day === 3 ? '+15559990000' : '+15550001111',
+      persona: { profile: day === 5 ? 'support' : 'sales' },
+    }));
+  }
+  const sids = ({ calls }) => calls.map((call) => call.sid);
+
+  const first = history.query({ limit: 2 });
+  assert.deepEqual(sids(first), ['CA5', 'CA4']);
+  const second = history.query({ limit: 2, cursor: first.nextCursor });
+  assert.deepEqual(sids(second), ['CA3', 'CA2']);
+  const last = history.query({ limit: 2, cursor: second.nextCursor });
+  assert.deepEqual(sids(last), ['CA1']);
+  assert.equal(last.nextCursor, null);
+
+  assert.deepEqual(sids(history.query({ number: '+15559990000' })), ['CA3']);
+  assert.deepEqual(sids(history.query({ since: '2024-05-02', until: '2024-05-03' })), ['CA3', 'CA2']);
+  assert.deepEqual(sids(history.query({ status: 'no-answer' })), ['CA4', 'CA2']);
+  assert.deepEqual(sids(history.query({ status: 'completed', persona: 'sales' })), ['CA3', 'CA1']);
+  assert.equal(history.get('CA2').endReason, 'no-answer');
+
+  assert.throws(() => history.query({ limit: '0' }), { statusCode: 400 });
+  assert.throws(() => history.query({ since: 'yesterday-ish' }), { statusCode: 400 });
+  assert.throws(() => history.query({ cursor: 'nonsense' }), { statusCode: 400 });
+  assert.throws(() => history.query({ number: ['+15559990000', '+15550001111'] }), /"number" must be given at most once/);
+  assert.throws(() => history.exportCsv({ status: ['completed'] }), { statusCode: 400 });
+});
+
+test('exports matching calls as CSV', () => {
+  const history = createCallHistory({ db: openDatabase({ Database, file: ':memory:' }) });
+  history.save(fakeCall('CA1', { persona: { profile: 'sales, west' } }));
+  history.save(fakeCall('CA2', { persona: { profile: 'support' } }));
+  history.save(fakeCall('CA3', { persona: { profile: '=HYPERLINK("https://example.test")' } }));
+
+  const lines = history.exportCsv({ persona: 'sales, west' }).trimEnd().split('\r\n');
+  assert.equal(lines[0], HISTORY_CSV_COLUMNS.join(','));
+  assert.equal(lines.length, 2);
+  assert.match(lines[1], /^CA1,outbound-api,'\+15550002222,'\+15550001111,"sales, west",/);
+
+  // Nothing a spreadsheet would run as a formula
+  const [, formula] = history.exportCsv({ persona: '=HYPERLINK("https://example.test")' }).trimEnd().split('\r\n');
+  assert.match(formula, /^CA3,outbound-api,'\+15550002222,'\+15550001111,"'=HYPERLINK\(""https:\/\/example\.test""\)",/);
+});
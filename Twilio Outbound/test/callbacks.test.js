@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import { openDatabase } from '../lib/database.js';
+import { createCallbackScheduler, localTimeToDate } from '../lib/callbacks.js';
+import { createCallGate } from '../lib/call-gate.js';
+import { waitFor } from './support/wait.js';
+
+const PERSONA = { profile: 'support', instructions: 'You are a helpful agent.', voice: 'alloy' };
+
+// A schedule() request as the tool makes it, `minutes` from now
+function callbackRequest(minutes, fields = {}) {
+  return {
+    callSid: 'CA1',
+    to: '+15550001111',
+    from: '+15550002222',
+    persona: PERSONA,
+    variables: { name: 'Ada' },
+    baseUrl: 'https://example.test',
+    time: new Date(Date.now() + minutes * 60 * 1000).toISOString(),
+    timezone: 'America/New_York',
+    reason: 'Wants to go over the quote',
+    summary: 'Ada asked about the pro plan and wants to think it over.',
+    ...fields,
+  };
+}
+
+test('reads local times in the caller\'s timezone', () => {
+  assert.equal(localTimeToDate('2024-07-04T15:00', 'America/New_York').toISOString(), '2024-07-04T19:00:00.000Z');
+  assert.equal(localTimeToDate('2024-01-15 15:00', 'America/New_York').toISOString(), '2024-01-15T20:00:00.000Z');
+  assert.equal(localTimeToDate('2024-01-15T15:00:00+01:00', 'America/New_York').toISOString(), '2024-01-15T14:00:00.000Z');
+  assert.equal(localTimeToDate('tomorrow at 3', 'America/New_York'), null);
+});
+
+test('keeps scheduled callbacks across restarts and cancels them', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'callbacks-'));
+  const file = path.join(dir, 'calls.db');
+  const placeCall = async () => 'CA2';
+  try {
+    let db = openDatabase({ Database, file });
+    const scheduler = createCallbackScheduler({ db, placeCall });
+    const kept = scheduler.schedule(callbackRequest(60));
+    const dropped = scheduler.schedule(callbackRequest(120));
+    assert.equal(kept.status, 'scheduled');
+    assert.equal(kept.profile, 'support');
+
+    assert.throws(() => scheduler.schedule(callbackRequest(60, { timezone: 'Mars/Olympus' })), { statusCode: 400 });
+    assert.throws(() => scheduler.schedule(callbackRequest(0)), /too soon/);
+    assert.throws(() => scheduler.schedule(callbackRequest(60 * 24 * 60)), /at most 30 days/);
+    assert.throws(() => scheduler.schedule(callbackRequest(60, { time: 'tomorrow' })), { statusCode: 400 });
+    db.close();
+
+    db = openDatabase({ Database, file });
+    const restarted = createCallbackScheduler({ db, placeCall });
+    assert.deepEqual(restarted.list().map((callback) => callback.id), [kept.id, dropped.id]);
+    assert.equal(restarted.cancel(dropped.id).status, 'cancelled');
+    assert.throws(() => restarted.cancel(dropped.id), { statusCode: 409 });
+    assert.throws(() => restarted.get('nope'), { statusCode: 404 });
+    assert.deepEqual(restarted.list({ status: 'scheduled' }).map((callback) => callback.id), [kept.id]);
+    db.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('places a due callback with the earlier conversation and retries it when nobody answers', async () => {
+  const db = openDatabase({ Database, file: ':memory:' });
+  const placed = [];
+  const scheduler = createCallbackScheduler({
+    db,
+    placeCall: async (request) => {
+      placed.push(request);
+      return `CA${placed.length + 1}`;
+    },
+    tickMs: 10,
+    minLeadSeconds: 0,
+    retryDelaySeconds: 0.05,
+  });
+  const callback = scheduler.schedule(callbackRequest(0.001));
+  scheduler.start();
+  try {
+    await waitFor(() => placed.length === 1, { what: 'the callback to be placed' });
+    assert.equal(placed[0].to, '+15550001111');
+    assert.equal(placed[0].from, '+15550002222');
+    assert.equal(placed[0].baseUrl, 'https://example.test');
+    assert.deepEqual(placed[0].variables, { name: 'Ada' });
+    assert.match(placed[0].persona.instructions, /^You are a helpful agent\.\n\n/);
+    assert.match(placed[0].persona.instructions, /Reason for the callback: Wants to go over the quote/);
+    assert.match(placed[0].persona.instructions, /Ada asked about the pro plan/);
+
+    scheduler.handleCallStatus({ sid: 'CA2', status: 'ringing' });
+    assert.equal(scheduler.get(callback.id).status, 'in-progress');
+    scheduler.handleCallStatus({ sid: 'CA2', status: 'no-answer' });
+    assert.equal(scheduler.get(callback.id).status, 'scheduled');
+
+    await waitFor(() => placed.length === 2, { what: 'the retry' });
+    scheduler.handleCallStatus({ sid: 'CA3', status: 'completed' });
+    const done = scheduler.get(callback.id);
+    assert.equal(done.status, 'completed');
+    assert.equal(done.attempts, 2);
+    assert.equal(done.callbackCallSid, 'CA3');
+  } finally {
+    scheduler.stop();
+    db.close();
+  }
+});
+
+test('places no more due callbacks at once than there are call slots', async () => {
+  const db = openDatabase({ Database, file: ':memory:' });
+  const gate = createCallGate({ maxCalls: 1 });
+  const placed = [];
+  const scheduler = createCallbackScheduler({
+    db,
+    reserveSlot: gate.tryReserve,
+    // Twilio takes its time; the slot is only bound to the call once it answers
+    placeCall: ({ slot }) => {
+      placed.push(slot);
+      return new Promise(() => {});
+    },
+    tickMs: 10,
+    minLeadSeconds: 0,
+  });
+  scheduler.schedule(callbackRequest(0.001));
+  scheduler.schedule(callbackRequest(0.001, { to: '+15550004444' }));
+  scheduler.start();
+  try {
+    await waitFor(() => placed.length === 1, { what: 'the first callback to be placed' });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(placed.length, 1);
+    assert.deepEqual(scheduler.list({ status: 'scheduled' }).map((callback) => callback.to), ['+15550004444']);
+  } finally {
+    scheduler.stop();
+    db.close();
+  }
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { callerFromStart, createCustomerFileLookup, streamParameters } from '../lib/caller-context.js';
+
+test('passes the call and its variables as stream parameters', () => {
+  const xml = streamParameters({
+    token: 'abc',
+    params: { CallSid: 'CA1', From: '+15550001111', To: '+15550002222', Direction: 'inbound' },
+    variables: { name: 'Ada & Co', token: 'forged', empty: null },
+  });
+  assert.match(xml, /<Parameter name="token" value="abc" \/>/);
+  assert.match(xml, /<Parameter name="From" value="\+15550001111" \/>/);
+  assert.match(xml, /<Parameter name="name" value="Ada &amp; Co" \/>/);
+  assert.doesNotMatch(xml, /forged|empty/);
+
+  const caller = callerFromStart({ callSid: 'CA1', customParameters: { token: 'abc', From: '+15550001111', Direction: 'inbound', name: 'Ada' } });
+  assert.deepEqual(caller, { callSid: 'CA1', from: '+15550001111', to: null, direction: 'inbound', variables: { name: 'Ada' } });
+});
+
+test('looks customers up by the number on the other end of the call', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'customers-'));
+  const file = path.join(dir, 'customers.json');
+  try {
+    fs.writeFileSync(file, JSON.stringify({ '+15550001111': { name: 'Ada' }, '+15550002222': { name: 'Grace' } }));
+    const lookup = createCustomerFileLookup({ file });
+
+    assert.deepEqual(await lookup({ direction: 'inbound', from: '+15550001111', to: '+15550002222' }), { name: 'Ada' });
+    assert.deepEqual(await lookup({ direction: 'outbound-api', from: '+15550001111', to: '+15550002222' }), { name: 'Grace' });
+    assert.equal(await lookup({ direction: 'inbound', from: '+15550009999' }), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCampaignManager, isWithinCallingWindow } from '../lib/campaigns.js';
+import { createCallGate } from '../lib/call-gate.js';
+import { waitFor } from './support/wait.js';
+
+const BASE_URL = 'https://example.test';
+
+const contacts = (count) => Array.from({ length: count }, (_, i) => ({ to: `+1555000${String(i).padStart(4, '0')}`, name: `Contact ${i}` }));
+
+// A campaign manager whose calls are recorded in `placed` and get Call SIDs CA1, CA2, ...
+function dialer({ placeCall, ...options } = {}) {
+  const placed = [];
+  const campaigns = createCampaignManager({
+    tickMs: 5,
+    placeCall: async (request) => {
+      placed.push({ ...request, at: Date.now() });
+      if (placeCall) return placeCall(request);
+      return `CA${placed.length}`;
+    },
+    ...options,
+  });
+  campaigns.start();
+  return { campaigns, placed };
+}
+
+test('validates campaign settings, including a calling window from the query string', () => {
+  const campaigns = createCampaignManager({ placeCall: async () => 'CA1' });
+  assert.throws(() => campaigns.create({ contacts: contacts(1), concurrency: 0.5 }, { baseUrl: BASE_URL }), { statusCode: 400 });
+  assert.throws(() => campaigns.create({ contacts: contacts(1), maxAttempts: '2.5' }, { baseUrl: BASE_URL }), /whole number/);
+  assert.throws(() => campaigns.create({ csv: 'to\n+15550001111\n', callingWindow: '09:00-17:00' }, { baseUrl: BASE_URL }), /must be JSON/);
+  assert.throws(() => campaigns.create({ contacts: contacts(1), callingWindow: { start: '09:00', end: '09:00' } }, { baseUrl: BASE_URL }), /must differ/);
+
+  const campaign = campaigns.create({
+    csv: 'to,name\n+15550001111,Ada\n',
+    concurrency: '2',
+    callingWindow: '{"start":"08:00","end":"18:00","days":[1,2,3]}',
+  }, { baseUrl: BASE_URL });
+  assert.deepEqual(campaign.settings.callingWindow, { start: '08:00', end: '18:00', days: [1, 2, 3] });
+  assert.equal(campaign.settings.concurrency, 2);
+  const unlimited = campaigns.create({ csv: 'to\n+15550001111\n', callingWindow: 'null' }, { baseUrl: BASE_URL });
+  assert.equal(unlimited.settings.callingWindow, null);
+});
+
+test('checks calling windows in the contact\'s timezone', () => {
+  const window = { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] };
+  // Wednesday 2024-05-01, 14:00 UTC
+  const at = new Date('2024-05-01T14:00:00Z');
+  assert.equal(isWithinCallingWindow(window, 'America/New_York', at), true);   // 10:00
+  assert.equal(isWithinCallingWindow(window, 'Asia/Tokyo', at), false);        // 23:00
+  assert.equal(isWithinCallingWindow({ ...window, days: [0, 6] }, 'UTC', at), false);
+  assert.equal(isWithinCallingWindow(null, 'UTC', at), true);
+
+  // 22:00 to 06:00 runs into the next morning, which still counts as the day it started on
+  const overnight = { start: '22:00', end: '06:00', days: [3] };
+  assert.equal(isWithinCallingWindow(overnight, 'UTC', new Date('2024-05-01T23:30:00Z')), true);  // Wed 23:30
+  assert.equal(isWithinCallingWindow(overnight, 'UTC', new Date('2024-05-02T05:59:00Z')), true);  // Thu 05:59
+  assert.equal(isWithinCallingWindow(overnight, 'UTC', new Date('2024-05-02T06:00:00Z')), false); // Thu 06:00
+  assert.equal(isWithinCallingWindow(overnight, 'UTC', new Date('2024-05-01T05:00:00Z')), false); // Wed 05:00
+  assert.equal(isWithinCallingWindow(overnight, 'UTC', new Date('2024-05-02T23:00:00Z')), false); // Thu 23:00
+});
+
+test('dials nobody outside the calling window', async () => {
+  const { campaigns, placed } = dialer();
+  try {
+    campaigns.create({ contacts: contacts(2), callingWindow: { start: '00:00', end: '23:59', days: [] } }, { baseUrl: BASE_URL });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(placed.length, 0);
+  } finally {
+    campaigns.stop();
+  }
+});
+
+test('throttles calls per second and keeps to the concurrency cap', async () => {
+  const { campaigns, placed } = dialer();
+  try {
+    const { id } = campaigns.create({ contacts: contacts(3), concurrency: 2, callsPerSecond: 20, callingWindow: null }, { baseUrl: BASE_URL });
+    await waitFor(() => placed.length === 2, { what: 'two calls' });
+    assert.ok(placed[1].at - placed[0].at >= 45, `calls ${placed[1].at - placed[0].at} ms apart`);
+    assert.deepEqual(placed[0].variables, { name: 'Contact 0' });
+    assert.equal(placed[0].baseUrl, BASE_URL);
+
+    // Both calls are still going, so the third contact waits
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal(placed.length, 2);
+    campaigns.handleCallStatus({ sid: 'CA1', status: 'completed' });
+    await waitFor(() => placed.length === 3, { what: 'the third call' });
+
+    campaigns.handleCallStatus({ sid: 'CA2', status: 'completed' });
+    campaigns.handleCallStatus({ sid: 'CA3', status: 'completed' });
+    assert.equal(campaigns.get(id).status, 'completed');
+  } finally {
+    campaigns.stop();
+  }
+});
+
+test('retries unanswered contacts until they run out of attempts', async () => {
+  const { campaigns, placed } = dialer();
+  try {
+    const { id } = campaigns.create({ contacts: contacts(1), maxAttempts: 2, retryDelaySeconds: 0.02, callingWindow: null }, { baseUrl: BASE_URL });
+    await waitFor(() => placed.length === 1, { what: 'the first attempt' });
+    campaigns.handleCallStatus({ sid: 'CA1', status: 'ringing' });
+    assert.equal(campaigns.get(id).contacts[0].status, 'in-progress');
+    campaigns.handleCallStatus({ sid: 'CA1', status: 'no-answer' });
+    assert.equal(campaigns.get(id).contacts[0].status, 'retry-scheduled');
+
+    await waitFor(() => placed.length === 2, { what: 'the retry' });
+    // Voicemail counts as nobody answering
+    campaigns.handleCallStatus({ sid: 'CA2', status: 'completed', answeredBy: 'machine_end_beep' });
+    const [contact] = campaigns.get(id).contacts;
+    assert.equal(contact.status, 'failed');
+    assert.equal(contact.lastResult, 'machine');
+    assert.deepEqual(contact.callSids, ['CA1', 'CA2']);
+    assert.equal(campaigns.get(id).status, 'completed');
+  } finally {
+    campaigns.stop();
+  }
+});
+
+test('waits for a free call slot', async () => {
+  const gate = createCallGate({ maxCalls: 1 });
+  const held = gate.reserve();
+  const { campaigns, placed } = dialer({
+    reserveSlot: gate.tryReserve,
+    placeCall: async ({ slot }) => {
+      slot.bind(`CA${placed.length}`);
+      return `CA${placed.length}`;
+    },
+  });
+  try {
+    campaigns.create({ contacts: contacts(2), concurrency: 2, callsPerSecond: 100, callingWindow: null }, { baseUrl: BASE_URL });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(placed.length, 0);
+
+    // One slot frees up: only one of the two contacts is dialed
+    held.release();
+    await waitFor(() => placed.length === 1, { what: 'a call once a slot is free' });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(placed.length, 1);
+
+    gate.callEnded('CA1');
+    await waitFor(() => placed.length === 2, { what: 'the second contact once the first call ended' });
+  } finally {
+    campaigns.stop();
+  }
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createDtmfCollector, createDigitValidator } from '../lib/dtmf.js';
+
+const press = (collector, keys) => [...keys].forEach((key) => collector.press(key));
+
+test('gathers key presses into entries that end with # or a pause', async () => {
+  const entries = [];
+  const collector = createDtmfCollector({ interDigitTimeoutMs: 20, onDigits: (digits) => entries.push(digits) });
+  press(collector, '12#');
+  assert.deepEqual(entries, ['12']);
+
+  press(collector, '34');
+  assert.deepEqual(entries, ['12']);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual(entries, ['12', '34']);
+
+  press(collector, '5');
+  collector.clear();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual(entries, ['12', '34']);
+});
+
+test('hands secure entries to the validator and only returns its verdict', async () => {
+  const entries = [];
+  const checked = [];
+  const collector = createDtmfCollector({
+    secureLength: 4,
+    onDigits: (digits) => entries.push(digits),
+    validateDigits: async (digits, { purpose }) => {
+      checked.push([digits, purpose]);
+      return { valid: digits === '1234' };
+    },
+  });
+
+  const pin = collector.collectSecure({ purpose: 'pin' });
+  assert.equal(collector.isCollectingSecurely(), true);
+  await assert.rejects(collector.collectSecure(), /Already collecting/);
+  press(collector, '12345');
+  assert.deepEqual(await pin, { status: 'complete', result: { valid: true } });
+  assert.deepEqual(checked, [['1234', 'pin']]);
+  assert.deepEqual(entries, []); // nothing reaches the conversation
+  assert.equal(collector.isCollectingSecurely(), false);
+
+  const short = collector.collectSecure();
+  press(collector, '12#');
+  assert.deepEqual(await short, { status: 'incomplete', expectedLength: 4, receivedLength: 2 });
+
+  const cancelled = collector.collectSecure();
+  collector.clear();
+  assert.deepEqual(await cancelled, { status: 'cancelled' });
+});
+
+test('reports secure entries that time out or fail validation without their digits', async () => {
+  const collector = createDtmfCollector({
+    secureTimeoutMs: 20,
+    validateDigits: async () => { throw new Error('validator down for 1234'); },
+  });
+  assert.deepEqual(await collector.collectSecure(), { status: 'timeout' });
+
+  const entry = collector.collectSecure();
+  press(collector, '1234');
+  assert.deepEqual(await entry, { status: 'error', error: 'The entry could not be checked' });
+});
+
+test('posts secure entries to the validator URL', async () => {
+  const received = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', () => {
+      received.push(JSON.parse(body));
+      response.writeHead(body.includes('0000') ? 500 : 200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ valid: true, accountName: 'Jane' }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const validate = createDigitValidator({ url: `http://127.0.0.1:${server.address().port}/check` });
+    assert.deepEqual(await validate('1234', { callSid: 'CA1', purpose: 'pin' }), { valid: true, accountName: 'Jane' });
+    assert.deepEqual(received, [{ callSid: 'CA1', purpose: 'pin', digits: '1234' }]);
+    await assert.rejects(validate('0000', { callSid: 'CA1', purpose: 'pin' }), /replied 500/);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  assert.deepEqual(await createDigitValidator({})('1234', {}), { valid: false, error: 'No digit validator is configured' });
+});
@@ -0,0 +1,309 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket, { WebSocketServer } from 'ws';
+import { bridgeMediaStream } from '../lib/media-bridge.js';
+import { realtimeUrl } from '../lib/realtime-backend.js';
+import { createCascadedBackend } from '../lib/cascaded-backend.js';
+import { createToolRegistry } from '../lib/tools.js';
+import { DEFAULT_PERSONA } from '../lib/persona.js';
+import { startMockRealtimeServer } from './support/mock-realtime-server.js';
+import { startMockCascadedServer } from './support/mock-cascaded-server.js';
+import { connectTwilioStream } from './support/twilio-stream-simulator.js';
+import { waitFor } from './support/wait.js';
+
+const FIXTURE = new URL('./fixtures/caller-tone.wav', import.meta.url);
+const FRAME = Buffer.alloc(160, 0xff).toString('base64');
+
+let openAi;
+let cascade;
+let bridgeServer;
+let twilio;
+
+// Bridge every connection to the mock, with `options` on top of the test defaults
+async function startBridge(options = {}) {
+  bridgeServer = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise((resolve) => bridgeServer.once('listening', resolve));
+  bridgeServer.on('connection', (connection) => bridgeMediaStream(connection, {
+    WebSocket,
+    apiKey: 'test-key',
+    url: realtimeUrl({ baseUrl: openAi.url, model: 'test-model' }),
+    ...options,
+  }));
+  return `ws://127.0.0.1:${bridgeServer.address().port}`;
+}
+
+beforeEach(async () => {
+  openAi = await startMockRealtimeServer();
+});
+
+afterEach(async () => {
+  await twilio?.close();
+  twilio = null;
+  await new Promise((resolve) => bridgeServer.close(resolve));
+  await openAi.close();
+  await cascade?.close();
+  cascade = null;
+});
+
+// A bridge whose persona uses the cascaded backend, with every stage on the stand-in server
+async function startCascadedBridge(options = {}) {
+  cascade = await startMockCascadedServer();
+  return startBridge({
+    backends: {
+      cascaded: createCascadedBackend({
+        apiKey: 'test-key',
+        stt: { url: cascade.urls.stt },
+        llm: { url: cascade.urls.llm },
+        tts: { url: cascade.urls.tts },
+      }),
+    },
+    personaFor: () => ({ ...DEFAULT_PERSONA, instructions: 'Be brief.', backend: 'cascaded' }),
+    ...options,
+  });
+}
+
+// The fixture's tone, then enough quiet for the cascaded backend to end the turn
+async function speakOneTurn() {
+  await twilio.streamWav(FIXTURE);
+  for (let i = 0; i < 40; i++) twilio.media(FRAME);
+}
+
+test('configures the session and forwards caller audio to OpenAI', async () => {
+  twilio = await connectTwilioStream(await startBridge());
+  twilio.start();
+  const session = await openAi.waitForSession();
+
+  assert.equal(session.url.pathname, '/v1/realtime');
+  assert.equal(session.url.searchParams.get('model'), 'test-model');
+  assert.equal(session.headers.authorization, 'Bearer test-key');
+
+  const update = await session.waitFor('session.update');
+  assert.equal(update.session.input_audio_format, 'g711_ulaw');
+  assert.equal(update.session.output_audio_format, 'g711_ulaw');
+
+  const frames = await twilio.streamWav(FIXTURE);
+  assert.equal(frames, 20);
+  await waitFor(() => session.sent('input_audio_buffer.append').length === frames, { what: 'all frames' });
+});
+
+test('holds caller audio until OpenAI confirms the session', async () => {
+  await openAi.close();
+  openAi = await startMockRealtimeServer({ confirmSessions: false });
+  twilio = await connectTwilioStream(await startBridge());
+  twilio.start();
+  const session = await openAi.waitForSession();
+  await session.waitFor('session.update', 1000);
+  for (let i = 0; i < 5; i++) twilio.media(FRAME);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.deepEqual(session.received.map((event) => event.type), ['session.update']);
+
+  session.sessionUpdated();
+  await waitFor(() => session.sent('input_audio_buffer.append').length === 5, { what: 'buffered frames' });
+  assert.equal(session.sent('response.create').length, 0);
+});
+
+test('has the agent open an outbound call once the session is confirmed', async () => {
+  await openAi.close();
+  openAi = await startMockRealtimeServer({ confirmSessions: false });
+  twilio = await connectTwilioStream(await startBridge({
+    personaFor: () => ({ ...DEFAULT_PERSONA, greeting: 'Hi {{name}}, this is Sam from Acme.' }),
+  }), {
+    customParameters: { token: 'signed', To: '+15550002222', Direction: 'outbound-api', name: 'Ada' },
+  });
+  twilio.start();
+  const session = await openAi.waitForSession();
+  await session.waitFor('session.update', 1000);
+  twilio.media(FRAME);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(session.sent('response.create').length, 0);
+
+  session.sessionUpdated();
+  await session.waitFor('response.create');
+  const [opening] = session.sent('conversation.item.create');
+  assert.equal(opening.item.role, 'system');
+  assert.match(opening.item.content[0].text, /Speak first/);
+  assert.match(opening.item.content[0].text, /"Hi Ada, this is Sam from Acme\."/);
+  // The callee's "Hello?" is answered by the greeting, not replayed to the model
+  assert.equal(session.sent('input_audio_buffer.append').length, 0);
+
+  twilio.media(FRAME);
+  await waitFor(() => session.sent('input_audio_buffer.append').length === 1, { what: 'caller audio' });
+});
+
+test('plays assistant audio to Twilio and clears it when the caller barges in', async () => {
+  twilio = await connectTwilioStream(await startBridge());
+  twilio.start();
+  const session = await openAi.waitForSession();
+  await session.waitFor('session.update');
+
+  twilio.media(FRAME);
+  session.audioDelta('item_1', FRAME);
+  const media = await twilio.waitFor('media');
+  assert.equal(media.media.payload, FRAME);
+  assert.equal(media.streamSid, twilio.streamSid);
+  await twilio.waitFor('mark');
+
+  session.speechStarted('item_2');
+  await twilio.waitFor('clear');
+  const truncate = await session.waitFor('conversation.item.truncate');
+  assert.equal(truncate.item_id, 'item_1');
+  assert.ok(truncate.audio_end_ms <= 20);
+});
+
+test('converts audio to and from a pcm16 session', async () => {
+  twilio = await connectTwilioStream(await startBridge({ audioFormat: 'pcm16' }));
+  twilio.start();
+  const session = await openAi.waitForSession();
+  const update = await session.waitFor('session.update');
+  assert.equal(update.session.input_audio_format, 'pcm16');
+  assert.equal(update.session.output_audio_format, 'pcm16');
+
+  // 20 ms of u-law silence is 480 samples at 24 kHz
+  twilio.media(FRAME);
+  const append = await session.waitFor('input_audio_buffer.append');
+  assert.deepEqual(Buffer.from(append.audio, 'base64'), Buffer.alloc(960));
+
+  session.audioDelta('item_1', Buffer.alloc(960).toString('base64'));
+  const media = await twilio.waitFor('media');
+  assert.equal(media.media.payload, FRAME);
+});
+
+test('runs function calls and asks for the next response', async () => {
+  const tools = createToolRegistry([{
+    name: 'lookup_order',
+    description: 'Look up an order',
+    parameters: { type: 'object', properties: { id: { type: 'string' } } },
+    handler: ({ id }, { callSid }) => ({ id, status: 'shipped', callSid }),
+  }]);
+  twilio = await connectTwilioStream(await startBridge({ tools }));
+  twilio.start();
+  const session = await openAi.waitForSession();
+
+  const update = await session.waitFor('session.update');
+  assert.deepEqual(update.session.tools.map((tool) => tool.name), ['lookup_order']);
+
+  session.functionCall('lookup_order', { id: '42' }, 'call_1');
+  const output = await session.waitFor((event) => event.item?.type === 'function_call_output');
+  assert.equal(output.item.call_id, 'call_1');
+  assert.deepEqual(JSON.parse(output.item.output), { id: '42', status: 'shipped', callSid: twilio.callSid });
+  await session.waitFor('response.create');
+});
+
+test('passes keypad entries to the model after a pause', async () => {
+  twilio = await connectTwilioStream(await startBridge({ dtmf: { interDigitTimeoutMs: 50 } }));
+  twilio.start();
+  const session = await openAi.waitForSession();
+  await session.waitFor('session.update');
+
+  for (const digit of '1234') twilio.dtmf(digit);
+  const item = await session.waitFor((event) => event.item?.role === 'user');
+  assert.equal(item.item.content[0].text, '[Keypad entry] 1234');
+  await session.waitFor('response.create');
+});
+
+test('fills the instructions from the stream parameters and the customer lookup', async () => {
+  const lookups = [];
+  twilio = await connectTwilioStream(await startBridge({
+    personaFor: () => ({ ...DEFAULT_PERSONA, instructions: 'Remind {{customer.name}} about order {{order}}.' }),
+    lookupCaller: async (caller) => {
+      lookups.push(caller);
+      return { name: 'Ada', plan: 'pro' };
+    },
+  }), {
+    customParameters: { token: 'signed', From: '+15550001111', To: '+15550002222', Direction: 'outbound-api', order: '42' },
+  });
+  twilio.start();
+  const session = await openAi.waitForSession();
+
+  const update = await session.waitFor('session.update');
+  assert.match(update.session.instructions, /^Remind Ada about order 42\./);
+  assert.match(update.session.instructions, /You are calling \+15550002222\./);
+  assert.match(update.session.instructions, /"plan":"pro"/);
+  assert.equal(lookups.length, 1);
+  assert.equal(lookups[0].direction, 'outbound-api');
+  assert.deepEqual(lookups[0].variables, { order: '42' });
+});
+
+test('configures the session without a customer when the lookup fails', async () => {
+  twilio = await connectTwilioStream(await startBridge({
+    lookupCaller: async () => { throw new Error('CRM is down'); },
+  }));
+  twilio.start();
+  const session = await openAi.waitForSession();
+
+  const update = await session.waitFor('session.update');
+  assert.doesNotMatch(update.session.instructions, /Our records/);
+});
+
+test('rejects a stream whose start message is not authorized', async () => {
+  twilio = await connectTwilioStream(await startBridge({
+    authorizeStart: () => ({ valid: false, reason: 'bad token' }),
+  }));
+  twilio.start();
+
+  const { code } = await twilio.closed;
+  assert.equal(code, 1008);
+  assert.equal(openAi.sessions.length, 0);
+});
+
+test('runs a cascaded turn: transcribes the caller, asks the chat model, speaks the reply', async () => {
+  twilio = await connectTwilioStream(await startCascadedBridge());
+  cascade.transcripts.push('What time do you open?');
+  cascade.replies.push({ content: 'We open at nine.' });
+  twilio.start();
+  await speakOneTurn();
+
+  const transcription = await cascade.waitForRequest('stt');
+  assert.equal(transcription.headers.authorization, 'Bearer test-key');
+  assert.match(transcription.body.toString('latin1'), /RIFF.{4}WAVE/s);
+
+  const completion = await cascade.waitForRequest('llm');
+  assert.equal(completion.body.messages[0].role, 'system');
+  assert.match(completion.body.messages[0].content, /^Be brief\./);
+  assert.deepEqual(completion.body.messages.at(-1), { role: 'user', content: 'What time do you open?' });
+
+  const speech = await cascade.waitForRequest('tts');
+  assert.equal(speech.body.input, 'We open at nine.');
+  assert.equal(speech.body.voice, DEFAULT_PERSONA.voice);
+
+  // 200 ms of 24 kHz PCM reaches Twilio as 1600 bytes of 8 kHz u-law
+  await waitFor(() => twilio.received('media').length === 2, { what: 'agent audio' });
+  const bytes = twilio.received('media').reduce((sum, message) => sum + Buffer.from(message.media.payload, 'base64').length, 0);
+  assert.equal(bytes, 1600);
+});
+
+test('hands cascaded tool calls to the tools and answers with their output', async () => {
+  const tools = createToolRegistry([{
+    name: 'lookup_order',
+    description: 'Look up an order',
+    parameters: { type: 'object', properties: { id: { type: 'string' } } },
+    handler: ({ id }) => ({ id, status: 'shipped' }),
+  }]);
+  twilio = await connectTwilioStream(await startCascadedBridge({ tools }));
+  cascade.transcripts.push('Where is order 42?');
+  cascade.replies.push(
+    { tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup_order', arguments: '{"id":"42"}' } }] },
+    { content: 'It has shipped.' },
+  );
+  twilio.start();
+  await speakOneTurn();
+
+  const first = await cascade.waitForRequest('llm');
+  assert.deepEqual(first.body.tools.map((tool) => tool.function.name), ['lookup_order']);
+
+  const second = await cascade.waitForRequest('llm', 1);
+  assert.deepEqual(second.body.messages.at(-1), { role: 'tool', tool_call_id: 'call_1', content: '{"id":"42","status":"shipped"}' });
+  const speech = await cascade.waitForRequest('tts');
+  assert.equal(speech.body.input, 'It has shipped.');
+});
+
+test('closes OpenAI when the call ends', async () => {
+  twilio = await connectTwilioStream(await startBridge());
+  twilio.start();
+  const session = await openAi.waitForSession();
+  await session.waitFor('session.update');
+
+  twilio.stop();
+  await twilio.close();
+  await session.closed;
+});
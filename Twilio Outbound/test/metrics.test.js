@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addTokenUsage, createCallMetrics, createMetricsRegistry, recordTokenUsage } from '../lib/metrics.js';
+
+test('renders counters, gauges and histograms in the Prometheus text format', () => {
+  const registry = createMetricsRegistry();
+  const requests = registry.counter('requests_total', 'Requests', ['route']);
+  const active = registry.gauge('active', 'Active things');
+  const latency = registry.histogram('latency_seconds', 'Latency', { buckets: [0.5, 1] });
+
+  requests.inc({ route: '/a"b\\c\nd' });
+  requests.inc({ route: '/a"b\\c\nd' }, 2);
+  active.inc();
+  active.inc();
+  active.dec();
+  latency.observe(0.25);
+  latency.observe(0.75);
+  latency.observe(3);
+
+  assert.equal(registry.render(), [
+    '# HELP requests_total Requests',
+    '# TYPE requests_total counter',
+    'requests_total{route="/a\\"b\\\\c\\nd"} 3',
+    '# HELP active Active things',
+    '# TYPE active gauge',
+    'active 1',
+    '# HELP latency_seconds Latency',
+    '# TYPE latency_seconds histogram',
+    'latency_seconds_bucket{le="0.5"} 1',
+    'latency_seconds_bucket{le="1"} 2',
+    'latency_seconds_bucket{le="+Inf"} 3',
+    'latency_seconds_sum 4',
+    'latency_seconds_count 3',
+    '',
+  ].join('\n'));
+  assert.throws(() => registry.counter('active', 'Again'), /already registered/);
+});
+
+test('counts the tokens in response.done usage blocks', () => {
+  const usage = {
+    input_token_details: { text_tokens: 10, audio_tokens: 200 },
+    output_token_details: { text_tokens: 5, audio_tokens: 300 },
+  };
+  const metrics = createCallMetrics();
+  assert.match(metrics.render(), /^voice_agent_active_calls 0$/m);
+  recordTokenUsage(metrics, usage);
+  recordTokenUsage(metrics, usage);
+  recordTokenUsage(metrics, null);
+  assert.match(metrics.render(), /^voice_agent_openai_tokens_total\{direction="output",modality="audio"\} 600$/m);
+
+  const totals = addTokenUsage({ input: { text: 0, audio: 0 }, output: { text: 0, audio: 0 } }, usage);
+  assert.deepEqual(addTokenUsage(totals, usage), { input: { text: 20, audio: 400 }, output: { text: 10, audio: 600 } });
+});
@@ -0,0 +1,337 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+import { computeTwilioSignature } from '../lib/security.js';
+import { startMockRealtimeServer } from './support/mock-realtime-server.js';
+import { connectTwilioStream } from './support/twilio-stream-simulator.js';
+import { startServer } from './support/server.js';
+import { waitFor } from './support/wait.js';
+
+const AUTH_TOKEN = 'test-auth-token';
+const ADMIN_TOKEN = 'test-admin-token';
+const CALL_SID = 'CA11111111111111111111111111111111';
+const FIXTURE = new URL('./fixtures/caller-tone.wav', import.meta.url);
+
+let openAi;
+let server;
+
+before(async () => {
+  openAi = await startMockRealtimeServer();
+  server = await startServer(fileURLToPath(new URL('../index.js', import.meta.url)), {
+    env: {
+      OPENAI_API_KEY: 'test-key',
+      OPENAI_REALTIME_URL: openAi.url,
+      OPENAI_REALTIME_MODEL: 'test-model',
+      TWILIO_ACCOUNT_SID: 'AC00000000000000000000000000000000',
+      TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+      TWILIO_TO_NUMBER: '+15550001111',
+      TWILIO_FROM_NUMBER: '+15550002222',
+      ADMIN_TOKEN,
+      CALL_HISTORY_FILE: ':memory:',
+    },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await openAi?.close();
+});
+
+// A request with the admin token, which the routes that expose call data or place calls need
+function adminFetch(path, { headers, ...options } = {}) {
+  return fetch(server.baseUrl + path, { ...options, headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, ...headers } });
+}
+
+// POST a webhook the way Twilio does, signed with the auth token
+async function twilioWebhook(path, params) {
+  const url = server.baseUrl + path;
+  return fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Twilio-Signature': computeTwilioSignature(AUTH_TOKEN, url, params),
+    },
+    body: new URLSearchParams(params),
+  });
+}
+
+async function streamTwiml(callSid) {
+  const response = await twilioWebhook('/twilio-voice-twiml', { CallSid: callSid });
+  assert.equal(response.status, 200);
+  const twiml = await response.text();
+  return {
+    twiml,
+    streamUrl: twiml.match(/<Stream url="([^"]+)"/)[1],
+    token: twiml.match(/<Parameter name="token" value="([^"]+)"/)[1],
+  };
+}
+
+test('rejects webhooks without a valid Twilio signature', async () => {
+  const response = await fetch(`${server.baseUrl}/twilio-voice-twiml`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ CallSid: CALL_SID }),
+  });
+  assert.equal(response.status, 403);
+});
+
+test('bridges a call to the configured realtime URL and model', async () => {
+  const { twiml, streamUrl, token } = await streamTwiml(CALL_SID);
+  assert.match(twiml, /<Response>\s*<Connect>/);
+  assert.doesNotMatch(twiml, /<Say>/);
+  assert.match(twiml, new RegExp(`<Parameter name="CallSid" value="${CALL_SID}" />`));
+  assert.equal(streamUrl, server.websocketUrl('/media-stream'));
+
+  const twilio = await connectTwilioStream(streamUrl, { callSid: CALL_SID, customParameters: { token } });
+  try {
+    twilio.start();
+    const session = await openAi.waitForSession(0, 5000);
+    assert.equal(session.url.searchParams.get('model'), 'test-model');
+    assert.equal(session.headers.authorization, 'Bearer test-key');
+
+    const update = await session.waitFor('session.update', 5000);
+    assert.ok(update.session.tools.some((tool) => tool.name === 'get_current_time'));
+
+    const frames = await twilio.streamWav(FIXTURE);
+    await waitFor(() => session.sent('input_audio_buffer.append').length === frames, { what: 'caller audio' });
+
+    session.audioDelta('item_1', Buffer.alloc(160, 0xff).toString('base64'));
+    await twilio.waitFor('media');
+
+    session.functionCall('get_current_time', { timezone: 'UTC' });
+    const output = await session.waitFor((event) => event.item?.type === 'function_call_output');
+    assert.equal(JSON.parse(output.item.output).timezone, 'UTC');
+
+    const call = await (await fetch(`${server.baseUrl}/calls/${CALL_SID}`)).json();
+    assert.equal(call.streamSid, twilio.streamSid);
+  } finally {
+    await twilio.close();
+  }
+});
+
+test('refuses a media stream with a token for another call', async () => {
+  const { streamUrl, token } = await streamTwiml('CA22222222222222222222222222222222');
+  const sessionsBefore = openAi.sessions.length;
+
+  const twilio = await connectTwilioStream(streamUrl, { callSid: CALL_SID, customParameters: { token } });
+  twilio.start();
+  const { code } = await twilio.closed;
+  assert.equal(code, 1008);
+  assert.equal(openAi.sessions.length, sessionsBefore);
+});
+
+test('keeps bridged calls in the call history', async () => {
+  assert.equal((await fetch(`${server.baseUrl}/history`)).status, 401);
+  const response = await adminFetch('/history?limit=10');
+  assert.equal(response.status, 200);
+  const { calls, nextCursor } = await response.json();
+  assert.equal(nextCursor, null);
+  assert.ok(calls.some((call) => call.sid === CALL_SID && call.direction === 'inbound'));
+
+  const csv = await adminFetch('/history?format=csv&status=in-progress,completed');
+  assert.equal(csv.headers.get('content-type'), 'text/csv');
+  assert.match(await csv.text(), new RegExp(`^sid,direction,.*\r\n${CALL_SID},inbound,`));
+
+  assert.equal((await fetch(`${server.baseUrl}/calls/${CALL_SID}/transcript`)).status, 401);
+  assert.equal((await adminFetch(`/calls/${CALL_SID}/transcript?format=vtt`)).headers.get('content-type'), 'text/vtt; charset=utf-8');
+
+  assert.equal((await fetch(`${server.baseUrl}/calls/${CALL_SID}/recording`)).status, 401);
+  assert.equal((await adminFetch(`/calls/${CALL_SID}/recording`)).status, 404); // RECORD_CALLS is off
+
+  assert.equal((await adminFetch('/history?limit=0')).status, 400);
+  assert.equal((await adminFetch('/history?number=%2B15550001111&number=%2B15550002222')).status, 400);
+});
+
+test('requires the admin token to run campaigns', async () => {
+  const body = JSON.stringify({ contacts: [{ to: '+15550001111' }] });
+  const headers = { 'Content-Type': 'application/json' };
+  assert.equal((await fetch(`${server.baseUrl}/campaigns`, { method: 'POST', headers, body })).status, 401);
+  assert.equal((await fetch(`${server.baseUrl}/campaigns`)).status, 401);
+
+  const created = await adminFetch('/campaigns', { method: 'POST', headers, body: JSON.stringify({ contacts: [], name: 'Empty' }) });
+  assert.equal(created.status, 400);
+  assert.deepEqual(await (await adminFetch('/campaigns')).json(), { campaigns: [] });
+});
+
+test('lets the agent schedule a callback that can be listed and cancelled', async () => {
+  const callSid = 'CA33333333333333333333333333333333';
+  const { streamUrl, token } = await streamTwiml(callSid);
+  const twilio = await connectTwilioStream(streamUrl, {
+    callSid,
+    customParameters: { token, From: '+15550002222', To: '+15550003333', Direction: 'outbound-api' },
+  });
+  try {
+    const sessionsBefore = openAi.sessions.length;
+    twilio.start();
+    const session = await openAi.waitForSession(sessionsBefore, 5000);
+    await session.waitFor('session.update', 5000);
+
+    session.functionCall('schedule_callback', {
+      time: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      timezone: 'Europe/London',
+      reason: 'Wants a quote',
+      summary: 'The callee is interested but busy right now.',
+    });
+    const output = await session.waitFor((event) => event.item?.type === 'function_call_output');
+    const { status, callbackId } = JSON.parse(output.item.output);
+    assert.equal(status, 'scheduled');
+
+    assert.equal((await fetch(`${server.baseUrl}/callbacks?callSid=${callSid}`)).status, 401);
+    const { callbacks } = await (await adminFetch(`/callbacks?callSid=${callSid}`)).json();
+    assert.equal(callbacks.length, 1);
+    assert.equal(callbacks[0].id, callbackId);
+    assert.equal(callbacks[0].to, '+15550003333');
+    assert.equal(callbacks[0].from, '+15550002222');
+
+    assert.equal((await fetch(`${server.baseUrl}/callbacks/${callbackId}/cancel`, { method: 'POST' })).status, 401);
+    const cancelled = await adminFetch(`/callbacks/${callbackId}/cancel`, { method: 'POST' });
+    assert.equal((await cancelled.json()).callback.status, 'cancelled');
+    assert.equal((await adminFetch(`/callbacks/${callbackId}/cancel`, { method: 'POST' })).status, 409);
+    assert.equal((await adminFetch('/callbacks?status=later')).status, 400);
+  } finally {
+    await twilio.close();
+  }
+});
+
+// Subscribes to the dashboard's Server-Sent Events; next(match) resolves to the data of the
+// first event `match` accepts
+async function openEvents(path) {
+  const response = await fetch(server.baseUrl + path, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  return {
+    async next(match) {
+      for (;;) {
+        const end = buffer.indexOf('\n\n');
+        if (end === -1) {
+          const { value, done } = await reader.read();
+          if (done) throw new Error('Event stream ended');
+          buffer += decoder.decode(value, { stream: true });
+          continue;
+        }
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const event = block.match(/^event: (.+)$/m)?.[1];
+        const data = event && JSON.parse(block.match(/^data: (.+)$/m)[1]);
+        if (event && match(event, data)) return data;
+      }
+    },
+    close: () => reader.cancel(),
+  };
+}
+
+test('shows live calls on the dashboard and controls them', async () => {
+  const callSid = 'CA44444444444444444444444444444444';
+  const admin = (path, body) => fetch(server.baseUrl + path, {
+    method: body ? 'POST' : 'GET',
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+    body: body && JSON.stringify(body),
+  });
+
+  assert.equal((await fetch(`${server.baseUrl}/admin/calls`)).status, 401);
+  const basic = Buffer.from(`admin:${ADMIN_TOKEN}`).toString('base64');
+  const page = await fetch(`${server.baseUrl}/admin`, { headers: { Authorization: `Basic ${basic}` } });
+  assert.equal(page.status, 200);
+  assert.match(page.headers.get('content-type'), /^text\/html/);
+
+  const { streamUrl, token } = await streamTwiml(callSid);
+  const sessionsBefore = openAi.sessions.length;
+  const twilio = await connectTwilioStream(streamUrl, { callSid, customParameters: { token } });
+  try {
+    twilio.start();
+    const session = await openAi.waitForSession(sessionsBefore, 5000);
+    await session.waitFor('session.update', 5000);
+
+    const { calls } = await (await admin('/admin/calls')).json();
+    assert.equal(calls.find((call) => call.callSid === callSid).live, true);
+
+    const events = await openEvents(`/admin/events?callSid=${callSid}`);
+    session.callerTranscript('item_1', 'I need to move my appointment');
+    const { event } = await events.next((type, data) => type === 'event' && data.event.type === 'transcript');
+    assert.deepEqual([event.speaker, event.text], ['Caller', 'I need to move my appointment']);
+    await events.close();
+
+    assert.equal((await admin(`/admin/calls/${callSid}/instruction`, { text: 'Offer Tuesday at 3pm.' })).status, 200);
+    const instruction = await session.waitFor((sent) => sent.item?.role === 'system');
+    assert.equal(instruction.item.content[0].text, 'Offer Tuesday at 3pm.');
+
+    const muted = await (await admin(`/admin/calls/${callSid}/mute`, { muted: true })).json();
+    assert.equal(muted.call.muted, true);
+
+    assert.equal((await admin(`/admin/calls/${callSid}/hangup`, {})).status, 200);
+    await twilio.closed;
+    await waitFor(async () => !(await (await admin(`/admin/calls/${callSid}`)).json()).live, { what: 'the call to end' });
+    const ended = await (await admin(`/admin/calls/${callSid}/hangup`, {})).json();
+    assert.equal(ended.success, false);
+  } finally {
+    await twilio.close();
+  }
+});
+
+// A supervisor's /admin/supervise socket that keeps every message it receives
+async function superviseCall(callSid, headers = { Authorization: `Bearer ${ADMIN_TOKEN}` }) {
+  const socket = new WebSocket(`${server.websocketUrl('/admin/supervise')}?callSid=${callSid}`, { headers });
+  const received = [];
+  socket.on('message', (data) => received.push(JSON.parse(data)));
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+  return {
+    socket,
+    waitFor: (match) => waitFor(() => received.find(match), { what: 'a supervisor message' }),
+    send: (message) => socket.send(JSON.stringify(message)),
+  };
+}
+
+test('lets a supervisor listen in and whisper to the agent', async () => {
+  const callSid = 'CA55555555555555555555555555555555';
+  await assert.rejects(superviseCall(callSid, {}), /401/);
+
+  const { streamUrl, token } = await streamTwiml(callSid);
+  const sessionsBefore = openAi.sessions.length;
+  const twilio = await connectTwilioStream(streamUrl, { callSid, customParameters: { token } });
+  try {
+    twilio.start();
+    const session = await openAi.waitForSession(sessionsBefore, 5000);
+    await session.waitFor('session.update', 5000);
+
+    const supervisor = await superviseCall(callSid, { Authorization: `Basic ${Buffer.from(`dana:${ADMIN_TOKEN}`).toString('base64')}` });
+    const { call } = await supervisor.waitFor((message) => message.type === 'call');
+    assert.equal(call.callSid, callSid);
+
+    twilio.media(Buffer.alloc(160, 0xff).toString('base64'));
+    const caller = await supervisor.waitFor((message) => message.type === 'audio' && message.track === 'caller');
+    assert.equal(caller.encoding, 'pcm16le');
+    assert.equal(Buffer.from(caller.payload, 'base64').length, 320);
+
+    session.audioDelta('item_1', Buffer.alloc(160, 0x7f).toString('base64'));
+    await supervisor.waitFor((message) => message.type === 'audio' && message.track === 'agent');
+
+    supervisor.send({ type: 'whisper', text: 'Ask about their budget.' });
+    const whisper = await session.waitFor((sent) => sent.item?.role === 'system');
+    assert.match(whisper.item.content[0].text, /Ask about their budget\.$/);
+    await supervisor.waitFor((message) => message.type === 'whispered');
+    await twilio.waitFor('media');
+    assert.equal(twilio.received('media').length, 1); // the agent's reply and nothing else
+
+    const record = await (await fetch(`${server.baseUrl}/calls/${callSid}`)).json();
+    assert.deepEqual(record.whispers.map(({ by, claimedBy, text }) => [by, claimedBy, text]), [['admin', 'dana', 'Ask about their budget.']]);
+
+    twilio.stop();
+    await twilio.close();
+    await new Promise((resolve) => supervisor.socket.once('close', resolve));
+  } finally {
+    await twilio.close();
+  }
+});
+
+test('serves Prometheus metrics', async () => {
+  const response = await fetch(`${server.baseUrl}/metrics`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain/);
+  assert.match(await response.text(), /# TYPE voice_agent_turn_latency_seconds histogram/);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPlaybackTracker } from '../lib/playback.js';
+
+// `ms` of u-law audio as a media payload
+const audio = (ms) => Buffer.alloc(ms * 8, 0xff).toString('base64');
+
+function tracker() {
+  const sent = [];
+  const playback = createPlaybackTracker({ sendToTwilio: (message) => sent.push(message), getStreamSid: () => 'MZ1' });
+  playback.start();
+  return { playback, sent };
+}
+
+test('follows each chunk with a mark and knows when Twilio has played them all', () => {
+  const { playback, sent } = tracker();
+  playback.onCallerMedia('1000');
+  assert.deepEqual(playback.onAssistantAudio('item_1', audio(100)), { startTimestamp: 1000, durationMs: 100 });
+  assert.deepEqual(playback.onAssistantAudio('item_1', audio(50)), { startTimestamp: 1000, durationMs: 50 });
+  assert.deepEqual(sent.map(({ event, mark }) => mark?.name ?? event), ['media', 'item_1:100', 'media', 'item_1:150']);
+  assert.equal(sent[0].streamSid, 'MZ1');
+
+  assert.equal(playback.isPlaying(), true);
+  playback.onMark('item_1:100');
+  assert.equal(playback.isPlaying(), true);
+  playback.onMark('item_1:150');
+  assert.equal(playback.isPlaying(), false);
+  assert.equal(playback.interrupt(), null); // nothing left to cut off
+});
+
+test('cuts the reply off where the caller started talking', () => {
+  const { playback, sent } = tracker();
+  playback.onCallerMedia('1000');
+  playback.onAssistantAudio('item_1', audio(500));
+  playback.onAssistantAudio('item_1', audio(500));
+  playback.onCallerMedia('1300');
+
+  assert.deepEqual(playback.interrupt(), { itemId: 'item_1', audioEndMs: 300 });
+  assert.deepEqual(sent.at(-1), { event: 'clear', streamSid: 'MZ1' });
+  assert.equal(playback.isPlaying(), false);
+});
+
+test('never reports more audio heard than was sent, nor less than Twilio confirmed', () => {
+  const { playback } = tracker();
+  playback.onCallerMedia('0');
+  playback.onAssistantAudio('item_1', audio(200));
+  playback.onCallerMedia('5000');
+  assert.equal(playback.interrupt().audioEndMs, 200);
+
+  // Twilio played 300 ms of item_2 although the caller's clock says only 10 ms went by
+  playback.onAssistantAudio('item_2', audio(300));
+  playback.onMark('item_1:200'); // a mark from before the interruption changes nothing
+  playback.onMark('item_2:300');
+  playback.onAssistantAudio('item_2', audio(100));
+  playback.onCallerMedia('5010');
+  assert.deepEqual(playback.interrupt(), { itemId: 'item_2', audioEndMs: 300 });
+});
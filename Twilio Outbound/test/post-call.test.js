@@ -0,0 +1,149 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createPostCallPipeline, summarySchema, verifyWebhookSignature } from '../lib/post-call.js';
+import { createTranscript } from '../lib/transcript.js';
+import { DEFAULT_PERSONA } from '../lib/persona.js';
+
+const SECRET = 'webhook-secret';
+
+let server;
+let dir;
+
+// An HTTP server that answers each webhook with the next of `statuses` (the last one repeats)
+// and chat completion requests with `completion`
+async function startReceiver(statuses, completion = null) {
+  const requests = [];
+  server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', () => {
+      const received = { url: request.url, headers: request.headers, body };
+      requests.push(received);
+      const hooks = requests.filter(({ url }) => url === '/hook').length;
+      const status = request.url === '/chat' ? 200 : statuses[Math.min(hooks - 1, statuses.length - 1)];
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(request.url === '/chat' ? completion(JSON.parse(body)) : {}));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+function tempFile(name) {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'post-call-'));
+  return path.join(dir, name);
+}
+
+function transcriptOf(...lines) {
+  const transcript = createTranscript();
+  lines.forEach((text, i) => {
+    const itemId = `item_${i}`;
+    if (i % 2) {
+      transcript.assistantAudio(itemId, i * 1000, 500);
+      transcript.assistantTranscribed(itemId, text);
+    } else {
+      transcript.callerSpeechStarted(itemId, i * 1000);
+      transcript.callerTranscribed(itemId, text);
+    }
+  });
+  return transcript;
+}
+
+afterEach(async () => {
+  if (server) await new Promise((resolve) => server.close(resolve));
+  server = null;
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  dir = null;
+});
+
+test('builds a strict schema from the persona extract fields', () => {
+  const schema = summarySchema({ intent: { type: 'string', enum: ['book', 'cancel'] }, callback_requested: { type: 'boolean' } });
+  assert.deepEqual(schema.properties.result.required, ['intent', 'callback_requested']);
+  assert.deepEqual(schema.properties.result.properties.intent, { type: ['string', 'null'], enum: ['book', 'cancel', null] });
+  assert.equal(schema.properties.result.additionalProperties, false);
+});
+
+test('summarizes the call and posts a signed webhook, retrying failures', async () => {
+  let chatRequest;
+  const receiver = await startReceiver([503, 200], (request) => {
+    chatRequest = request;
+    return { choices: [{ message: { content: JSON.stringify({ summary: 'Booked a table.', result: { intent: 'book' } }) } }] };
+  });
+  const pipeline = createPostCallPipeline({
+    apiKey: 'test-key',
+    chatUrl: `${receiver.url}/chat`,
+    webhookUrl: `${receiver.url}/hook`,
+    webhookSecret: SECRET,
+    deadLetterFile: tempFile('dead.jsonl'),
+    baseDelayMs: 10,
+  });
+
+  const persona = { ...DEFAULT_PERSONA, profile: 'bookings', extract: { intent: { type: 'string' } } };
+  const outcome = await pipeline.process({
+    call: { sid: 'CA1', from: '+15550001111' },
+    persona,
+    transcript: transcriptOf('I want a table for two', 'Booked for seven'),
+  });
+
+  assert.deepEqual(Object.keys(chatRequest.response_format.json_schema.schema.properties.result.properties), ['intent']);
+  assert.match(chatRequest.messages[1].content, /Caller: I want a table for two\nAssistant: Booked for seven/);
+  assert.equal(outcome.summary, 'Booked a table.');
+  assert.deepEqual(outcome.result, { intent: 'book' });
+  assert.deepEqual(outcome.delivery, { delivered: true, attempts: 2, error: null });
+
+  const hooks = receiver.requests.filter((request) => request.url === '/hook');
+  assert.equal(hooks.length, 2);
+  const hook = hooks[1];
+  const payload = JSON.parse(hook.body);
+  assert.deepEqual(payload.result, { intent: 'book' });
+  assert.equal(payload.call.sid, 'CA1');
+  assert.equal(payload.call.profile, 'bookings');
+  assert.equal(payload.transcript.length, 2);
+  assert.ok(verifyWebhookSignature(SECRET, {
+    timestamp: hook.headers['x-webhook-timestamp'],
+    signature: hook.headers['x-webhook-signature'],
+    body: hook.body,
+  }));
+});
+
+test('retries with backoff and puts undeliverable results in the dead-letter file', async () => {
+  const receiver = await startReceiver([500, 502, 503]);
+  const deadLetterFile = tempFile('dead.jsonl');
+  const pipeline = createPostCallPipeline({
+    apiKey: 'test-key',
+    webhookUrl: `${receiver.url}/hook`,
+    deadLetterFile,
+    maxAttempts: 3,
+    baseDelayMs: 10,
+  });
+
+  const outcome = await pipeline.process({ call: { sid: 'CA2' }, persona: DEFAULT_PERSONA, transcript: createTranscript() });
+  assert.equal(outcome.delivery.delivered, false);
+  assert.equal(receiver.requests.length, 3);
+  assert.equal(outcome.summary, null); // nothing was said, so there was nothing to summarize
+  const ids = new Set(receiver.requests.map((request) => request.headers['x-webhook-id']));
+  assert.equal(ids.size, 1);
+
+  const [line] = fs.readFileSync(deadLetterFile, 'utf8').trim().split('\n');
+  const entry = JSON.parse(line);
+  assert.equal(entry.attempts, 3);
+  assert.equal(entry.payload.call.sid, 'CA2');
+});
+
+test('does not retry a webhook that rejects the request', async () => {
+  const receiver = await startReceiver([400]);
+  const pipeline = createPostCallPipeline({
+    apiKey: 'test-key',
+    webhookUrl: `${receiver.url}/hook`,
+    deadLetterFile: tempFile('dead.jsonl'),
+    baseDelayMs: 10,
+  });
+
+  const outcome = await pipeline.process({ call: { sid: 'CA3' }, persona: DEFAULT_PERSONA, transcript: createTranscript() });
+  assert.deepEqual(outcome.delivery, { delivered: false, attempts: 1, error: 'webhook replied 400' });
+  assert.equal(receiver.requests.length, 1);
+});
@@ -0,0 +1,82 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import YAML from 'yaml';
+import { ProfileError, createProfileStore, parseProfile } from '../lib/profiles.js';
+import { waitFor } from './support/wait.js';
+
+const TOOL_NAMES = ['get_current_time', 'transfer_to_human'];
+
+let dir;
+let store;
+
+function tempDir() {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+  return dir;
+}
+
+afterEach(() => {
+  store?.close();
+  store = null;
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  dir = null;
+});
+
+test('parses a YAML profile into a persona', () => {
+  const { name, numbers, persona } = parseProfile([
+    'numbers: ["+15551230001"]',
+    'voice: shimmer',
+    'language: fr',
+    'vad: { threshold: 0.6 }',
+    'tools: [get_current_time]',
+    'backend: cascaded',
+  ].join('\n'), 'sales.yaml', { parseYaml: YAML.parse, toolNames: TOOL_NAMES });
+
+  assert.equal(name, 'sales');
+  assert.deepEqual(numbers, ['+15551230001']);
+  assert.equal(persona.profile, 'sales');
+  assert.equal(persona.voice, 'shimmer');
+  assert.equal(persona.language, 'fr');
+  assert.deepEqual(persona.tools, ['get_current_time']);
+  assert.equal(persona.backend, 'cascaded');
+});
+
+test('reports every schema error in a profile', () => {
+  const text = JSON.stringify({ voice: 'robot', numbers: ['555'], tools: ['launch_rockets'], extract: { intent: 'text' }, backend: 'psychic', colour: 'blue' });
+  assert.throws(() => parseProfile(text, 'bad.json', { toolNames: TOOL_NAMES }), (error) => {
+    assert.ok(error instanceof ProfileError);
+    assert.equal(error.file, 'bad.json');
+    assert.equal(error.errors.length, 6);
+    assert.match(error.message, /unknown field "colour"/);
+    return true;
+  });
+});
+
+test('picks profiles by name and number, and reloads edited files', async () => {
+  tempDir();
+  const file = path.join(dir, 'support.json');
+  fs.writeFileSync(file, JSON.stringify({ numbers: ['+15551230001'], voice: 'alloy' }));
+  store = createProfileStore({ dir, toolNames: TOOL_NAMES });
+
+  assert.equal(store.get('support').voice, 'alloy');
+  assert.equal(store.forNumber('+15551230001').profile, 'support');
+  assert.equal(store.forNumber('+15559999999'), null);
+
+  fs.writeFileSync(file, JSON.stringify({ numbers: ['+15551230001'], voice: 'echo' }));
+  await waitFor(() => store.get('support').voice === 'echo', { what: 'the edited profile' });
+});
+
+test('keeps the last good version of a profile that becomes invalid', async () => {
+  tempDir();
+  const file = path.join(dir, 'support.json');
+  fs.writeFileSync(file, JSON.stringify({ voice: 'alloy' }));
+  store = createProfileStore({ dir, watch: false });
+
+  fs.writeFileSync(file, JSON.stringify({ voice: 'alloy', temperature: 5 }));
+  store.reload();
+  assert.equal(store.get('support').voice, 'alloy');
+  assert.equal(store.errors().length, 1);
+  assert.equal(store.errors()[0].file, 'support.json');
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createCallRecorder, createRecordingStore, encodeMixedWav, encodeStereoWav } from '../lib/recording.js';
+import { ULAW_SILENCE } from '../lib/g711.js';
+
+// `ms` of u-law audio (8 bytes per ms) as a media payload
+const frame = (ms, byte = 0x00) => Buffer.alloc(ms * 8, byte).toString('base64');
+
+test('lines both sides of the call up on Twilio\'s clock', () => {
+  const recorder = createCallRecorder();
+  recorder.callerAudio('20', frame(20));
+  // Agent chunks queue up behind each other, however fast they were sent
+  recorder.agentAudio('0', frame(10));
+  recorder.agentAudio('5', frame(10));
+  // The caller cut in at 15 ms; the rest of the queued reply was never heard
+  recorder.agentCleared('15');
+
+  const { caller, agent } = recorder.tracks();
+  assert.equal(caller.length, 40 * 8);
+  assert.equal(caller[20 * 8 - 1], ULAW_SILENCE);
+  assert.equal(caller[20 * 8], 0x00);
+  assert.equal(agent.length, 15 * 8);
+  assert.equal(recorder.durationMs, 40);
+
+  // After a clear the next chunk starts where Twilio's clock is, not after the dropped audio
+  recorder.agentAudio('30', frame(10));
+  assert.equal(recorder.tracks().agent.length, 40 * 8);
+});
+
+test('encodes 16-bit PCM WAV files, stereo or mixed', () => {
+  const tracks = { caller: Buffer.alloc(8, 0x00), agent: Buffer.alloc(4, ULAW_SILENCE) };
+  const stereo = encodeStereoWav(tracks);
+  assert.equal(stereo.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(stereo.toString('ascii', 8, 12), 'WAVE');
+  assert.equal(stereo.readUInt16LE(22), 2);      // channels
+  assert.equal(stereo.readUInt32LE(24), 8000);   // sample rate
+  assert.equal(stereo.readUInt32LE(40), 8 * 4);  // data length
+  assert.equal(stereo.length, 44 + 8 * 4);
+  assert.notEqual(stereo.readInt16LE(44), 0);    // caller, left
+  assert.equal(stereo.readInt16LE(46), 0);       // agent, right
+
+  const mixed = encodeMixedWav(tracks);
+  assert.equal(mixed.readUInt16LE(22), 1);
+  assert.equal(mixed.length, 44 + 8 * 2);
+  assert.equal(mixed.readInt16LE(44), stereo.readInt16LE(44));
+});
+
+test('saves recordings to disk and prunes the expired ones', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  try {
+    const store = createRecordingStore({ dir: path.join(dir, 'calls'), retentionDays: 1, mixed: true });
+    assert.equal(await store.prune(), 0); // no directory yet
+    assert.equal(await store.save('CA0', createCallRecorder()), null);
+
+    const recorder = createCallRecorder();
+    recorder.callerAudio('0', frame(20));
+    const saved = await store.save('CA1', recorder);
+    assert.equal(saved.path, path.join(dir, 'calls', 'CA1.wav'));
+    assert.equal(saved.mixedPath, path.join(dir, 'calls', 'CA1.mixed.wav'));
+    assert.equal(saved.durationMs, 20);
+    assert.equal(fs.statSync(saved.path).size, 44 + 20 * 8 * 4);
+
+    const old = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(saved.mixedPath, old, old);
+    assert.equal(await store.prune(), 1);
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'calls')), ['CA1.wav']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeTwilioSignature,
+  isValidTwilioSignature,
+  createStreamToken,
+  verifyStreamToken,
+  createTwilioSecurity,
+} from '../lib/security.js';
+
+// The example from Twilio's webhook security docs
+const DOCS_URL = 'https://mycompany.com/myapp.php?foo=1&bar=2';
+const DOCS_PARAMS = { CallSid: 'CA1234567890ABCDE', Caller: '+12349013030', Digits: '1234', From: '+12349013030', To: '+18005551212' };
+const DOCS_SIGNATURE = '0/KCTR6DLpKmkAf8muzZqo1nDgQ=';
+
+// Just enough of a Fastify reply for a preHandler
+function fakeReply() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+test('signs webhooks the way Twilio does and rejects anything else', () => {
+  assert.equal(computeTwilioSignature('12345', DOCS_URL, DOCS_PARAMS), DOCS_SIGNATURE);
+  assert.equal(isValidTwilioSignature('12345', DOCS_SIGNATURE, DOCS_URL, DOCS_PARAMS), true);
+
+  assert.equal(isValidTwilioSignature('12345', undefined, DOCS_URL, DOCS_PARAMS), false);
+  assert.equal(isValidTwilioSignature('wrong-token', DOCS_SIGNATURE, DOCS_URL, DOCS_PARAMS), false);
+  assert.equal(isValidTwilioSignature('12345', DOCS_SIGNATURE, DOCS_URL.replace('foo=1', 'foo=2'), DOCS_PARAMS), false);
+  assert.equal(isValidTwilioSignature('12345', DOCS_SIGNATURE, DOCS_URL, { ...DOCS_PARAMS, Digits: '9999' }), false);
+  assert.equal(isValidTwilioSignature('12345', DOCS_SIGNATURE.slice(1), DOCS_URL, DOCS_PARAMS), false);
+});
+
+test('only lets signed webhooks through to the routes Twilio calls', async () => {
+  const security = createTwilioSecurity({ authToken: 'secret', publicBaseUrl: 'https://example.test/' });
+  const request = (signature, body = { CallSid: 'CA1' }) => ({
+    method: 'POST',
+    url: '/call-status?attempt=1',
+    body,
+    headers: { host: 'localhost:5050', 'x-twilio-signature': signature },
+    ip: '127.0.0.1',
+  });
+  const signature = computeTwilioSignature('secret', 'https://example.test/call-status?attempt=1', { CallSid: 'CA1' });
+
+  const accepted = fakeReply();
+  await security.requireTwilioSignature(request(signature), accepted);
+  assert.equal(accepted.statusCode, null);
+
+  for (const rejected of [request(undefined), request('bogus'), request(signature, { CallSid: 'CA2' })]) {
+    const reply = fakeReply();
+    await security.requireTwilioSignature(rejected, reply);
+    assert.equal(reply.statusCode, 403);
+  }
+});
+
+test('works out the public URL from the forwarded headers when none is configured', () => {
+  const security = createTwilioSecurity({ authToken: 'secret' });
+  const request = { headers: { host: 'localhost:5050', 'x-forwarded-proto': 'https, http', 'x-forwarded-host': 'abc.ngrok.app' } };
+  assert.equal(security.baseUrl(request), 'https://abc.ngrok.app');
+  assert.equal(security.websocketUrl(request, '/media-stream'), 'wss://abc.ngrok.app/media-stream');
+});
+
+test('ties stream tokens to one call and rejects expired or tampered ones', () => {
+  const token = createStreamToken('secret', 'CA1');
+  assert.deepEqual(verifyStreamToken('secret', token, 'CA1'), { valid: true });
+
+  assert.equal(verifyStreamToken('secret', '', 'CA1').reason, 'missing stream token');
+  assert.equal(verifyStreamToken('secret', 'CA1.123', 'CA1').reason, 'malformed stream token');
+  assert.equal(verifyStreamToken('other-secret', token, 'CA1').reason, 'bad stream token signature');
+  assert.equal(verifyStreamToken('secret', token, 'CA2').reason, 'stream token is for call CA1');
+
+  // Another call's SID or a later expiry invalidates the signature
+  const [callSid, expires, signature] = token.split('.');
+  assert.equal(verifyStreamToken('secret', `CA2.${expires}.${signature}`, 'CA2').reason, 'bad stream token signature');
+  assert.equal(verifyStreamToken('secret', `${callSid}.${Number(expires) + 3600}.${signature}`, 'CA1').reason, 'bad stream token signature');
+
+  const expired = createStreamToken('secret', 'CA1', -1);
+  assert.equal(verifyStreamToken('secret', expired, 'CA1').reason, 'stream token expired');
+});
+
+test('checks the token of each media stream unless validation is off', () => {
+  const security = createTwilioSecurity({ authToken: 'auth', streamSecret: 'stream-secret' });
+  const token = security.streamToken('CA1');
+  assert.deepEqual(verifyStreamToken('stream-secret', token, 'CA1'), { valid: true });
+  assert.deepEqual(security.authorizeStream({ callSid: 'CA1', customParameters: { token } }), { valid: true });
+  assert.equal(security.authorizeStream({ callSid: 'CA1', customParameters: {} }).valid, false);
+
+  const open = createTwilioSecurity({ authToken: 'auth', validate: false });
+  assert.equal(open.streamToken('CA1'), '');
+  assert.deepEqual(open.authorizeStream({ callSid: 'CA1' }), { valid: true });
+});
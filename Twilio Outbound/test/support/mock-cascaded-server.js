@@ -0,0 +1,82 @@
+///////////////////////////////////////////
+// A local stand-in for the cascaded backend's HTTP stages
+///////////////////////////////////////////
+// Serves OpenAI-shaped speech-to-text, chat completion and text-to-speech endpoints on one
+// port. A test queues what each stage answers; every request is recorded.
+import http from 'node:http';
+import { waitFor } from './wait.js';
+
+// 200 ms of 24 kHz 16-bit PCM, sent in two pieces like a streamed response
+const SPEECH = Buffer.alloc(9600, 0);
+
+// Resolves once listening; `urls` are the stage URLs for createCascadedBackend
+export async function startMockCascadedServer({ port = 0 } = {}) {
+  const requests = { stt: [], llm: [], tts: [] };
+  const transcripts = []; // texts the next transcriptions return, oldest first
+  const replies = [];     // chat messages the next completions return, e.g. { content } or { tool_calls }
+
+  const read = (request) => new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+
+  const server = http.createServer(async (request, response) => {
+    const body = await read(request);
+    const json = (data) => {
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(data));
+    };
+
+    switch (request.url) {
+      case '/v1/audio/transcriptions':
+        requests.stt.push({ headers: request.headers, body });
+        json({ text: transcripts.shift() ?? '' });
+        break;
+
+      case '/v1/chat/completions':
+        requests.llm.push({ headers: request.headers, body: JSON.parse(body) });
+        json({
+          choices: [{ index: 0, message: { role: 'assistant', content: null, ...replies.shift() }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 12, completion_tokens: 5 },
+        });
+        break;
+
+      case '/v1/audio/speech':
+        requests.tts.push({ headers: request.headers, body: JSON.parse(body) });
+        response.writeHead(200, { 'Content-Type': 'audio/pcm' });
+        response.write(SPEECH.subarray(0, 4000));
+        response.end(SPEECH.subarray(4000));
+        break;
+
+      default:
+        response.writeHead(404);
+        response.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/v1`;
+
+  return {
+    urls: {
+      stt: `${base}/audio/transcriptions`,
+      llm: `${base}/chat/completions`,
+      tts: `${base}/audio/speech`,
+    },
+    requests,
+    transcripts,
+    replies,
+    speech: SPEECH,
+
+    // Resolves to the nth request (0-based) a stage has received
+    waitForRequest(stage, index = 0, timeoutMs) {
+      return waitFor(() => requests[stage][index], { timeoutMs, what: `${stage} request #${index + 1}` });
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
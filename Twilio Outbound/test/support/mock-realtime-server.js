@@ -0,0 +1,116 @@
+///////////////////////////////////////////
+// A local stand-in for the OpenAI Realtime WebSocket API
+///////////////////////////////////////////
+// Answers session.update with session.updated like the real service (unless told to leave that
+// to the test), records everything it receives, and lets a test script the rest: audio deltas,
+// VAD events, function calls.
+import { WebSocketServer } from 'ws';
+import { waitFor } from './wait.js';
+
+// One OpenAI session, i.e. one WebSocket connection from the bridge
+function createSession(ws, request, { confirmSessions }) {
+  const received = [];
+  let responseCount = 0;
+
+  const send = (event) => ws.send(JSON.stringify(event));
+
+  ws.on('message', (raw) => {
+    const event = JSON.parse(raw);
+    received.push(event);
+    if (event.type === 'session.update' && confirmSessions) {
+      send({ type: 'session.updated', session: event.session });
+    }
+  });
+
+  const closed = new Promise((resolve) => ws.on('close', resolve));
+
+  return {
+    request,
+    url: new URL(request.url, 'ws://localhost'),
+    headers: request.headers,
+    received,
+    closed,
+    send,
+
+    // Events of one type the bridge has sent so far
+    sent(type) {
+      return received.filter((event) => event.type === type);
+    },
+
+    // Resolves to the first received event matching a type or predicate
+    waitFor(match, timeoutMs) {
+      const test = typeof match === 'function' ? match : (event) => event.type === match;
+      return waitFor(() => received.find(test), { timeoutMs, what: `OpenAI event ${match}` });
+    },
+
+    // Confirm the latest session.update, for a server started with confirmSessions: false
+    sessionUpdated() {
+      send({ type: 'session.updated', session: this.sent('session.update').at(-1)?.session });
+    },
+
+    // A chunk of the assistant's reply; payload is base64 G.711 u-law
+    audioDelta(itemId, payload) {
+      send({ type: 'response.audio.delta', response_id: `resp_${responseCount}`, item_id: itemId, output_index: 0, content_index: 0, delta: payload });
+    },
+
+    speechStarted(itemId, audioStartMs = 0) {
+      send({ type: 'input_audio_buffer.speech_started', item_id: itemId, audio_start_ms: audioStartMs });
+    },
+
+    speechStopped(itemId, audioEndMs = 0) {
+      send({ type: 'input_audio_buffer.speech_stopped', item_id: itemId, audio_end_ms: audioEndMs });
+    },
+
+    // Whisper's transcription of something the caller said
+    callerTranscript(itemId, text) {
+      send({ type: 'conversation.item.input_audio_transcription.completed', item_id: itemId, content_index: 0, transcript: text });
+    },
+
+    responseCreated() {
+      send({ type: 'response.created', response: { id: `resp_${++responseCount}`, status: 'in_progress' } });
+    },
+
+    responseDone(usage = null) {
+      send({ type: 'response.done', response: { id: `resp_${responseCount}`, status: 'completed', usage } });
+    },
+
+    // A whole response that does nothing but call one function
+    functionCall(name, args = {}, callId = `call_${name}`) {
+      this.responseCreated();
+      send({ type: 'response.function_call_arguments.done', call_id: callId, name, arguments: JSON.stringify(args) });
+      this.responseDone();
+    },
+
+    close() {
+      ws.close();
+    },
+  };
+}
+
+// Resolves once listening; `url` is what OPENAI_REALTIME_URL should be set to
+export async function startMockRealtimeServer({ port = 0, confirmSessions = true } = {}) {
+  const server = new WebSocketServer({ port, host: '127.0.0.1' });
+  await new Promise((resolve) => server.once('listening', resolve));
+  const sessions = [];
+
+  server.on('connection', (ws, request) => {
+    sessions.push(createSession(ws, request, { confirmSessions }));
+  });
+
+  return {
+    url: `ws://127.0.0.1:${server.address().port}/v1/realtime`,
+    sessions,
+
+    // Resolves to the nth session (0-based) once the bridge has connected
+    waitForSession(index = 0, timeoutMs) {
+      return waitFor(() => sessions[index], { timeoutMs, what: `OpenAI session #${index + 1}` });
+    },
+
+    close() {
+      for (const client of server.clients) {
+        client.terminate();
+      }
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,60 @@
+// Runs one of the server entry points (index.js, the agent, ...) as a child process
+import { spawn } from 'node:child_process';
+import net from 'node:net';
+import path from 'node:path';
+import { waitFor } from './wait.js';
+
+async function freePort() {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+// Resolves once the server logs that it is listening. `env` is added to a minimal
+// environment, so a developer's .env or shell variables can't leak into the test.
+export async function startServer(entry, { env = {}, timeoutMs = 10000 } = {}) {
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, [path.basename(entry)], {
+    cwd: path.dirname(entry),
+    env: { PATH: process.env.PATH, PORT: String(port), PUBLIC_BASE_URL: baseUrl, ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let output = '';
+  child.stdout.on('data', (data) => { output += data; });
+  child.stderr.on('data', (data) => { output += data; });
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+
+  try {
+    await waitFor(() => {
+      if (child.exitCode !== null) {
+        throw new Error(`${entry} exited with code ${child.exitCode}:\n${output}`);
+      }
+      return output.includes('Server is listening');
+    }, { timeoutMs, what: `${entry} to listen` });
+  } catch (error) {
+    child.kill();
+    throw error;
+  }
+
+  return {
+    port,
+    baseUrl,
+    websocketUrl: (pathname) => `ws://127.0.0.1:${port}${pathname}`,
+    output: () => output,
+    // Resolves to the exit code
+    exited,
+    signal(name) {
+      child.kill(name);
+    },
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill();
+        await exited;
+      }
+    },
+  };
+}
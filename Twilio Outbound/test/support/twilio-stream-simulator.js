@@ -0,0 +1,151 @@
+///////////////////////////////////////////
+// A simulated Twilio Media Streams client
+///////////////////////////////////////////
+// Connects to a /media-stream endpoint and speaks Twilio's side of the protocol:
+// start, media (from a WAV file), mark, dtmf and stop. Everything the server sends
+// back (media, mark, clear) is collected in `messages`.
+import fs from 'node:fs';
+import WebSocket from 'ws';
+import { linearToUlaw } from '../../lib/g711.js';
+import { waitFor } from './wait.js';
+
+// Twilio sends 20 ms frames of 8 kHz u-law, i.e. 160 bytes
+export const FRAME_BYTES = 160;
+const FRAME_MS = 20;
+
+// The audio of a mono 8 kHz WAV file as u-law bytes; accepts 16-bit PCM or u-law data
+export function readWavAsUlaw(file) {
+  const wav = Buffer.isBuffer(file) ? file : fs.readFileSync(file);
+  if (wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+  let format = null;
+  for (let offset = 12; offset + 8 <= wav.length;) {
+    const id = wav.toString('ascii', offset, offset + 4);
+    const size = wav.readUInt32LE(offset + 4);
+    const body = wav.subarray(offset + 8, offset + 8 + size);
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: body.readUInt16LE(0),
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        bitsPerSample: body.readUInt16LE(14),
+      };
+    } else if (id === 'data') {
+      if (!format || format.channels !== 1 || format.sampleRate !== 8000) {
+        throw new Error('Expected a mono 8 kHz WAV file');
+      }
+      if (format.audioFormat === 7) {
+        return Buffer.from(body);
+      }
+      if (format.audioFormat === 1 && format.bitsPerSample === 16) {
+        const ulaw = Buffer.alloc(body.length / 2);
+        for (let i = 0; i < ulaw.length; i++) {
+          ulaw[i] = linearToUlaw(body.readInt16LE(i * 2));
+        }
+        return ulaw;
+      }
+      throw new Error(`Unsupported WAV encoding ${format.audioFormat}/${format.bitsPerSample}-bit`);
+    }
+    offset += 8 + size + (size % 2);
+  }
+  throw new Error('WAV file has no data chunk');
+}
+
+// Resolves once connected. customParameters become the <Stream> <Parameter>s, e.g. { token }.
+export async function connectTwilioStream(url, {
+  callSid = 'CA00000000000000000000000000000001',
+  streamSid = 'MZ00000000000000000000000000000001',
+  accountSid = 'AC00000000000000000000000000000000',
+  customParameters = {},
+} = {}) {
+  const ws = new WebSocket(url);
+  const messages = [];
+  let sequenceNumber = 0;
+  let timestamp = 0;
+  let chunk = 0;
+
+  const closed = new Promise((resolve) => {
+    ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() }));
+  });
+  ws.on('message', (raw) => messages.push(JSON.parse(raw)));
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+
+  const send = (event, fields = {}) => {
+    ws.send(JSON.stringify({ event, sequenceNumber: String(++sequenceNumber), streamSid, ...fields }));
+  };
+
+  return {
+    callSid,
+    streamSid,
+    messages,
+    closed,
+
+    // Messages of one event type the server has sent
+    received(event) {
+      return messages.filter((message) => message.event === event);
+    },
+
+    waitFor(match, timeoutMs) {
+      const test = typeof match === 'function' ? match : (message) => message.event === match;
+      return waitFor(() => messages.find(test), { timeoutMs, what: `Twilio message ${match}` });
+    },
+
+    start() {
+      send('start', {
+        start: {
+          accountSid,
+          callSid,
+          streamSid,
+          tracks: ['inbound'],
+          customParameters,
+          mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+        },
+      });
+    },
+
+    // One frame of caller audio; payload is base64 u-law
+    media(payload) {
+      send('media', {
+        media: { track: 'inbound', chunk: String(++chunk), timestamp: String(timestamp), payload },
+      });
+      timestamp += FRAME_MS;
+    },
+
+    // Send a WAV file as 20 ms frames; paceMs > 0 waits between frames like a real call.
+    // Resolves to the number of frames sent.
+    async streamWav(file, { paceMs = 0 } = {}) {
+      const audio = readWavAsUlaw(file);
+      let frames = 0;
+      for (let offset = 0; offset < audio.length; offset += FRAME_BYTES) {
+        this.media(audio.subarray(offset, offset + FRAME_BYTES).toString('base64'));
+        frames++;
+        if (paceMs) {
+          await new Promise((resolve) => setTimeout(resolve, paceMs));
+        }
+      }
+      return frames;
+    },
+
+    // Twilio echoes a mark back once the audio before it has played
+    mark(name) {
+      send('mark', { mark: { name } });
+    },
+
+    dtmf(digit) {
+      send('dtmf', { dtmf: { track: 'inbound_track', digit } });
+    },
+
+    stop() {
+      send('stop', { stop: { accountSid, callSid } });
+    },
+
+    close() {
+      ws.close();
+      return closed;
+    },
+  };
+}
@@ -0,0 +1,21 @@
+// Polls `check` (which may be async) until it returns something truthy, which the promise
+// resolves to; rejects on timeout or when `check` throws
+export function waitFor(check, { timeoutMs = 2000, intervalMs = 10, what = 'condition' } = {}) {
+  return new Promise((resolve, reject) => {
+    const deadline = Date.now() + timeoutMs;
+    const poll = () => {
+      Promise.resolve()
+        .then(check)
+        .then((result) => {
+          if (result) {
+            resolve(result);
+          } else if (Date.now() > deadline) {
+            reject(new Error(`Timed out after ${timeoutMs} ms waiting for ${what}`));
+          } else {
+            setTimeout(poll, intervalMs);
+          }
+        }, reject);
+    };
+    poll();
+  });
+}
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTranscript, renderTranscript, toSrt, toWebVtt } from '../lib/transcript.js';
+
+// Caller asks, the assistant answers and gets cut off 1.2 s in
+function sampleTranscript() {
+  const transcript = createTranscript();
+  transcript.callerSpeechStarted('item_1', 500);
+  transcript.callerSpeechStopped('item_1', 2000);
+  transcript.callerTranscribed('item_1', '  When do you open?  ');
+  transcript.assistantAudio('item_2', 2500, 1000);
+  transcript.assistantAudio('item_2', 2600, 1000);
+  transcript.assistantTranscribed('item_2', 'We open at nine, and on weekends');
+  transcript.assistantTruncated('item_2', 1200);
+  transcript.assistantAudio('item_2', 2700, 1000); // queued audio that was never heard
+  // Speech that was never transcribed is left out
+  transcript.callerSpeechStarted('item_3', 4000);
+  return transcript;
+}
+
+test('puts both sides of the call in order, with what was actually heard', () => {
+  assert.deepEqual(sampleTranscript().entries(), [
+    { speaker: 'Caller', start: 500, end: 2000, text: 'When do you open?', truncated: false },
+    { speaker: 'Assistant', start: 2500, end: 3700, text: 'We open at nine, and on weekends', truncated: true },
+  ]);
+  assert.deepEqual(JSON.parse(renderTranscript(sampleTranscript().entries()).body), { entries: sampleTranscript().entries() });
+});
+
+test('renders WebVTT and SRT cues', () => {
+  const entries = sampleTranscript().entries();
+  assert.equal(toWebVtt(entries), [
+    'WEBVTT',
+    '',
+    '1',
+    '00:00:00.500 --> 00:00:02.000',
+    '<v Caller>When do you open?',
+    '',
+    '2',
+    '00:00:02.500 --> 00:00:03.700',
+    '<v Assistant>We open at nine, and on weekends',
+    '',
+  ].join('\n'));
+  assert.equal(toSrt([{ ...entries[0], start: 3723004, end: 3724000 }]), [
+    '1',
+    '01:02:03,004 --> 01:02:04,000',
+    'Caller: When do you open?',
+    '',
+  ].join('\n'));
+  assert.equal(renderTranscript(entries, 'srt').contentType, 'application/x-subrip; charset=utf-8');
+});
+
+test('keeps what callers say from being read as WebVTT markup or ending a cue', () => {
+  const entries = [
+    { speaker: 'Caller', start: 0, end: 1500, text: 'I said <b>no</b> & --> goodbye\n\n2\n00:00:00.000 --> 00:00:09.000' },
+  ];
+  assert.equal(toWebVtt(entries), [
+    'WEBVTT',
+    '',
+    '1',
+    '00:00:00.000 --> 00:00:01.500',
+    '<v Caller>I said &lt;b&gt;no&lt;/b&gt; &amp; --&gt; goodbye 2 00:00:00.000 --&gt; 00:00:09.000',
+    '',
+  ].join('\n'));
+  assert.equal(toSrt(entries).split('\n\n').length, 1);
+  assert.equal(renderTranscript(entries, 'vtt').contentType, 'text/vtt; charset=utf-8');
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTransferService } from '../lib/transfer.js';
+
+const BASE_URL = 'https://example.test';
+
+// A Twilio REST client that records the TwiML calls were redirected to
+function fakeClient({ fail = false } = {}) {
+  const updates = [];
+  return {
+    updates,
+    calls: (callSid) => ({
+      async update({ twiml }) {
+        if (fail) throw new Error('Call is not in-progress');
+        updates.push({ callSid, twiml });
+      },
+    }),
+  };
+}
+
+test('redirects the call to the target and whispers the summary to whoever answers', async () => {
+  const client = fakeClient();
+  const transfers = createTransferService({ client, ringTimeout: 15 });
+  const record = await transfers.transfer({
+    callSid: 'CA1', baseUrl: BASE_URL, target: '+15550009999', reason: 'Billing & refunds', summary: 'Wants a refund',
+  });
+  assert.equal(record.status, 'dialing');
+  assert.match(client.updates[0].twiml, /<Dial timeout="15" action="https:\/\/example\.test\/transfer\/result\?callSid=CA1">/);
+  assert.match(client.updates[0].twiml, /<Number url="https:\/\/example\.test\/transfer\/whisper\?callSid=CA1">\+15550009999<\/Number>/);
+  assert.match(transfers.whisperTwiml('CA1'), /Wants a refund Reason for transfer: Billing &amp; refunds\./);
+
+  await assert.rejects(transfers.transfer({ callSid: 'CA2', baseUrl: BASE_URL, target: 'nobody' }), /No transfer target/);
+  await assert.rejects(createTransferService({ client: null }).transfer({ callSid: 'CA2', target: '+15550009999' }), /REST credentials/);
+});
+
+test('forgets a transfer once its dial ends, the call ends or the redirect fails', async () => {
+  const transfers = createTransferService({ client: fakeClient() });
+  const transfer = (callSid) => transfers.transfer({ callSid, baseUrl: BASE_URL, target: '+15550009999' });
+
+  const connected = await transfer('CA1');
+  assert.match(transfers.dialResultTwiml('CA1', 'completed', { baseUrl: BASE_URL }), /<Hangup \/>/);
+  assert.equal(connected.status, 'connected');
+  assert.equal(transfers.get('CA1'), null);
+
+  await transfer('CA2');
+  transfers.handleCallStatus({ sid: 'CA2', status: 'in-progress' });
+  assert.equal(transfers.get('CA2').status, 'dialing');
+  transfers.handleCallStatus({ sid: 'CA2', status: 'completed' });
+  assert.equal(transfers.get('CA2'), null);
+
+  const failing = createTransferService({ client: fakeClient({ fail: true }) });
+  await assert.rejects(failing.transfer({ callSid: 'CA3', baseUrl: BASE_URL, target: '+15550009999' }), /not in-progress/);
+  assert.equal(failing.get('CA3'), null);
+});
+
+test('records a voicemail when nobody takes the transfer and reports it', async () => {
+  const voicemails = [];
+  const transfers = createTransferService({
+    client: fakeClient(),
+    onVoicemail: (callSid, voicemail) => voicemails.push({ callSid, ...voicemail }),
+  });
+  const record = await transfers.transfer({ callSid: 'CA1', baseUrl: BASE_URL, target: 'sip:desk@example.test' });
+
+  const twiml = transfers.dialResultTwiml('CA1', 'no-answer', { baseUrl: BASE_URL });
+  assert.equal(record.status, 'voicemail');
+  assert.match(twiml, /<Record [^>]*recordingStatusCallback="https:\/\/example\.test\/transfer\/voicemail\?callSid=CA1"/);
+
+  transfers.voicemailRecorded('CA1', { RecordingSid: 'RE1', RecordingUrl: 'https://api.twilio.test/RE1', RecordingDuration: '12', RecordingStatus: 'completed' });
+  assert.equal(transfers.voicemailRecorded('CA1', { RecordingSid: 'RE2', RecordingStatus: 'failed' }), null);
+  assert.deepEqual(voicemails, [{ callSid: 'CA1', sid: 'RE1', url: 'https://api.twilio.test/RE1', duration: 12 }]);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVoicemailDrop, isMachine, machineDetectionParams } from '../lib/voicemail.js';
+
+const PERSONA = { voice: 'alloy', voicemailMessage: 'Hi, this is Acme & Co. Please call us back.' };
+
+// A Twilio REST client that records how calls were updated
+function fakeClient() {
+  const updates = [];
+  return {
+    updates,
+    calls: (callSid) => ({
+      async update(params) {
+        updates.push({ callSid, ...params });
+      },
+    }),
+  };
+}
+
+test('tells machines from people and asks Twilio to listen for them', () => {
+  assert.equal(isMachine('machine_end_beep'), true);
+  assert.equal(isMachine('fax'), true);
+  assert.equal(isMachine('human'), false);
+  assert.equal(isMachine('unknown'), false);
+  assert.equal(isMachine(undefined), false);
+
+  const params = machineDetectionParams('https://example.test');
+  assert.equal(params.asyncAmd, 'true');
+  assert.equal(params.asyncAmdStatusCallback, 'https://example.test/amd-status');
+});
+
+test('holds the stream until Twilio says a person answered', async () => {
+  const voicemail = createVoicemailDrop({ client: fakeClient() });
+  assert.equal(await voicemail.waitForHuman('CA0'), true); // placed without AMD
+
+  voicemail.expect('CA1');
+  let answered = null;
+  voicemail.waitForHuman('CA1').then((isHuman) => { answered = isHuman; });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(answered, null);
+
+  assert.equal(await voicemail.handleResult({ CallSid: 'CA1', AnsweredBy: 'human' }, { persona: PERSONA }), null);
+  assert.equal(answered, true);
+});
+
+test('leaves the persona\'s message on a machine and hangs up on a fax', async () => {
+  const client = fakeClient();
+  const voicemail = createVoicemailDrop({ client });
+  voicemail.expect('CA1');
+  const waiting = voicemail.waitForHuman('CA1');
+
+  const left = await voicemail.handleResult({ CallSid: 'CA1', AnsweredBy: 'machine_end_beep' }, { persona: PERSONA, baseUrl: 'https://example.test' });
+  assert.equal(await waiting, false);
+  assert.equal(left.status, 'left');
+  assert.equal(left.message, PERSONA.voicemailMessage);
+  assert.equal(client.updates[0].twiml, '<Response><Say>Hi, this is Acme &amp; Co. Please call us back.</Say><Hangup /></Response>');
+
+  const skipped = await voicemail.handleResult({ CallSid: 'CA2', AnsweredBy: 'fax' }, { persona: PERSONA });
+  assert.equal(skipped.status, 'skipped');
+  assert.deepEqual(client.updates[1], { callSid: 'CA2', status: 'completed' });
+  assert.equal(voicemail.audio('missing'), null);
+});
@@ -0,0 +1,24 @@
+// Lets the caller type a PIN or account number that only the server-side validator sees.
+// Needs `collectDigits` in the tool context (see lib/dtmf.js).
+export default {
+  name: 'collect_digits_securely',
+  description: 'Securely collect a fixed-length number, such as a PIN or account number, typed on the caller\'s keypad. First ask the caller to enter it on their keypad, then call this. You will not see the digits, only whether they were accepted.',
+  parameters: {
+    type: 'object',
+    properties: {
+      purpose: {
+        type: 'string',
+        description: 'What is being collected, e.g. "pin" or "account_number".',
+      },
+    },
+    required: ['purpose'],
+  },
+  // The caller needs time to find their card and type
+  timeoutMs: 45000,
+  async handler({ purpose }, { collectDigits }) {
+    if (!collectDigits) {
+      throw new Error('Keypad entry is not available on this line');
+    }
+    return collectDigits({ purpose });
+  },
+};
@@ -0,0 +1,19 @@
+// Lets the agent answer "what time is it?" for any timezone
+export default {
+  name: 'get_current_time',
+  description: 'Get the current date and time, optionally in a given IANA timezone such as "America/New_York".',
+  parameters: {
+    type: 'object',
+    properties: {
+      timezone: {
+        type: 'string',
+        description: 'IANA timezone name. Defaults to UTC.',
+      },
+    },
+  },
+  async handler({ timezone = 'UTC' }) {
+    const now = new Date();
+    const local = now.toLocaleString('en-US', { timeZone: timezone, dateStyle: 'full', timeStyle: 'short' });
+    return { timezone, local, iso: now.toISOString() };
+  },
+};
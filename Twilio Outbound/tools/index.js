@@ -0,0 +1,15 @@
+///////////////////////////////////////////
+// Tools available to the realtime agent
+///////////////////////////////////////////
+// Add a tool by creating a module in this folder and listing it here.
+import getCurrentTime from './get-current-time.js';
+import transferToHuman from './transfer-to-human.js';
+import collectDigitsSecurely from './collect-digits-securely.js';
+import scheduleCallback from './schedule-callback.js';
+
+export default [
+  getCurrentTime,
+  transferToHuman,
+  collectDigitsSecurely,
+  scheduleCallback,
+];
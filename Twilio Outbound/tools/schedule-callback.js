@@ -0,0 +1,40 @@
+// Books a call back to the caller at a time they choose, placed by the server's scheduler.
+// Needs `scheduleCallback` in the tool context (see lib/callbacks.js).
+export default {
+  name: 'schedule_callback',
+  description: 'Schedule a call back to the caller at a time they ask for, e.g. "call me back tomorrow at 3". Confirm the day, time and their timezone with the caller first; use get_current_time to work out dates like "tomorrow". The callback goes to the number they are on now.',
+  parameters: {
+    type: 'object',
+    properties: {
+      time: {
+        type: 'string',
+        description: 'Local date and time of the callback in the caller\'s timezone, as YYYY-MM-DDTHH:MM, e.g. "2024-05-02T15:00".',
+      },
+      timezone: {
+        type: 'string',
+        description: 'The caller\'s IANA timezone, e.g. "America/New_York".',
+      },
+      reason: {
+        type: 'string',
+        description: 'Why the caller wants to be called back, in a few words.',
+      },
+      summary: {
+        type: 'string',
+        description: 'Two or three sentences on this conversation so far, for whoever makes the callback.',
+      },
+    },
+    required: ['time', 'timezone', 'reason', 'summary'],
+  },
+  async handler({ time, timezone, reason, summary }, { callSid, caller, scheduleCallback }) {
+    if (!scheduleCallback) {
+      throw new Error('Callbacks are not available on this line');
+    }
+    const callback = await scheduleCallback({ callSid, caller, time, timezone, reason, summary });
+    return {
+      status: 'scheduled',
+      callbackId: callback.id,
+      when: callback.localTime,
+      note: 'Tell the caller when you will call them back.',
+    };
+  },
+};
@@ -0,0 +1,31 @@
+// Hands the caller to a person, with a whisper summary for whoever picks up.
+// Needs `transferCall` in the tool context (see lib/transfer.js).
+export default {
+  name: 'transfer_to_human',
+  description: 'Transfer the caller to a human agent. Use this when the caller asks for a person, or when you cannot help them yourself. Tell the caller you are transferring them before calling this.',
+  parameters: {
+    type: 'object',
+    properties: {
+      reason: {
+        type: 'string',
+        description: 'Why the call is being transferred, in a few words.',
+      },
+      summary: {
+        type: 'string',
+        description: 'Two or three sentences for the human agent: who the caller is, what they want and what has been tried so far.',
+      },
+    },
+    required: ['reason', 'summary'],
+  },
+  async handler({ reason, summary }, { callSid, transcript, transferCall }) {
+    if (!transferCall) {
+      throw new Error('Transfers are not available on this line');
+    }
+    const transfer = await transferCall({ callSid, reason, summary, transcript });
+    return {
+      status: 'transferring',
+      target: transfer.target,
+      note: 'The caller is being connected to a human now. Do not say anything else.',
+    };
+  },
+};
@@ -1,176 +1,322 @@
-import WebSocket from "ws";
-import dotenv from "dotenv";
-import Fastify from "fastify";
-import fastifyFormBody from "@fastify/formbody";
-import fastifyWs from "@fastify/websocket";
-
-dotenv.config();
-
-const { OPENAI_API_KEY } = process.env;
-if (!OPENAI_API_KEY) {
-  console.error('Missing OpenAI API key. Please set it in the .env file.');
-  process.exit(1);
-}
-
-const fastify = Fastify();
-fastify.register(fastifyFormBody);
-fastify.register(fastifyWs);
-
-const SYSTEM_MESSAGE = "You are a helpful and bubbly AI assistant who loves to chat about anything the user is interested in and is prepared to offer them facts. You have a penchant for dad jokes, owl jokes, and rickrolling subtly. Always stay positive, but work in a joke when appropriate.";
-
-const VOICE = 'alloy';
-
-const PORT = process.env.PORT || 5050;
-
-fastify.get('/', async (request, reply) => {
-  reply.send({ message: 'Twilio Media Stream Server is running!' });
-});
-
-fastify.all('/incoming-call', async (request, reply) => {
-  const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
-                           <Response>
-                             <Say>Please wait while we connect your call to the A.I. voice assistant, powered by Twilio and the OpenAI Realtime API.</Say>
-                             <Pause length="1" />
-                             <Say>O.K., you can start talking!</Say>
-                             <Connect>
-                             <Stream url="wss://${request.headers.host}/media-stream" />
-                             </Connect>
-                           </Response>`;
-
-  reply.type('text/xml').send(twimlResponse);
-});
-
-fastify.register(async (fastify) => {
-    fastify.get('/media-stream', { websocket: true }, (connection, req) => {
-      console.log("Client connected");
-  
-      const openAiWs = new WebSocket("wss://api.openai.com/v1/realtime?model=gpt-40-realtime-preview-2024-10-01", {
-        headers: {
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
-          "OpenAI-Beta": "realtime=v1",
-        },
-      });
-  
-      let streamSid = null;
-
-      const sendSessionUpdate = () => {
-        const sessionUpdate = {
-          type: "session.update",
-          session: {
-            turn_detection: { type: "server_vad" },
-            input_audio_format: "g711_ulaw",
-            output_audio_format: "g711_ulaw",
-            voice: VOICE,
-            instructions: SYSTEM_MESSAGE,
-            modalities: ["text", "audio"],
-            temperature: 0.8,
-          },
-        };
-      
-        console.log("Sending session update:", JSON.stringify(sessionUpdate));
-        openAiWs.send(JSON.stringify(sessionUpdate));
-      };
-
-      openAiWs.on("open", () => {
-        console.log("Connected to the OpenAI Realtime API");
-      
-        setTimeout(sendSessionUpdate, 1000); // Ensure connection stability, send after a second
-      });
-
-      openAiWs.on("message", (data) => {
-        try {
-          const response = JSON.parse(data);
-      
-          if (response.type === "session.updated") {
-            console.log("Session updated successfully:", response);
-          }
-      
-          if (response.type === "response.audio.delta" && response.delta) {
-            const audioDelta = {
-              event: "media",
-              streamSid: streamSid,
-              media: {
-                payload: Buffer.from(response.delta, "base64").toString("base64"),
-              },
-            };
-            connection.send(JSON.stringify(audioDelta));
-          }
-        } catch (error) {
-          console.error("Error processing OpenAI message:", error, "Raw message:", data);
-        }
-      });
-
-      openAiWs.on("message", (data) => {
-        try {
-          const response = JSON.parse(data);
-      
-          if (response.type === "session.updated") {
-            console.log("Session updated successfully:", response);
-          }
-      
-          if (response.type === "response.audio.delta" && response.delta) {
-            const audioDelta = {
-              event: "media",
-              streamSid: streamSid,
-              media: {
-                payload: Buffer.from(response.delta, "base64").toString("base64"),
-              },
-            };
-            connection.send(JSON.stringify(audioDelta));
-          }
-        } catch (error) {
-          console.error("Error processing OpenAI message:", error, "Raw message:", data);
-        }
-      });
-
-      connection.on("message", (message) => {
-        try {
-          const data = JSON.parse(message);
-      
-          switch (data.event) {
-            case "start":
-              streamSid = data.start.streamSid;
-              console.log("Incoming stream has started", streamSid);
-              break;
-      
-            case "media":
-              if (openAiWs.readyState === WebSocket.OPEN) {
-                const audioAppend = {
-                  type: "input_audio_buffer.append",
-                  audio: data.media.payload,
-                };
-                openAiWs.send(JSON.stringify(audioAppend));
-              }
-              break;
-            default:
-              console.log("Received non-media event: " , data.event);
-            
-          }
-        } catch (error) {
-          console.error("Error parsing message:", error, "Message: ", message );
-        }
-      });
-
-      connection.on("close", () => {
-        if (openAiWs.readyState === WebSocket.OPEN) openAiWs.close();
-        console.log("Client disconnected.");
-      });
-      
-      openAiWs.on("close", () => {
-        console.log("Disconnected from the OpenAI Realtime API");
-      });
-      
-      openAiWs.on("error", (error) => {
-        console.error("Error in the OpenAI WebSocket:", error);
-      });
-    });
-  });
-
-
-  fastify.listen({ port: PORT }, (err) => {
-    if (err) {
-      console.error(err);
-      process.exit(1);
-    }
-    console.log(`Server is listening on port ${PORT}`);
-  });
\ No newline at end of file
+import WebSocket from "ws";
+import dotenv from "dotenv";
+import Fastify from "fastify";
+import fastifyFormBody from "@fastify/formbody";
+import fastifyWs from "@fastify/websocket";
+import twilio from "twilio";
+import YAML from "yaml";
+// Call handling shared with the outbound server, a file: dependency declared in package.json
+import { bridgeMediaStream } from "twilio-outbound/lib/media-bridge.js";
+import { createRealtimeBackend, realtimeUrl } from "twilio-outbound/lib/realtime-backend.js";
+import { createCascadedBackend } from "twilio-outbound/lib/cascaded-backend.js";
+import { createTwilioSecurity } from "twilio-outbound/lib/security.js";
+import { buildFallbackTwiml, buildOverflowTwiml } from "twilio-outbound/lib/fallback.js";
+import { DRAIN_MODES, createCallGate } from "twilio-outbound/lib/call-gate.js";
+import { createTransferService } from "twilio-outbound/lib/transfer.js";
+import { DTMF_DEFAULTS, createDigitValidator } from "twilio-outbound/lib/dtmf.js";
+import { PROMETHEUS_CONTENT_TYPE, createCallMetrics } from "twilio-outbound/lib/metrics.js";
+import { createToolRegistry } from "twilio-outbound/lib/tools.js";
+import { createPostCallPipeline } from "twilio-outbound/lib/post-call.js";
+import { createCallMonitor } from "twilio-outbound/lib/call-monitor.js";
+import { dashboardRoutes } from "twilio-outbound/lib/dashboard.js";
+import { checkAudioOptions } from "twilio-outbound/lib/audio.js";
+import { createProfileStore } from "twilio-outbound/lib/profiles.js";
+import { DEFAULT_PERSONA, escapeXml } from "twilio-outbound/lib/persona.js";
+import { streamParameters, createCustomerFileLookup } from "twilio-outbound/lib/caller-context.js";
+import toolModules from "twilio-outbound/tools/index.js";
+
+dotenv.config();
+
+const { OPENAI_API_KEY, TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, PUBLIC_BASE_URL, STREAM_TOKEN_SECRET, VALIDATE_TWILIO_SIGNATURE } = process.env;
+const { OPENAI_MAX_RECONNECTS = '3', FALLBACK_MODE = 'apology', FALLBACK_MESSAGE, FALLBACK_TRANSFER_TO } = process.env;
+const { TRANSFER_TO, TRANSFER_RING_TIMEOUT = '20' } = process.env;
+const { OPENAI_REALTIME_URL, OPENAI_REALTIME_MODEL = 'gpt-4o-realtime-preview-2024-10-01' } = process.env;
+const { DTMF_INTER_DIGIT_TIMEOUT_MS, DTMF_SECURE_LENGTH, DTMF_VALIDATOR_URL } = process.env;
+const { PROFILES_DIR = './profiles', CUSTOMERS_FILE } = process.env;
+const { ADMIN_TOKEN } = process.env;
+const { MAX_CONCURRENT_CALLS, OVERFLOW_MODE = 'busy', OVERFLOW_MESSAGE, OVERFLOW_TRANSFER_TO, DRAIN_MODE = 'end', DRAIN_TIMEOUT_MS = '30000' } = process.env;
+const { OPENAI_AUDIO_FORMAT = 'g711_ulaw', CALLER_AUDIO_PROCESSORS, AGENT_AUDIO_PROCESSORS } = process.env;
+const { CASCADED_STT_URL, CASCADED_STT_MODEL, CASCADED_LLM_URL, CASCADED_LLM_MODEL, CASCADED_TTS_URL, CASCADED_TTS_MODEL } = process.env;
+const { POST_CALL_WEBHOOK_URL, POST_CALL_WEBHOOK_SECRET, POST_CALL_SUMMARY, POST_CALL_MODEL = 'gpt-4o-mini', POST_CALL_DEAD_LETTER_FILE = './dead-letters.jsonl' } = process.env;
+if (!OPENAI_API_KEY) {
+  console.error('Missing OpenAI API key. Please set it in the .env file.');
+  process.exit(1);
+}
+// The auth token verifies that webhooks really come from Twilio
+if (!TWILIO_AUTH_TOKEN && VALIDATE_TWILIO_SIGNATURE !== 'false') {
+  console.error('Missing Twilio auth token. Please set TWILIO_AUTH_TOKEN in the .env file.');
+  process.exit(1);
+}
+
+// The OpenAI session's audio format and per-direction processors (see lib/audio.js)
+const AUDIO_OPTIONS = {
+  audioFormat: OPENAI_AUDIO_FORMAT,
+  processors: { caller: CALLER_AUDIO_PROCESSORS, agent: AGENT_AUDIO_PROCESSORS },
+};
+try {
+  checkAudioOptions(AUDIO_OPTIONS);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Conversational backends (see lib/media-bridge.js). A profile picks one with "backend"; the rest use
+// the OpenAI Realtime API. The cascaded backend's stages default to OpenAI's speech-to-text, chat and
+// text-to-speech endpoints; CASCADED_{STT,LLM,TTS}_{URL,MODEL} point them elsewhere.
+const backends = {
+  realtime: createRealtimeBackend({
+    WebSocket,
+    apiKey: OPENAI_API_KEY,
+    url: realtimeUrl({ baseUrl: OPENAI_REALTIME_URL, model: OPENAI_REALTIME_MODEL }),
+    audioFormat: AUDIO_OPTIONS.audioFormat,
+  }),
+  cascaded: createCascadedBackend({
+    apiKey: OPENAI_API_KEY,
+    stt: { url: CASCADED_STT_URL, model: CASCADED_STT_MODEL },
+    llm: { url: CASCADED_LLM_URL, model: CASCADED_LLM_MODEL },
+    tts: { url: CASCADED_TTS_URL, model: CASCADED_TTS_MODEL },
+  }),
+};
+
+// Set PUBLIC_BASE_URL (e.g. your ngrok URL) when a proxy rewrites the Host header
+const security = createTwilioSecurity({
+  authToken: TWILIO_AUTH_TOKEN,
+  publicBaseUrl: PUBLIC_BASE_URL,
+  streamSecret: STREAM_TOKEN_SECRET || TWILIO_AUTH_TOKEN,
+  validate: VALIDATE_TWILIO_SIGNATURE !== 'false',
+});
+
+// With an account SID, calls whose OpenAI connection can't be restored are moved to fallback TwiML
+const client = TWILIO_ACCOUNT_SID ? twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN) : null;
+const FALLBACK_TWIML = buildFallbackTwiml({
+  mode: FALLBACK_MODE,
+  message: FALLBACK_MESSAGE,
+  transferTo: FALLBACK_TRANSFER_TO,
+});
+
+// At most MAX_CONCURRENT_CALLS calls (and OpenAI sessions) at once; unlimited when unset. Callers beyond
+// that get the overflow TwiML: a busy signal by default, or OVERFLOW_MODE=apology, voicemail or transfer.
+const gate = createCallGate({ maxCalls: MAX_CONCURRENT_CALLS ? Number(MAX_CONCURRENT_CALLS) : Infinity });
+const OVERFLOW_TWIML = buildOverflowTwiml({
+  mode: OVERFLOW_MODE,
+  message: OVERFLOW_MESSAGE,
+  transferTo: OVERFLOW_TRANSFER_TO,
+});
+if (!DRAIN_MODES.includes(DRAIN_MODE)) {
+  console.error(`DRAIN_MODE must be one of ${DRAIN_MODES.join(', ')}`);
+  process.exit(1);
+}
+
+const fastify = Fastify();
+fastify.register(fastifyFormBody);
+fastify.register(fastifyWs);
+
+const PORT = process.env.PORT || 5050;
+
+// Tools the realtime agent can call
+// Callbacks need the outbound server's scheduler, so this agent doesn't offer schedule_callback
+const tools = createToolRegistry(toolModules.filter((tool) => tool.name !== "schedule_callback"));
+
+// Agent profiles from PROFILES_DIR, picked by the number that was dialed; edits apply to the next call
+const profiles = createProfileStore({ dir: PROFILES_DIR, parseYaml: YAML.parse, toolNames: tools.names() });
+
+// Optional customer records keyed by phone number (see caller-context.js), so the agent knows who is calling
+const lookupCaller = CUSTOMERS_FILE ? createCustomerFileLookup({ file: CUSTOMERS_FILE }) : null;
+
+// After each call, a summary and the profile's extract fields go to POST_CALL_WEBHOOK_URL (see post-call.js)
+const postCall = POST_CALL_WEBHOOK_URL || POST_CALL_SUMMARY === 'true'
+  ? createPostCallPipeline({
+    apiKey: OPENAI_API_KEY,
+    model: POST_CALL_MODEL,
+    webhookUrl: POST_CALL_WEBHOOK_URL,
+    webhookSecret: POST_CALL_WEBHOOK_SECRET,
+    deadLetterFile: POST_CALL_DEAD_LETTER_FILE,
+  })
+  : null;
+
+// Persona of each call from /incoming-call until its stream ends
+const callPersonas = new Map();
+
+// Keypad input: digit strings go to the model, secure entries only to DTMF_VALIDATOR_URL
+const DTMF_OPTIONS = {
+  interDigitTimeoutMs: Number(DTMF_INTER_DIGIT_TIMEOUT_MS || DTMF_DEFAULTS.interDigitTimeoutMs),
+  secureLength: Number(DTMF_SECURE_LENGTH || DTMF_DEFAULTS.secureLength),
+  validateDigits: createDigitValidator({ url: DTMF_VALIDATOR_URL }),
+};
+
+// Latency, traffic, token and error metrics for GET /metrics
+const metrics = createCallMetrics();
+
+// Supervisors' whispers on each call until its stream ends; they go out with the post-call webhook
+const callWhispers = new Map();
+
+// Live calls, their transcripts and controls for the dashboard; supervisors' whispers are logged on the call
+const monitor = createCallMonitor({
+  onWhisper: ({ callSid, by, claimedBy, text, at }) => {
+    console.log(`Whisper on call ${callSid} from ${by}${claimedBy ? ` (says they are ${claimedBy})` : ''}: ${text}`);
+    callWhispers.set(callSid, [...(callWhispers.get(callSid) || []), { by, claimedBy, text, at }]);
+  },
+});
+
+// transfer_to_human hands callers to TRANSFER_TO; it also needs the REST client
+const transfers = createTransferService({ client, ringTimeout: Number(TRANSFER_RING_TIMEOUT) });
+
+fastify.get('/', async (request, reply) => {
+  reply.send({ message: 'Twilio Media Stream Server is running!' });
+});
+
+// The stream carries a signed token for this call, checked before OpenAI is involved, and who is calling
+fastify.all('/incoming-call', { preHandler: security.requireTwilioSignature }, async (request, reply) => {
+  const params = request.body || request.query;
+  const callSid = params.CallSid;
+  if (!gate.admit(callSid)) {
+    console.warn(`No call slot left for call ${callSid}; sending the overflow TwiML`);
+    return reply.type('text/xml').send(OVERFLOW_TWIML);
+  }
+  const persona = profiles.forNumber(params.To) || DEFAULT_PERSONA;
+  callPersonas.set(callSid, persona);
+  const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
+                           <Response>
+                             <Say>Please wait while we connect your call to the A.I. voice assistant, powered by Twilio and the OpenAI Realtime API.</Say>
+                             <Pause length="1" />
+                             <Say>${escapeXml(persona.greeting)}</Say>
+                             <Connect>
+                             <Stream url="${security.websocketUrl(request, '/media-stream')}">
+                               ${streamParameters({ token: security.streamToken(callSid), params })}
+                             </Stream>
+                             </Connect>
+                           </Response>`;
+
+  reply.type('text/xml').send(twimlResponse);
+});
+
+// Loaded profiles and any files that failed validation
+fastify.get('/profiles', async (request, reply) => {
+  reply.send({
+    profiles: profiles.list().map(({ name, numbers, file }) => ({ name, numbers, file })),
+    errors: profiles.errors(),
+  });
+});
+
+// Prometheus scrape endpoint
+fastify.get('/metrics', async (request, reply) => {
+  reply.type(PROMETHEUS_CONTENT_TYPE).send(metrics.render());
+});
+
+// Liveness and readiness probes; the server isn't ready while it drains or has no free call slot
+fastify.get('/healthz', async (request, reply) => {
+  reply.send({ status: 'ok', ...gate.status() });
+});
+
+fastify.get('/readyz', async (request, reply) => {
+  const status = gate.status();
+  if (status.draining || !gate.hasRoom()) {
+    return reply.status(503).send({ status: status.draining ? 'draining' : 'full', ...status });
+  }
+  reply.send({ status: 'ready', ...status });
+});
+
+// Whisper for the person answering a transfer, then how the <Dial> ended
+fastify.all('/transfer/whisper', { preHandler: security.requireTwilioSignature }, async (request, reply) => {
+  reply.type('text/xml').send(transfers.whisperTwiml(request.query.callSid));
+});
+
+fastify.post('/transfer/result', { preHandler: security.requireTwilioSignature }, async (request, reply) => {
+  const { callSid } = request.query;
+  const dialCallStatus = request.body?.DialCallStatus;
+  console.log(`Transfer of call ${callSid} ended: ${dialCallStatus}`);
+  reply.type('text/xml').send(transfers.dialResultTwiml(callSid, dialCallStatus, { baseUrl: security.baseUrl(request) }));
+});
+
+// Twilio's report of the voicemail a caller left when nobody took the transfer; it is logged
+fastify.post('/transfer/voicemail', { preHandler: security.requireTwilioSignature }, async (request, reply) => {
+  transfers.voicemailRecorded(request.query.callSid, request.body || {});
+  reply.send({ success: true });
+});
+
+// Operations dashboard at /admin: live calls and transcripts, hang up / mute / instruct
+if (ADMIN_TOKEN) {
+  fastify.register(dashboardRoutes({ monitor, adminToken: ADMIN_TOKEN }), { prefix: "/admin" });
+} else {
+  console.log("Set ADMIN_TOKEN to enable the dashboard at /admin");
+}
+
+fastify.register(async (fastify) => {
+    fastify.get('/media-stream', { websocket: true }, (connection, req) => {
+      console.log("Client connected");
+
+      bridgeMediaStream(connection, {
+        WebSocket,
+        backends,
+        processors: AUDIO_OPTIONS.processors,
+        tools,
+        personaFor: (callSid) => callPersonas.get(callSid) || DEFAULT_PERSONA,
+        lookupCaller,
+        toolContext: {
+          transferCall: ({ callSid, reason, summary, transcript }) => transfers.transfer({
+            callSid,
+            baseUrl: security.baseUrl(req),
+            target: callPersonas.get(callSid)?.transferTo || TRANSFER_TO,
+            reason,
+            summary,
+            transcript,
+          }),
+        },
+        dtmf: DTMF_OPTIONS,
+        metrics,
+        monitor,
+        gate,
+        authorizeStart: security.authorizeStream,
+        onClose: ({ callSid, streamSid, transcript, caller }) => {
+          const persona = callPersonas.get(callSid) || DEFAULT_PERSONA;
+          callPersonas.delete(callSid);
+          const whispers = callWhispers.get(callSid) || [];
+          callWhispers.delete(callSid);
+          if (postCall) {
+            const call = { sid: callSid, streamSid, direction: caller.direction, from: caller.from, to: caller.to, whispers };
+            postCall.process({ call, persona, transcript });
+          }
+        },
+        maxReconnectAttempts: Number(OPENAI_MAX_RECONNECTS),
+        onOpenAiLost: ({ callSid }) => {
+          if (!client) {
+            // Without REST credentials all we can do is end the stream, which ends the call
+            console.error(`No TWILIO_ACCOUNT_SID set, so call ${callSid} can't be moved to fallback TwiML; closing the stream`);
+            connection.close();
+            return;
+          }
+          client.calls(callSid).update({ twiml: FALLBACK_TWIML })
+            .then(() => console.log(`Moved call ${callSid} to fallback TwiML (${FALLBACK_MODE})`))
+            .catch((error) => console.error(`Error moving call ${callSid} to fallback TwiML:`, error));
+        },
+      });
+    });
+  });
+
+
+  fastify.listen({ port: PORT }, (err) => {
+    if (err) {
+      console.error(err);
+      process.exit(1);
+    }
+    console.log(`Server is listening on port ${PORT}`);
+  });
+
+// On SIGTERM or SIGINT, stop taking calls and have the agent say goodbye on the live ones (DRAIN_MODE=transfer
+// hands them to TRANSFER_TO instead), then exit once they are over or DRAIN_TIMEOUT_MS has passed
+async function shutdown(signal) {
+  if (gate.isDraining()) {
+    console.log(`${signal} received again; exiting now`);
+    process.exit(1);
+  }
+  console.log(`${signal} received; draining ${gate.status().activeCalls} live call(s)`);
+  const hungUp = await gate.drain({ mode: DRAIN_MODE, timeoutMs: Number(DRAIN_TIMEOUT_MS) });
+  if (hungUp) {
+    console.warn(`Hung up ${hungUp} call(s) still live after ${DRAIN_TIMEOUT_MS} ms`);
+  }
+  await fastify.close();
+  console.log("Server stopped");
+  process.exit(0);
+}
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
\ No newline at end of file
@@ -0,0 +1,129 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { computeTwilioSignature } from 'twilio-outbound/lib/security.js';
+// The test helpers aren't part of the outbound package, so they come from its source tree
+import { startMockRealtimeServer } from '../../Twilio Outbound/test/support/mock-realtime-server.js';
+import { connectTwilioStream } from '../../Twilio Outbound/test/support/twilio-stream-simulator.js';
+import { startServer } from '../../Twilio Outbound/test/support/server.js';
+import { waitFor } from '../../Twilio Outbound/test/support/wait.js';
+
+const AUTH_TOKEN = 'test-auth-token';
+const CALL_SID = 'CA33333333333333333333333333333333';
+const FIXTURE = new URL('../../Twilio Outbound/test/fixtures/caller-tone.wav', import.meta.url);
+
+let openAi;
+let server;
+
+before(async () => {
+  openAi = await startMockRealtimeServer();
+  server = await startServer(fileURLToPath(new URL('../index.js', import.meta.url)), {
+    env: {
+      OPENAI_API_KEY: 'test-key',
+      OPENAI_REALTIME_URL: openAi.url,
+      OPENAI_REALTIME_MODEL: 'test-model',
+      TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+      MAX_CONCURRENT_CALLS: '1',
+    },
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await openAi?.close();
+});
+
+// POST /incoming-call the way Twilio does for a new call; resolves to the TwiML
+async function incomingCall(callSid) {
+  const url = `${server.baseUrl}/incoming-call`;
+  const params = { CallSid: callSid, From: '+15550003333', To: '+15550004444' };
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Twilio-Signature': computeTwilioSignature(AUTH_TOKEN, url, params),
+    },
+    body: new URLSearchParams(params),
+  });
+  assert.equal(response.status, 200);
+  return response.text();
+}
+
+test('answers an incoming call and bridges it to the realtime API', async () => {
+  const twiml = await incomingCall(CALL_SID);
+  const streamUrl = twiml.match(/<Stream url="([^"]+)"/)[1];
+  const token = twiml.match(/<Parameter name="token" value="([^"]+)"/)[1];
+  assert.equal(streamUrl, server.websocketUrl('/media-stream'));
+
+  const twilio = await connectTwilioStream(streamUrl, { callSid: CALL_SID, customParameters: { token } });
+  try {
+    twilio.start();
+    const session = await openAi.waitForSession(0, 5000);
+    assert.equal(session.url.searchParams.get('model'), 'test-model');
+    await session.waitFor('session.update', 5000);
+
+    const frames = await twilio.streamWav(FIXTURE);
+    await waitFor(() => session.sent('input_audio_buffer.append').length === frames, { what: 'caller audio' });
+
+    const payload = Buffer.alloc(160, 0x7f).toString('base64');
+    session.audioDelta('item_1', payload);
+    const media = await twilio.waitFor('media');
+    assert.equal(media.media.payload, payload);
+
+    session.speechStarted('item_2');
+    await twilio.waitFor('clear');
+  } finally {
+    await twilio.close();
+  }
+});
+
+test('rejects an unsigned incoming call webhook', async () => {
+  const response = await fetch(`${server.baseUrl}/incoming-call`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ CallSid: CALL_SID }),
+  });
+  assert.equal(response.status, 403);
+});
+
+// Ends the server, so it runs last
+test('turns callers away while the only call slot is taken, and drains live calls on SIGTERM', async () => {
+  const health = async (path) => {
+    const response = await fetch(server.baseUrl + path);
+    return { httpStatus: response.status, ...(await response.json()) };
+  };
+  await waitFor(async () => (await health('/healthz')).activeCalls === 0, { what: 'earlier calls to end' });
+  assert.equal((await health('/readyz')).status, 'ready');
+
+  const callSid = 'CA55555555555555555555555555555555';
+  const twiml = await incomingCall(callSid);
+  const streamUrl = twiml.match(/<Stream url="([^"]+)"/)[1];
+  const token = twiml.match(/<Parameter name="token" value="([^"]+)"/)[1];
+  const sessionsBefore = openAi.sessions.length;
+  const twilio = await connectTwilioStream(streamUrl, { callSid, customParameters: { token } });
+  try {
+    twilio.start();
+    const session = await openAi.waitForSession(sessionsBefore, 5000);
+    await session.waitFor('session.update', 5000);
+
+    assert.match(await incomingCall('CA66666666666666666666666666666666'), /<Reject reason="busy" \/>/);
+    assert.deepEqual(await health('/readyz'), { httpStatus: 503, status: 'full', draining: false, activeCalls: 1, pendingCalls: 0, maxCalls: 1 });
+
+    server.signal('SIGTERM');
+    const goodbye = await session.waitFor((event) => event.item?.role === 'system', 5000);
+    assert.match(goodbye.item.content[0].text, /end this call/);
+    await session.waitFor('response.create');
+    assert.deepEqual(await health('/readyz'), { httpStatus: 503, status: 'draining', draining: true, activeCalls: 1, pendingCalls: 0, maxCalls: 1 });
+    assert.match(await incomingCall('CA77777777777777777777777777777777'), /<Reject reason="busy" \/>/);
+
+    session.responseCreated();
+    session.audioDelta('item_goodbye', Buffer.alloc(160, 0xff).toString('base64'));
+    session.responseDone();
+    const mark = await twilio.waitFor('mark');
+    twilio.mark(mark.mark.name);
+    assert.equal((await twilio.closed).code, 1000);
+    assert.equal(await server.exited, 0);
+  } finally {
+    await twilio.close();
+  }
+});